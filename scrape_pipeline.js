@@ -0,0 +1,672 @@
+// Unified Scrape Pipeline - renderer + extractor + estágios de otimização
+// Base do endpoint /v2/scrape e dos endpoints legados (aliases de compatibilidade)
+
+const cheerio = require('cheerio');
+const { fetchUrl, describeFetch } = require('./utils/http_client');
+const { extractWithCheerio, renderWithJSDOM, preferHydration, preferNetworkData } = require('./smart_scraper');
+const { intelligentCrawl, extractPageContent, applySafeOptimizations, calculateWordCount, estimateReadingTime, CONTENT_ALGORITHMS } = require('./sitemap_crawler');
+const { AITokenOptimizer } = require('./token_optimizer');
+const { htmlToMarkdown } = require('./utils/html_to_markdown');
+const { extractStructuredData } = require('./utils/structured_data');
+const { parseSelectorRules, applySelectorRules, extractFields } = require('./utils/selector_rules');
+const { detectPlatform, profileSelectorRules, describePlatform, PROFILES } = require('./utils/platform_profiles');
+const { canonicalPageUrl, DEFAULT_RULES: DEFAULT_URL_RULES } = require('./utils/url_normalizer');
+const { extractHydrationData } = require('./utils/hydration_data');
+const { parseWaitOptions } = require('./utils/render_wait');
+const { diagnoseRendering } = require('./utils/rendering_detector');
+
+// ========================================
+// EXTRATORES
+// ========================================
+
+/**
+ * Extrator original do /webscrape (primeiro seletor com mais de 100 chars)
+ * @param {string} html - HTML da página
+ * @param {string} url - URL da página (para links absolutos)
+ * @returns {Object} Título, descrição, conteúdo em Markdown, tabelas e blocos de código
+ */
+function extractBasic(html, url) {
+  const $ = cheerio.load(html);
+  const structuredData = extractStructuredData($);
+
+  $('script, style, nav, header, footer, .ad, .advertisement, #ads').remove();
+
+  const contentSelectors = [
+    'main',
+    'article',
+    '[role="main"]',
+    '.content',
+    '.main-content',
+    '#content',
+    '.post-content',
+    '.entry-content',
+    'body'
+  ];
+
+  let contentElement = null;
+  for (const selector of contentSelectors) {
+    const element = $(selector);
+    if (element.length > 0 && element.text().trim().length > 100) {
+      contentElement = element;
+      break;
+    }
+  }
+
+  const tables = [];
+  const codeBlocks = [];
+  return {
+    title: $('title').text().trim() || '',
+    description: $('meta[name="description"]').attr('content') || '',
+    content: htmlToMarkdown(contentElement || $('body'), { baseUrl: url, tables, codeBlocks }),
+    tables,
+    codeBlocks,
+    structuredData,
+    metadata: null
+  };
+}
+
+/**
+ * Extrator do smart scraper (seletores semânticos em ordem de prioridade)
+ * @param {string} html - HTML da página
+ * @param {string} url - URL da página (para links absolutos)
+ * @returns {Object} Título, descrição, conteúdo em Markdown, tabelas e blocos de código
+ */
+function extractSmart(html, url) {
+  const result = extractWithCheerio(cheerio.load(html), url);
+
+  return {
+    title: result.title,
+    description: result.description,
+    content: result.content,
+    tables: result.tables,
+    codeBlocks: result.codeBlocks,
+    structuredData: result.structuredData,
+    extraction: result.extraction,
+    metadata: null
+  };
+}
+
+/**
+ * Extrator semântico do crawler (seletores semânticos + readability + 11 campos de metadados)
+ * @param {string} html - HTML da página
+ * @param {string} url - URL da página
+ * @param {string} algorithm - Algoritmo de conteúdo principal (ver CONTENT_ALGORITHMS)
+ * @returns {Object} Título, descrição, conteúdo, tabelas, blocos de código e metadados
+ */
+function extractSemantic(html, url, algorithm = 'semantic') {
+  const { content, tables, codeBlocks, extraction, metadata } = extractPageContent(html, url, algorithm);
+
+  return {
+    title: metadata.title,
+    description: metadata.description,
+    content,
+    tables,
+    codeBlocks,
+    extraction,
+    metadata
+  };
+}
+
+/**
+ * Extrator readability (pontuação de parágrafos propagada aos ancestrais, sem seletores fixos)
+ * @param {string} html - HTML da página
+ * @param {string} url - URL da página
+ * @returns {Object} Mesmo formato do extrator semântico, com confiança e seletor vencedor em extraction
+ */
+function extractReadability(html, url) {
+  return extractSemantic(html, url, 'readability');
+}
+
+const EXTRACTORS = {
+  basic: extractBasic,
+  smart: extractSmart,
+  semantic: extractSemantic,
+  readability: extractReadability
+};
+
+/**
+ * Executa um extrator aplicando o perfil da plataforma de documentação detectada e as regras
+ * de seletores da requisição (ver utils/platform_profiles e utils/selector_rules):
+ * exclude_selectors (da requisição e do perfil) valem para todos os extratores;
+ * content_selector/include_selectors (ou o seletor de conteúdo do perfil) substituem a heurística
+ * de conteúdo principal; extract gera os campos estruturados em `fields`
+ * @param {string} name - Nome do extrator
+ * @param {string} html - HTML da página
+ * @param {string} url - URL da página
+ * @param {Object} options - Opções normalizadas (selectors, platform)
+ * @returns {Object} Resultado do extrator, com platform, fields e selector_stats quando aplicáveis
+ */
+function runExtractor(name, html, url, options) {
+  const $ = cheerio.load(html);
+  const detection = detectPlatform($, url, options.platform);
+  const platform = describePlatform(detection);
+  const rules = detection ? profileSelectorRules($, detection.profile, options.selectors) : options.selectors;
+  const canonicalLink = $('link[rel~="canonical" i]').attr('href') || null;
+
+  // Payloads de hidratação (__NEXT_DATA__, __NUXT_DATA__...) ficam em <script>: lidos antes de qualquer limpeza
+  const hydration = extractHydrationData($, url);
+
+  if (!rules) return { ...withHydration(EXTRACTORS[name](html, url), hydration), platform, canonicalLink };
+
+  // Campos são lidos da página inteira, antes de qualquer limpeza
+  const fields = rules.extract ? extractFields($, rules.extract, url) : null;
+  const { $content, stats } = applySelectorRules($, rules);
+
+  // Título, descrição e metadados continuam vindo do extrator (sobre o HTML sem os excluídos)
+  let extracted = EXTRACTORS[name]($.html(), url);
+
+  if ($content) {
+    const tables = [];
+    const codeBlocks = [];
+    extracted.content = htmlToMarkdown($content, { baseUrl: url, tables, codeBlocks });
+    extracted.tables = tables;
+    extracted.codeBlocks = codeBlocks;
+    extracted.extraction = {
+      algorithm: rules.contentSource === 'profile' ? 'platform-profile' : 'selectors',
+      selector: [rules.content, ...rules.include].filter(Boolean).join(' | '),
+      confidence: null,
+      score: null
+    };
+    extracted = refreshWordCount(preferHydration(extracted, hydration, false));
+  } else {
+    if (rules.contentSource === 'request') {
+      console.log('⚠️ Content selectors matched nothing, using extractor heuristics');
+    }
+    extracted = withHydration(extracted, hydration);
+  }
+
+  return { ...extracted, fields, platform, canonicalLink, selectorStats: options.selectors ? stats : null };
+}
+
+// Conteúdo dos payloads de hidratação quando supera o do HTML (ver preferHydration)
+function withHydration(extracted, hydration) {
+  const result = preferHydration(extracted, hydration);
+  return result.hydration && result.hydration.used ? refreshWordCount(result) : result;
+}
+
+// Conteúdo das respostas JSON capturadas na renderização (opção network_content) quando supera o do DOM
+function withNetworkContent(extracted, network, url, options) {
+  if (!options.networkContent || !network) return extracted;
+
+  const fromSelectors = extracted.extraction && ['selectors', 'platform-profile'].includes(extracted.extraction.algorithm);
+  const result = preferNetworkData(extracted, network.entries, url, !fromSelectors);
+  return result.network_content && result.network_content.used ? refreshWordCount(result) : result;
+}
+
+// Contagem de palavras e tempo de leitura dos metadados após trocar o conteúdo
+function refreshWordCount(extracted) {
+  if (!extracted.metadata) return extracted;
+  return {
+    ...extracted,
+    metadata: {
+      ...extracted.metadata,
+      wordCount: calculateWordCount(extracted.content),
+      readingTime: estimateReadingTime(extracted.content)
+    }
+  };
+}
+
+// static = apenas HTTP, jsdom = sempre executa JavaScript, auto = JSDOM só quando necessário
+const RENDERERS = ['static', 'jsdom', 'auto'];
+
+// ========================================
+// ESTÁGIOS DE OTIMIZAÇÃO
+// ========================================
+
+const OPTIMIZER_STAGES = {
+  safe: (page) => ({
+    content: applySafeOptimizations(page.content),
+    techniques: ['safe_cleanup', 'whitespace_optimization', 'redundancy_removal']
+  }),
+
+  ai: (page, renderer) => {
+    const optimizer = new AITokenOptimizer();
+    const result = optimizer.optimizeForAI({
+      title: page.title,
+      description: page.description,
+      content: page.content,
+      format: 'markdown',
+      method: renderer === 'jsdom' ? 'jsdom' : 'cheerio'
+    });
+
+    return {
+      content: result.optimized.content,
+      techniques: ['semantic_structure', 'intelligent_compression', 'optimized_markdown'],
+      extras: {
+        keywords: result.optimized.keywords,
+        chunks: result.optimized.chunks,
+        ai_optimization: result.optimization_stats
+      }
+    };
+  }
+};
+
+const OUTPUT_FORMATS = ['json', 'text', 'markdown'];
+const MODES = ['page', 'crawl'];
+
+const DEFAULT_OPTIONS = {
+  mode: 'page',
+  renderer: 'auto',
+  extractor: 'semantic',
+  optimize: ['safe'],
+  format: 'json',
+  includeOriginal: false,
+  selectors: null,
+  platform: 'auto',
+  urlNormalization: DEFAULT_URL_RULES,  // regras de utils/url_normalizer para canonical_url (null = sem normalização)
+  wait: null,                           // estratégia de espera do JSDOM (utils/render_wait; null = 2s após load)
+  networkContent: false                 // usa o texto das respostas JSON de XHR/fetch como conteúdo
+};
+
+/**
+ * Valida e normaliza as opções do pipeline
+ * @param {Object} raw - Opções recebidas na requisição
+ * @returns {Object} { options, errors }
+ */
+function normalizeScrapeOptions(raw = {}) {
+  const errors = [];
+  const options = { ...DEFAULT_OPTIONS };
+
+  const pick = (key, allowed) => {
+    if (raw[key] === undefined || raw[key] === null) return;
+    const value = raw[key].toString().toLowerCase();
+    if (!allowed.includes(value)) {
+      errors.push(`${key} deve ser um de: ${allowed.join(', ')}`);
+      return;
+    }
+    options[key] = value;
+  };
+
+  pick('mode', MODES);
+  pick('renderer', RENDERERS);
+  pick('extractor', Object.keys(EXTRACTORS));
+  pick('format', OUTPUT_FORMATS);
+  pick('platform', ['auto', 'none', ...PROFILES.map(profile => profile.name)]);
+
+  // include_selectors, exclude_selectors, content_selector e extract
+  const selectorRules = parseSelectorRules(raw);
+  errors.push(...selectorRules.errors);
+  options.selectors = selectorRules.rules;
+
+  // wait: quando o JSDOM considera a página pronta (seletor, texto mínimo, rede ociosa, DOM estável)
+  const waitOptions = parseWaitOptions(raw.wait);
+  errors.push(...waitOptions.errors);
+  options.wait = waitOptions.wait;
+
+  if (raw.include_original !== undefined) {
+    options.includeOriginal = Boolean(raw.include_original);
+  }
+
+  if (raw.network_content !== undefined) {
+    options.networkContent = Boolean(raw.network_content);
+  }
+
+  if (raw.optimize !== undefined && raw.optimize !== null) {
+    let stages = raw.optimize;
+    if (stages === false) stages = [];
+    if (stages === true) stages = ['safe'];
+    if (typeof stages === 'string') stages = stages.split(',').map(s => s.trim()).filter(Boolean);
+
+    if (!Array.isArray(stages)) {
+      errors.push('optimize deve ser uma lista de estágios');
+    } else {
+      const unknown = stages.filter(stage => !OPTIMIZER_STAGES[stage]);
+      if (unknown.length > 0) {
+        errors.push(`Estágios de otimização desconhecidos: ${unknown.join(', ')} (disponíveis: ${Object.keys(OPTIMIZER_STAGES).join(', ')})`);
+      } else {
+        options.optimize = stages;
+      }
+    }
+  }
+
+  return { options, errors };
+}
+
+// ========================================
+// PIPELINE
+// ========================================
+
+/**
+ * Executa renderer + extractor (com decisão automática de JavaScript rendering)
+ * @param {string} html - HTML bruto
+ * @param {string} url - URL da página
+ * @param {Object} options - Opções normalizadas
+ * @returns {Promise<Object>} Extração final com informações do renderer usado
+ *                            (render: estatísticas do worker de renderização, network: respostas JSON
+ *                            capturadas; ambos null sem JSDOM; renderDecision: diagnóstico do renderer auto)
+ */
+async function renderAndExtract(html, url, options) {
+  const extract = (source, pageUrl) => runExtractor(options.extractor, source, pageUrl, options);
+
+  if (options.renderer === 'jsdom') {
+    const { html: renderedHtml, network, render } = await renderWithJSDOM(html, url, options.wait);
+    // Worker morto (tempo ou memória): fica o HTML estático
+    if (renderedHtml === null) {
+      return { extracted: extract(html, url), renderer: 'static', renderComparison: null, render, network, renderDecision: null };
+    }
+    const extracted = withNetworkContent(extract(renderedHtml, url), network, url, options);
+    return { extracted, renderer: 'jsdom', renderComparison: null, render, network, renderDecision: null };
+  }
+
+  const staticResult = extract(html, url);
+  const notRendered = { extracted: staticResult, renderer: 'static', renderComparison: null, render: null, network: null };
+
+  if (options.renderer === 'static') {
+    return { ...notRendered, renderDecision: null };
+  }
+
+  // auto: a decisão (pontuação e sinais) vai na resposta para explicar o caminho escolhido
+  const renderDecision = diagnoseRendering(html, { contentLength: staticResult.content.length, hydration: staticResult.hydration });
+  if (!renderDecision.needs_rendering) {
+    return { ...notRendered, renderDecision };
+  }
+
+  console.log(`🔄 Static extraction insufficient (score ${renderDecision.score}: ${renderDecision.signals.map(signal => signal.name).join(', ')}), rendering with JSDOM...`);
+  const { html: renderedHtml, network, render } = await renderWithJSDOM(html, url, options.wait);
+  if (renderedHtml === null) {
+    return { ...notRendered, render, network, renderDecision };
+  }
+
+  const renderedResult = withNetworkContent(extract(renderedHtml, url), network, url, options);
+  const useRendered = renderedResult.content.length > staticResult.content.length;
+
+  return {
+    extracted: useRendered ? renderedResult : staticResult,
+    renderer: useRendered ? 'jsdom' : 'static',
+    renderComparison: {
+      static_length: staticResult.content.length,
+      rendered_length: renderedResult.content.length
+    },
+    render,
+    network,
+    renderDecision
+  };
+}
+
+/**
+ * Scraping de uma página pelo pipeline unificado (lança erro se a requisição falhar)
+ * @param {string} url - URL para scraping
+ * @param {Object} options - Opções normalizadas (ver normalizeScrapeOptions)
+ * @returns {Promise<Object>} Resultado da página
+ */
+async function scrapePage(url, options = DEFAULT_OPTIONS) {
+  const startTime = Date.now();
+  options = { ...DEFAULT_OPTIONS, ...options };
+
+  console.log(`🧩 Pipeline scraping: ${url} (renderer=${options.renderer}, extractor=${options.extractor}, optimize=${options.optimize.join('+') || 'none'})`);
+
+  const response = await fetchUrl(url, options.fetch);
+  const { extracted, ...rendering } = await renderAndExtract(response.data, url, options);
+
+  return buildPage(extracted, rendering, {
+    url,
+    canonical_url: canonicalPageUrl(extracted.canonicalLink, response.finalUrl || url, options.urlNormalization),
+    redirect_chain: response.redirectChain || [],
+    fetch: describeFetch(response)
+  }, options, startTime);
+}
+
+/**
+ * Scraping de conteúdo enviado no corpo da requisição em vez de uma URL (páginas atrás de login,
+ * intranet, HTML salvo do navegador). HTML passa pelo mesmo extrator, sem renderização: não há de
+ * onde carregar os scripts da página. Texto e Markdown já são o conteúdo e seguem direto para a otimização.
+ * @param {Object} input - { url } | { html, baseUrl } | { text } | { markdown } (baseUrl: base dos links relativos, opcional)
+ * @param {Object} options - Opções normalizadas (ver normalizeScrapeOptions)
+ * @returns {Promise<Object>} Resultado da página (mesmo formato do scrapePage, com `input` e fetch: null)
+ */
+async function scrapeInput(input, options = DEFAULT_OPTIONS) {
+  if (input.url) return scrapePage(input.url, options);
+
+  const startTime = Date.now();
+  options = { ...DEFAULT_OPTIONS, ...options };
+
+  const type = input.html !== undefined ? 'html' : input.markdown !== undefined ? 'markdown' : 'text';
+  const body = input[type];
+  const baseUrl = input.baseUrl || null;
+
+  console.log(`🧩 Pipeline scraping: ${type} input, ${Buffer.byteLength(body)} bytes${baseUrl ? ` (base ${baseUrl})` : ''} (extractor=${options.extractor}, optimize=${options.optimize.join('+') || 'none'})`);
+
+  const extracted = type === 'html'
+    ? runExtractor(options.extractor, body, baseUrl, options)
+    : extractTextInput(body, type);
+
+  return buildPage(extracted, { renderer: 'static', renderComparison: null, render: null, network: null, renderDecision: null }, {
+    url: baseUrl,
+    canonical_url: baseUrl ? canonicalPageUrl(extracted.canonicalLink, baseUrl, options.urlNormalization) : null,
+    redirect_chain: [],
+    fetch: null,
+    input: { type, bytes: Buffer.byteLength(body), base_url: baseUrl }
+  }, options, startTime);
+}
+
+// Texto ou Markdown enviado no corpo: o conteúdo é o próprio texto (título do primeiro "# " do Markdown)
+function extractTextInput(body, type) {
+  const content = body
+    .replace(/\r\n?/g, '\n')
+    .replace(/[ \t]+$/gm, '')
+    .replace(/\n{3,}/g, '\n\n')
+    .trim();
+  const heading = type === 'markdown' ? content.match(/^#\s+(.+)$/m) : null;
+
+  return {
+    title: heading ? heading[1].trim() : '',
+    description: '',
+    content,
+    tables: [],
+    codeBlocks: [],
+    extraction: { algorithm: `${type}-input`, selector: null, confidence: null, score: null },
+    metadata: {
+      wordCount: calculateWordCount(content),
+      readingTime: estimateReadingTime(content)
+    }
+  };
+}
+
+/**
+ * Monta o resultado da página e aplica os estágios de otimização
+ * @param {Object} extracted - Extração final (runExtractor ou extractTextInput)
+ * @param {Object} rendering - { renderer, renderComparison, render, network, renderDecision } (ver renderAndExtract)
+ * @param {Object} source - Origem do conteúdo: { url, canonical_url, redirect_chain, fetch, input? }
+ * @param {Object} options - Opções normalizadas
+ * @param {number} startTime - Início do processamento (ms)
+ * @returns {Object} Resultado da página
+ */
+function buildPage(extracted, rendering, source, options, startTime) {
+  const { renderer, renderComparison, render, network, renderDecision } = rendering;
+
+  const page = {
+    url: source.url,
+    ...(extracted.metadata || {}),
+    canonical_url: source.canonical_url,
+    canonicalUrl: extracted.canonicalLink || null,   // <link rel="canonical"> como declarado (canonical_url cai na URL final)
+    redirect_chain: source.redirect_chain,
+    title: extracted.title,
+    description: extracted.description,
+    content: extracted.content,
+    tables: extracted.tables || [],
+    code_blocks: extracted.codeBlocks || [],
+    structuredData: extracted.structuredData || (extracted.metadata && extracted.metadata.structuredData) || null,
+    extraction: extracted.extraction || null,
+    platform: extracted.platform || null,
+    hydration: extracted.hydration || null,
+    network_data: network ? network.entries : null,
+    ...(options.networkContent ? { network_content: extracted.network_content || null } : {}),
+    ...(extracted.fields ? { fields: extracted.fields } : {}),
+    ...(extracted.selectorStats ? { selector_stats: extracted.selectorStats } : {})
+  };
+
+  // Estágios de otimização em sequência
+  const originalContent = page.content;
+  const originalLength = originalContent.length;
+  const techniques = [];
+  for (const stage of options.optimize) {
+    const stageResult = OPTIMIZER_STAGES[stage](page, renderer);
+    page.content = stageResult.content;
+    techniques.push(...stageResult.techniques);
+    Object.assign(page, stageResult.extras || {});
+  }
+
+  const reductionPercentage = originalLength > 0
+    ? Math.round((1 - page.content.length / originalLength) * 100)
+    : 0;
+
+  return {
+    ...page,
+    ...(options.includeOriginal ? { original_content: originalContent } : {}),
+    length: page.content.length,
+    optimization_stats: reductionPercentage > 0 ? {
+      original_length: originalLength,
+      optimized_length: page.content.length,
+      reduction_percentage: reductionPercentage,
+      techniques_applied: techniques
+    } : null,
+    renderer,
+    extractor: options.extractor,
+    optimizations: options.optimize,
+    render_comparison: renderComparison,
+    render_decision: renderDecision,
+    render,
+    fetch: source.fetch,
+    ...(source.input ? { input: source.input } : {}),
+    processing_time_ms: Date.now() - startTime,
+    success: true,
+    scraped_at: new Date().toISOString()
+  };
+}
+
+/**
+ * Versão do scrapePage que nunca lança erro (usada em crawls e batches)
+ * @param {string} url - URL para scraping
+ * @param {Object} options - Opções normalizadas
+ * @returns {Promise<Object>} Resultado da página ou erro
+ */
+async function scrapePageSafe(url, options = DEFAULT_OPTIONS) {
+  try {
+    return await scrapePage(url, options);
+  } catch (error) {
+    console.error(`Failed to scrape ${url}:`, error.message);
+    return {
+      url,
+      title: '',
+      description: '',
+      content: '',
+      tables: [],
+      code_blocks: [],
+      length: 0,
+      optimization_stats: null,
+      fetch: error.attempts ? { attempts: error.attempts.length, log: error.attempts } : null,
+      success: false,
+      error: error.message,
+      scraped_at: new Date().toISOString()
+    };
+  }
+}
+
+/**
+ * Compara algoritmos de conteúdo principal do extrator semântico sobre o mesmo HTML
+ * (uma única requisição; usado pelo /webscrape-compare)
+ * @param {string} url - URL da página
+ * @param {Array<string>} algorithms - Nomes em CONTENT_ALGORITHMS (padrão: scoring atual vs readability)
+ * @returns {Promise<Object>} Tamanho, palavras e extraction (seletor, confiança) por algoritmo
+ */
+async function compareContentAlgorithms(url, algorithms = ['scoring', 'readability']) {
+  const response = await fetchUrl(url);
+  const results = {};
+
+  for (const algorithm of algorithms.filter(name => CONTENT_ALGORITHMS[name])) {
+    const startTime = Date.now();
+    const { content, tables, codeBlocks, extraction, metadata } = extractPageContent(response.data, url, algorithm);
+    results[algorithm] = {
+      content_length: content.length,
+      word_count: metadata.wordCount,
+      tables: tables.length,
+      code_blocks: codeBlocks.length,
+      extraction,
+      processing_time: Date.now() - startTime
+    };
+  }
+
+  return results;
+}
+
+/**
+ * Diagnóstico de renderização de uma página: extração estática e sinais do detector,
+ * sem executar JavaScript (lança erro se a requisição falhar)
+ * @param {string} url - URL da página
+ * @param {Object} options - Opções normalizadas (extractor, selectors, platform)
+ * @returns {Promise<Object>} Página com `diagnosis` (needs_rendering, score, verdict, signals, stats)
+ */
+async function diagnosePage(url, options = DEFAULT_OPTIONS) {
+  const startTime = Date.now();
+  options = { ...DEFAULT_OPTIONS, ...options };
+
+  const response = await fetchUrl(url, options.fetch);
+  const extracted = runExtractor(options.extractor, response.data, url, options);
+  const diagnosis = diagnoseRendering(response.data, { contentLength: extracted.content.length, hydration: extracted.hydration });
+
+  return {
+    url,
+    final_url: response.finalUrl || url,
+    status: response.status,
+    title: extracted.title,
+    static_content_length: extracted.content.length,
+    static_preview: extracted.content.substring(0, 200) + (extracted.content.length > 200 ? '...' : ''),
+    extraction: extracted.extraction || null,
+    platform: extracted.platform || null,
+    hydration: extracted.hydration || null,
+    diagnosis,
+    recommended_renderer: diagnosis.needs_rendering ? 'jsdom' : 'static',
+    processing_time_ms: Date.now() - startTime,
+    success: true
+  };
+}
+
+/**
+ * Crawl inteligente usando o pipeline em cada página
+ * @param {string} baseUrl - URL base do site
+ * @param {Object} crawlOptions - maxPages, type, signal, onProgress
+ * @param {Object} options - Opções normalizadas do pipeline
+ * @returns {Promise<Object>} Resultado do intelligentCrawl
+ */
+async function crawlSite(baseUrl, crawlOptions = {}, options = DEFAULT_OPTIONS) {
+  return intelligentCrawl(baseUrl, {
+    ...crawlOptions,
+    platform: options.platform || DEFAULT_OPTIONS.platform,
+    scrapePage: url => scrapePageSafe(url, {
+      ...DEFAULT_OPTIONS,
+      ...options,
+      ...(crawlOptions.urlNormalization !== undefined ? { urlNormalization: crawlOptions.urlNormalization } : {})
+    })
+  });
+}
+
+/**
+ * Renderiza um resultado no formato de saída de texto solicitado
+ * @param {Object} page - Resultado de scrapePage
+ * @param {string} format - text | markdown
+ * @returns {string} Conteúdo formatado
+ */
+function formatPageOutput(page, format) {
+  if (format === 'markdown') {
+    const heading = page.title && !page.content.startsWith('# ') ? `# ${page.title}\n\n` : '';
+    return `${heading}${page.content}\n`;
+  }
+  return page.content;
+}
+
+module.exports = {
+  scrapePage,
+  scrapePageSafe,
+  scrapeInput,
+  crawlSite,
+  compareContentAlgorithms,
+  diagnosePage,
+  renderAndExtract,
+  normalizeScrapeOptions,
+  formatPageOutput,
+  EXTRACTORS,
+  RENDERERS,
+  OPTIMIZER_STAGES,
+  OUTPUT_FORMATS,
+  DEFAULT_OPTIONS
+};
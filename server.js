@@ -1,141 +1,250 @@
 const express = require('express');
-const cheerio = require('cheerio');
-const axios = require('axios');
 const cors = require('cors');
 
-// Importar o novo smart scraper
-const { smartScrape, scrapeSinglePage } = require('./smart_scraper');
+// Pipeline unificado (renderer + extractor + otimização) usado por todos os endpoints
+const {
+  scrapePage,
+  scrapePageSafe,
+  scrapeInput,
+  crawlSite,
+  compareContentAlgorithms,
+  diagnosePage,
+  normalizeScrapeOptions,
+  formatPageOutput
+} = require('./scrape_pipeline');
+const { batchScrape } = require('./sitemap_crawler');
+const { cleanInputUrl, validateUrl } = require('./utils/url_filters');
+const { resolveStreamFormat, createEventStream } = require('./utils/event_stream');
+const { assertUrlAllowed, isSsrfError } = require('./utils/ssrf_guard');
+const { parseSelectorRules } = require('./utils/selector_rules');
+const { parseNormalizationRules } = require('./utils/url_normalizer');
+const { createJob, getJob, cancelJob, isFinished, serializeJob, JOB_TTL_MS } = require('./utils/job_manager');
+const { renderPoolStatus } = require('./utils/render_pool');
+const { parseWaitOptions } = require('./utils/render_wait');
 
 const app = express();
 const PORT = process.env.PORT || 3000;
 
+// Tamanho máximo de html/text/markdown enviados no corpo (o JSON aceita folga para o escape de aspas e barras)
+const MAX_INPUT_BYTES = parseInt(process.env.MAX_INPUT_BYTES, 10) || 5 * 1024 * 1024;
+const INPUT_FIELDS = ['url', 'html', 'text', 'markdown'];
+
 // Middleware
 app.use(cors());
-app.use(express.json());
-
-// Headers para simular browser real (mantido para compatibilidade)
-const browserHeaders = {
-  'User-Agent': 'Mozilla/5.0 (Macintosh; Intel Mac OS X 10_15_7) AppleWebKit/537.36 (KHTML, like Gecko) Chrome/120.0.0.0 Safari/537.36',
-  'Accept': 'text/html,application/xhtml+xml,application/xml;q=0.9,image/webp,*/*;q=0.8',
-  'Accept-Language': 'en-US,en;q=0.5',
-  'Accept-Encoding': 'gzip, deflate',
-  'DNT': '1',
-  'Connection': 'keep-alive',
-  'Upgrade-Insecure-Requests': '1'
+app.use(express.json({ limit: Math.ceil(MAX_INPUT_BYTES * 1.5) }));
+
+// Configurações do pipeline equivalentes aos endpoints legados
+const LEGACY_OPTIONS = {
+  webscrape: { renderer: 'static', extractor: 'basic', optimize: [] },
+  smart: { renderer: 'auto', extractor: 'smart', optimize: [] },
+  aiOptimized: { renderer: 'auto', extractor: 'smart', optimize: ['ai'], includeOriginal: true },
+  crawl: { renderer: 'static', extractor: 'semantic', optimize: ['safe'] }
 };
 
-// Função para limpar texto extraído (mantida para compatibilidade)
-function cleanText(text) {
-  return text
-    .replace(/\s+/g, ' ')
-    .replace(/\n+/g, '\n')
-    .trim();
+// === HELPERS COMPARTILHADOS ===
+
+// Lê, limpa e valida a URL do corpo; responde 400 e retorna null se inválida
+function requireUrl(req, res, usage, field = 'url') {
+  const url = cleanInputUrl(req.body[field]);
+
+  if (!url) {
+    res.status(400).json({
+      error: 'URL é obrigatória',
+      usage
+    });
+    return null;
+  }
+
+  if (!validateUrl(url)) {
+    res.status(400).json({ error: 'URL inválida' });
+    return null;
+  }
+
+  return url;
 }
 
-// === ENDPOINT ORIGINAL MANTIDO (Zero Risco) ===
-app.post('/webscrape', async (req, res) => {
-  try {
-    let { url } = req.body;
-    
-    if (!url) {
-      return res.status(400).json({ 
-        error: 'URL é obrigatória',
-        usage: 'POST /webscrape com { "url": "https://exemplo.com" }'
-      });
-    }
+// Lê a entrada da página: url (buscada pelo servidor) ou html, text ou markdown enviados no corpo
+// (com base_url opcional para os links relativos do html); responde 400/413 e retorna null se inválida
+function requireInput(req, res, usage) {
+  const given = INPUT_FIELDS.filter(field => req.body[field] !== undefined && req.body[field] !== null && req.body[field] !== '');
 
-    // Limpar URL (mantido exatamente como estava)
-    url = url.toString().trim();
-    if (url.startsWith('{') && url.endsWith('}')) {
-      url = url.slice(1, -1);
-      console.log('Cleaned URL from:', req.body.url, 'to:', url);
-    }
+  if (given.length === 0) {
+    res.status(400).json({ error: 'Informe url, html, text ou markdown', usage });
+    return null;
+  }
 
-    // Validar URL
-    let targetUrl;
-    try {
-      targetUrl = new URL(url);
-    } catch (err) {
-      return res.status(400).json({ error: 'URL inválida' });
+  if (given.length > 1) {
+    res.status(400).json({ error: `Informe apenas um entre ${INPUT_FIELDS.join(', ')} (recebidos: ${given.join(', ')})` });
+    return null;
+  }
+
+  const [field] = given;
+  if (field === 'url') {
+    const url = requireUrl(req, res, usage);
+    return url ? { url } : null;
+  }
+
+  const value = req.body[field];
+  if (typeof value !== 'string' || !value.trim()) {
+    res.status(400).json({ error: `${field} deve ser uma string não vazia` });
+    return null;
+  }
+
+  const bytes = Buffer.byteLength(value);
+  if (bytes > MAX_INPUT_BYTES) {
+    res.status(413).json({ error: `${field} excede o limite de ${MAX_INPUT_BYTES} bytes`, bytes, max_bytes: MAX_INPUT_BYTES });
+    return null;
+  }
+
+  let baseUrl = null;
+  if (req.body.base_url !== undefined && req.body.base_url !== null && req.body.base_url !== '') {
+    if (field !== 'html') {
+      res.status(400).json({ error: 'base_url só se aplica a html' });
+      return null;
+    }
+    baseUrl = cleanInputUrl(req.body.base_url);
+    if (!baseUrl || !validateUrl(baseUrl) || !/^https?:\/\//i.test(baseUrl)) {
+      res.status(400).json({ error: 'base_url inválida (use uma URL http ou https)' });
+      return null;
     }
+  }
+
+  return { [field]: value, baseUrl };
+}
+
+// Identificação da entrada nos logs
+function describeInput(input) {
+  if (input.url) return input.url;
+  const field = INPUT_FIELDS.find(name => input[name] !== undefined);
+  return `${field} (${Buffer.byteLength(input[field])} bytes)`;
+}
 
-    console.log(`Scraping: ${url}`);
+// Lê include_selectors, exclude_selectors, content_selector e extract do corpo;
+// responde 400 e retorna undefined se algum seletor for inválido (null = sem regras)
+function requireSelectorRules(req, res) {
+  const { rules, errors } = parseSelectorRules(req.body);
 
-    // Fazer requisição HTTP (método original)
-    const response = await axios.get(url, {
-      headers: browserHeaders,
-      timeout: 10000,
-      maxRedirects: 5
+  if (errors.length > 0) {
+    res.status(400).json({ error: 'Seletores inválidos', details: errors });
+    return undefined;
+  }
+
+  return rules;
+}
+
+// Lê a estratégia de espera do JSDOM (wait); responde 400 e retorna undefined se inválida (null = padrão)
+function requireWaitOptions(req, res) {
+  const { wait, errors } = parseWaitOptions(req.body.wait);
+
+  if (errors.length > 0) {
+    res.status(400).json({ error: 'Estratégia de espera inválida', details: errors });
+    return undefined;
+  }
+
+  return wait;
+}
+
+// Plataforma de documentação detectada e campos do mapa extract, só quando presentes
+function extrasOf(page) {
+  return {
+    ...(page.platform ? { platform: page.platform } : {}),
+    ...(page.fields ? { fields: page.fields } : {}),
+    ...(page.hydration ? { hydration: page.hydration } : {}),
+    ...(page.render_decision ? { render_decision: page.render_decision } : {}),
+    ...(page.render ? { render: page.render } : {}),
+    ...(page.network_data && page.network_data.length > 0 ? { network_data: page.network_data } : {}),
+    ...(page.network_content ? { network_content: page.network_content } : {})
+  };
+}
+
+// Mapeia erros de requisição para respostas HTTP
+function sendScrapeError(res, error, message) {
+  if (isSsrfError(error)) {
+    const blocked = error.code === 'SSRF_BLOCKED' ? error : error.cause;
+    return res.status(403).json({
+      error: 'URL bloqueada pela proteção SSRF (endereço privado, loopback ou não permitido)',
+      code: 'SSRF_BLOCKED',
+      reason: blocked.reason
     });
+  }
 
-    // Carregar HTML no Cheerio (método original)
-    const $ = cheerio.load(response.data);
-
-    // Remover elementos desnecessários (método original)
-    $('script, style, nav, header, footer, .ad, .advertisement, #ads').remove();
-
-    // Extrair conteúdo principal (método original)
-    let content = '';
-    
-    const contentSelectors = [
-      'main',
-      'article', 
-      '[role="main"]',
-      '.content',
-      '.main-content',
-      '#content',
-      '.post-content',
-      '.entry-content',
-      'body'
-    ];
-
-    for (const selector of contentSelectors) {
-      const element = $(selector);
-      if (element.length > 0 && element.text().trim().length > 100) {
-        content = element.text();
-        break;
-      }
-    }
+  if (error.code === 'ENOTFOUND') {
+    return res.status(400).json({ error: 'URL não encontrada ou inacessível' });
+  }
 
-    if (!content) {
-      content = $('body').text();
-    }
+  if (error.code === 'ECONNABORTED') {
+    return res.status(408).json({ error: 'Timeout - site muito lento' });
+  }
+
+  res.status(500).json({
+    error: message,
+    message: error.message
+  });
+}
+
+// Nome do método no formato legado (cheerio | jsdom)
+function legacyMethod(page) {
+  if (page.renderer === 'jsdom') return 'jsdom';
+  return page.hydration && page.hydration.used ? 'hydration' : 'cheerio';
+}
+
+// Formato de resposta do antigo smartScrape
+function toSmartScrapeResult(page) {
+  const result = {
+    url: page.url,
+    title: page.title,
+    description: page.description,
+    content: page.content,
+    tables: page.tables,
+    code_blocks: page.code_blocks,
+    ...extrasOf(page),
+    length: page.length,
+    method: legacyMethod(page),
+    processingTime: page.processing_time_ms,
+    success: page.success,
+    scraped_at: page.scraped_at
+  };
+
+  if (page.render_comparison) {
+    result.cheerioLength = page.render_comparison.static_length;
+    result.jsdomLength = page.render_comparison.rendered_length;
+  }
+
+  return result;
+}
+
+// === ENDPOINT ORIGINAL MANTIDO (Zero Risco) ===
+app.post('/webscrape', async (req, res) => {
+  try {
+    const input = requireInput(req, res, 'POST /webscrape com { "url": "https://exemplo.com" } ou { "html": "<html>...", "base_url": "https://exemplo.com" }');
+    if (!input) return;
+
+    const selectors = requireSelectorRules(req, res);
+    if (selectors === undefined) return;
+
+    console.log(`Scraping: ${describeInput(input)}`);
 
-    // Limpar e processar texto (método original)
-    const cleanedContent = cleanText(content);
-    
-    // Extrair metadados úteis (método original)
-    const title = $('title').text().trim() || '';
-    const description = $('meta[name="description"]').attr('content') || '';
+    const page = await scrapeInput(input, { ...LEGACY_OPTIONS.webscrape, selectors });
 
     // Resposta estruturada (método original)
     const result = {
-      url: url,
-      title: title,
-      description: description,
-      content: cleanedContent,
-      length: cleanedContent.length,
-      scraped_at: new Date().toISOString()
+      url: page.url,
+      title: page.title,
+      description: page.description,
+      content: page.content,
+      tables: page.tables,
+      code_blocks: page.code_blocks,
+      ...extrasOf(page),
+      length: page.length,
+      scraped_at: page.scraped_at
     };
 
-    console.log(`✅ Scraped ${url} - ${result.length} chars`);
+    console.log(`✅ Scraped ${describeInput(input)} - ${result.length} chars`);
     res.json(result);
 
   } catch (error) {
     console.error('❌ Scraping error:', error.message);
-    
-    if (error.code === 'ENOTFOUND') {
-      return res.status(400).json({ error: 'URL não encontrada ou inacessível' });
-    }
-    
-    if (error.code === 'ECONNABORTED') {
-      return res.status(408).json({ error: 'Timeout - site muito lento' });
-    }
-
-    res.status(500).json({ 
-      error: 'Erro interno do servidor',
-      message: error.message 
-    });
+    sendScrapeError(res, error, 'Erro interno do servidor');
   }
 });
 
@@ -144,144 +253,170 @@ app.post('/webscrape', async (req, res) => {
 // Endpoint para scraping com otimização automática de tokens
 app.post('/webscrape-ai-optimized', async (req, res) => {
   try {
-    let { url, optimize = true, include_chunks = true, include_keywords = true } = req.body;
-    
-    if (!url) {
-      return res.status(400).json({ 
-        error: 'URL é obrigatória',
-        usage: 'POST /webscrape-ai-optimized com { "url": "https://exemplo.com" }'
+    const { optimize = true, include_chunks = true, include_keywords = true } = req.body;
+
+    const input = requireInput(req, res, 'POST /webscrape-ai-optimized com { "url": "https://exemplo.com" } ou { "markdown": "# Título..." }');
+    if (!input) return;
+
+    const selectors = requireSelectorRules(req, res);
+    if (selectors === undefined) return;
+
+    console.log(`🧠 AI-optimized scraping: ${describeInput(input)}`);
+
+    const page = await scrapeInput(input, {
+      ...LEGACY_OPTIONS.aiOptimized,
+      optimize: optimize ? ['ai'] : [],
+      selectors
+    });
+
+    if (!optimize) {
+      return res.json({
+        ...toSmartScrapeResult(page),
+        optimization_applied: false,
+        total_processing_time: page.processing_time_ms
       });
     }
 
-    // Limpar URL
-    url = url.toString().trim();
-    if (url.startsWith('{') && url.endsWith('}')) {
-      url = url.slice(1, -1);
-    }
+    const method = legacyMethod(page);
+    const result = {
+      url: page.url,
+      success: true,
+      scraping: {
+        title: page.title,
+        description: page.description,
+        content: page.original_content,
+        tables: page.tables,
+        code_blocks: page.code_blocks,
+        ...extrasOf(page),
+        length: page.original_content.length,
+        method: method,
+        processing_time: page.processing_time_ms
+      },
+      optimized: {
+        title: page.title,
+        description: page.description,
+        content: page.content,
+        length: page.length,
+        method: method + '-optimized'
+      },
+      optimization_stats: page.ai_optimization,
+      total_processing_time: page.processing_time_ms,
+      scraped_at: page.scraped_at
+    };
 
-    // Validar URL
-    try {
-      new URL(url);
-    } catch (err) {
-      return res.status(400).json({ error: 'URL inválida' });
+    if (include_keywords && page.keywords) {
+      result.keywords = page.keywords;
     }
 
-    console.log(`🧠 AI-optimized scraping: ${url}`);
+    if (include_chunks && page.chunks) {
+      result.chunks = page.chunks;
+      result.chunks_count = page.chunks.length;
+    }
 
-    const result = await smartScrapeOptimized(url, {
-      optimize,
-      includeChunks: include_chunks,
-      includeKeywords: include_keywords
-    });
+    if (page.render_comparison) {
+      result.method_comparison = {
+        cheerio_length: page.render_comparison.static_length,
+        jsdom_length: page.render_comparison.rendered_length,
+        selected_method: method
+      };
+    }
 
     res.json(result);
 
   } catch (error) {
     console.error('❌ AI-optimized scraping error:', error.message);
-    
-    if (error.code === 'ENOTFOUND') {
-      return res.status(400).json({ error: 'URL não encontrada ou inacessível' });
-    }
-    
-    if (error.code === 'ECONNABORTED') {
-      return res.status(408).json({ error: 'Timeout - site muito lento' });
-    }
-
-    res.status(500).json({ 
-      error: 'Erro no scraping otimizado para IA',
-      message: error.message 
-    });
+    sendScrapeError(res, error, 'Erro no scraping otimizado para IA');
   }
 });
 
 // Endpoint para comparação de métodos de otimização
 app.post('/webscrape-optimization-comparison', async (req, res) => {
   try {
-    let { url } = req.body;
-    
-    if (!url) {
-      return res.status(400).json({ 
-        error: 'URL é obrigatória',
-        usage: 'POST /webscrape-optimization-comparison com { "url": "https://exemplo.com" }'
-      });
-    }
-
-    // Limpar URL
-    url = url.toString().trim();
-    if (url.startsWith('{') && url.endsWith('}')) {
-      url = url.slice(1, -1);
-    }
+    const url = requireUrl(req, res, 'POST /webscrape-optimization-comparison com { "url": "https://exemplo.com" }');
+    if (!url) return;
 
-    // Validar URL
-    try {
-      new URL(url);
-    } catch (err) {
-      return res.status(400).json({ error: 'URL inválida' });
-    }
+    const selectors = requireSelectorRules(req, res);
+    if (selectors === undefined) return;
 
     console.log(`🔬 Comparing optimization methods for: ${url}`);
 
-    const result = await compareOptimizationMethods(url);
-    res.json(result);
+    // Uma única execução do pipeline fornece o conteúdo padrão e o otimizado
+    const startTime = Date.now();
+    const page = await scrapePage(url, { ...LEGACY_OPTIONS.aiOptimized, selectors });
+    const stats = page.ai_optimization || {};
+
+    const comparison = {
+      url: url,
+      standard_method: {
+        success: true,
+        content_length: page.original_content.length,
+        method: legacyMethod(page),
+        processing_time: page.processing_time_ms
+      },
+      optimized_method: {
+        success: true,
+        original_length: page.original_content.length,
+        optimized_length: page.length,
+        compression_ratio: stats.compression_ratio || '0%',
+        tokens_saved: stats.tokens_saved || 0,
+        keywords_found: page.keywords ? page.keywords.length : 0,
+        processing_time: page.processing_time_ms
+      },
+      analysis: {},
+      compared_at: new Date().toISOString(),
+      comparison_time: Date.now() - startTime
+    };
+
+    const standardLength = comparison.standard_method.content_length;
+    const optimizedLength = comparison.optimized_method.optimized_length;
+
+    comparison.analysis = {
+      content_quality: standardLength > 1000 ? 'good' : 'limited',
+      optimization_effectiveness: optimizedLength < standardLength ? 'effective' : 'minimal',
+      token_efficiency: `${comparison.optimized_method.tokens_saved} tokens saved`,
+      recommendation: optimizedLength < standardLength * 0.8 ?
+        'Use optimized method for AI consumption' :
+        'Standard method sufficient'
+    };
+
+    res.json(comparison);
 
   } catch (error) {
     console.error('❌ Optimization comparison error:', error.message);
-    
-    if (error.code === 'ENOTFOUND') {
-      return res.status(400).json({ error: 'URL não encontrada ou inacessível' });
-    }
-    
-    if (error.code === 'ECONNABORTED') {
-      return res.status(408).json({ error: 'Timeout - site muito lento' });
-    }
-
-    res.status(500).json({ 
-      error: 'Erro na comparação de otimização',
-      message: error.message 
-    });
+    sendScrapeError(res, error, 'Erro na comparação de otimização');
   }
 });
 
 // === NOVO ENDPOINT SMART (JavaScript + Cheerio Híbrido) ===
 app.post('/webscrape-smart', async (req, res) => {
   try {
-    let { url } = req.body;
-    
-    if (!url) {
-      return res.status(400).json({ 
-        error: 'URL é obrigatória',
-        usage: 'POST /webscrape-smart com { "url": "https://exemplo.com" }'
-      });
-    }
+    const input = requireInput(req, res, 'POST /webscrape-smart com { "url": "https://exemplo.com" } ou { "html": "<html>...", "base_url": "https://exemplo.com" }');
+    if (!input) return;
 
-    // Limpar URL (mesmo método)
-    url = url.toString().trim();
-    if (url.startsWith('{') && url.endsWith('}')) {
-      url = url.slice(1, -1);
-      console.log('Cleaned URL from:', req.body.url, 'to:', url);
-    }
+    const selectors = requireSelectorRules(req, res);
+    if (selectors === undefined) return;
 
-    // Validar URL
-    try {
-      new URL(url);
-    } catch (err) {
-      return res.status(400).json({ error: 'URL inválida' });
-    }
+    const wait = requireWaitOptions(req, res);
+    if (wait === undefined) return;
+
+    console.log(`🧠 Smart scraping: ${describeInput(input)}`);
 
-    console.log(`🧠 Smart scraping: ${url}`);
+    const result = toSmartScrapeResult(await scrapeInput(input, {
+      ...LEGACY_OPTIONS.smart, selectors, wait, networkContent: Boolean(req.body.network_content)
+    }));
 
-    // Usar o novo smart scraper
-    const result = await smartScrape(url);
-    
     // Log melhorado
-    console.log(`✅ Smart scraped ${url} - ${result.length} chars via ${result.method} (${result.processingTime}ms)`);
-    
+    console.log(`✅ Smart scraped ${describeInput(input)} - ${result.length} chars via ${result.method} (${result.processingTime}ms)`);
+
     // Resposta com informações adicionais
     const response = {
       url: result.url,
       title: result.title,
       description: result.description,
       content: result.content,
+      tables: result.tables,
+      code_blocks: result.code_blocks,
+      ...extrasOf(result),
       length: result.length,
       method: result.method,
       processing_time_ms: result.processingTime,
@@ -301,124 +436,432 @@ app.post('/webscrape-smart', async (req, res) => {
 
   } catch (error) {
     console.error('❌ Smart scraping error:', error.message);
-    
-    if (error.code === 'ENOTFOUND') {
-      return res.status(400).json({ error: 'URL não encontrada ou inacessível' });
-    }
-    
-    if (error.code === 'ECONNABORTED') {
-      return res.status(408).json({ error: 'Timeout - site muito lento' });
-    }
-
-    res.status(500).json({ 
-      error: 'Erro no smart scraping',
-      message: error.message 
-    });
+    sendScrapeError(res, error, 'Erro no smart scraping');
   }
 });
 
 // Health check (mantido original)
 app.get('/health', (req, res) => {
-  res.json({ 
-    status: 'ok', 
+  res.json({
+    status: 'ok',
     service: 'TypingMind Web Scraper Enhanced',
     version: '3.0.0',
     endpoints: {
-      '/webscrape': 'Original Cheerio-only scraping',
-      '/webscrape-smart': 'Smart hybrid Cheerio + JSDOM scraping',
-      '/webscrape-intelligent': 'Intelligent sitemap crawling',
-      '/webscrape-ai-optimized': 'AI-optimized scraping with token compression',
-      '/webscrape-optimization-comparison': 'Compare standard vs optimized methods'
+      '/v2/scrape': 'Unified endpoint (mode, renderer, extractor, optimize, format, selectors, extract, wait, network_content; url or html/text/markdown)',
+      '/webscrape': 'Original Cheerio-only scraping (url or html)',
+      '/webscrape-smart': 'Smart hybrid Cheerio + JSDOM scraping (url or html)',
+      '/webscrape-intelligent': 'Intelligent sitemap crawling (stream: "sse" | "ndjson")',
+      '/webscrape-batch': 'Batch scraping of multiple URLs (stream: "sse" | "ndjson")',
+      '/webscrape-intelligent/jobs': 'Asynchronous intelligent crawl (returns job ID)',
+      '/jobs/:id': 'Job status, progress and partial results (DELETE to cancel)',
+      '/jobs/:id/result': 'Final result of an asynchronous crawl',
+      '/webscrape-ai-optimized': 'AI-optimized scraping with token compression (url, html, text or markdown)',
+      '/webscrape-optimization-comparison': 'Compare standard vs optimized methods',
+      '/diagnose': 'Why a page needs (or not) JavaScript rendering, for one or many URLs'
     },
+    render_pool: renderPoolStatus(),
+    max_input_bytes: MAX_INPUT_BYTES,
     timestamp: new Date().toISOString()
   });
 });
 
 // === ENDPOINT INTELIGENTE MANTIDO (Zero Risco) ===
-const { intelligentCrawl } = require('./sitemap_crawler');
 
-// === NOVOS ENDPOINTS: OTIMIZAÇÃO DE TOKENS ===
-const { smartScrapeOptimized, compareOptimizationMethods } = require('./smart_scraper_optimized');
+// Normaliza parâmetros de crawl (compartilhado pelo endpoint síncrono, jobs e /v2/scrape)
+function normalizeCrawlParams(body) {
+  const { max_pages = 15, type = 'documentation' } = body;
+
+  // Fix parameter name (plugin sends 'url' instead of 'base_url')
+  const base_url = cleanInputUrl(body.base_url || body.url);
+
+  // robots.txt é respeitado por padrão; respect_robots: false só para sites próprios
+  const respect_robots = body.respect_robots !== false;
+
+  // Profundidade máxima da descoberta por links (usada quando o site não tem sitemap)
+  const max_depth = parseInt(body.max_depth, 10) > 0 ? parseInt(body.max_depth, 10) : undefined;
+
+  // Remoção de blocos repetidos entre páginas (avisos de cookies, rodapés...) ativa por padrão
+  const remove_boilerplate = body.remove_boilerplate !== false;
+
+  // Páginas quase idênticas são fundidas na canônica (e não consomem max_pages) por padrão
+  const remove_duplicates = body.remove_duplicates !== false;
+
+  // Regras de normalização de URL (ver utils/url_normalizer); false desativa, validadas em validateCrawlParams
+  const url_normalization = body.url_normalization === undefined ? null : body.url_normalization;
+
+  return {
+    base_url, max_pages, type, respect_robots, max_depth, remove_boilerplate, remove_duplicates, url_normalization,
+    ...normalizeConcurrency(body)
+  };
+}
+
+// Limites de concorrência do scheduler (global e por host), com teto de segurança
+const MAX_CONCURRENCY = 10;
+
+function normalizeConcurrency(body) {
+  const clamp = value => {
+    const number = parseInt(value, 10);
+    return number > 0 ? Math.min(number, MAX_CONCURRENCY) : undefined;
+  };
+
+  return {
+    concurrency: clamp(body.concurrency),
+    per_host_concurrency: clamp(body.per_host_concurrency)
+  };
+}
+
+// Opções do intelligentCrawl a partir dos parâmetros normalizados
+function toCrawlOptions(params, extra = {}) {
+  return {
+    maxPages: params.max_pages,
+    type: params.type,
+    respectRobots: params.respect_robots,
+    maxDepth: params.max_depth,
+    removeRepeatedBlocks: params.remove_boilerplate,
+    removeDuplicates: params.remove_duplicates,
+    urlNormalization: parseNormalizationRules(params.url_normalization).rules,
+    concurrency: params.concurrency,
+    perHostConcurrency: params.per_host_concurrency,
+    ...extra
+  };
+}
+
+// Verifica a URL base contra a proteção SSRF antes de iniciar um crawl
+async function ensureUrlAllowed(res, url) {
+  try {
+    await assertUrlAllowed(url);
+    return true;
+  } catch (error) {
+    sendScrapeError(res, error, 'URL inacessível');
+    return false;
+  }
+}
+
+// Valida parâmetros de crawl; responde 400 e retorna false se inválidos
+function validateCrawlParams(params, res, usage) {
+  if (!params.base_url) {
+    res.status(400).json({
+      error: 'base_url é obrigatória',
+      usage
+    });
+    return false;
+  }
+
+  if (!validateUrl(params.base_url)) {
+    res.status(400).json({ error: 'URL inválida' });
+    return false;
+  }
+
+  const { errors } = parseNormalizationRules(params.url_normalization);
+  if (errors.length > 0) {
+    res.status(400).json({ error: 'Regras de normalização de URL inválidas', details: errors });
+    return false;
+  }
+
+  return true;
+}
+
+// Formato de resposta do crawl inteligente (síncrono e resultado de job)
+function formatCrawlResponse(params, result) {
+  return {
+    site_url: params.base_url,
+    type: params.type,
+    summary: result.summary,
+    pages: result.pages,
+    consolidated_content: result.consolidatedContent,
+    boilerplate_blocks: result.boilerplateBlocks,
+    scraped_at: new Date().toISOString()
+  };
+}
+
+// Crawl com eventos em tempo real (SSE ou NDJSON)
+async function streamIntelligentCrawl(req, res, params, format, pageOptions = LEGACY_OPTIONS.crawl) {
+  const stream = createEventStream(req, res, format);
+
+  stream.send({
+    type: 'started',
+    site_url: params.base_url,
+    crawl_type: params.type,
+    max_pages: params.max_pages,
+    respect_robots: params.respect_robots
+  });
 
-app.post('/webscrape-intelligent', async (req, res) => {
   try {
-    let { base_url, url, max_pages = 15, type = 'documentation' } = req.body;
+    const result = await crawlSite(params.base_url, toCrawlOptions(params, {
+      signal: stream.signal,
+      onProgress: stream.send
+    }), pageOptions);
 
-    // Fix parameter name (plugin sends 'url' instead of 'base_url')
-    if (!base_url && url) {
-      base_url = url;
+    stream.send({
+      type: 'complete',
+      consolidated_content: result.consolidatedContent,
+      boilerplate_blocks: result.boilerplateBlocks
+    });
+  } catch (error) {
+    console.error('Intelligent crawl stream error:', error);
+    stream.send({
+      type: 'error',
+      error: 'Crawling inteligente falhou',
+      details: error.message
+    });
+  }
+
+  stream.end();
+}
+
+// Cria um job assíncrono de crawl e retorna a resposta 202 (ou o erro, sem lançar: chamado de rotas async)
+function submitCrawlJob(res, params, pageOptions = LEGACY_OPTIONS.crawl) {
+  let job;
+  try {
+    job = createJob('intelligent-crawl', params, ({ signal, onProgress }) => {
+      return crawlSite(params.base_url, toCrawlOptions(params, { signal, onProgress }), pageOptions);
+    });
+  } catch (error) {
+    if (error.code !== 'JOB_LIMIT') {
+      console.error('Crawl job error:', error);
+      return res.status(500).json({
+        error: 'Falha ao criar o job de crawl',
+        details: error.message
+      });
     }
+    // Jobs em andamento liberam vaga em breve (429); memória cheia de jobs concluídos só após o TTL (503)
+    return res.status(error.kind === 'active' ? 429 : 503).json({
+      error: error.kind === 'active' ? 'Limite de jobs em andamento atingido' : 'Limite de jobs armazenados atingido',
+      details: error.message,
+      limit: error.limit
+    });
+  }
+
+  res.status(202).json({
+    job_id: job.id,
+    status: job.status,
+    status_url: `/jobs/${job.id}`,
+    result_url: `/jobs/${job.id}/result`,
+    expires_after_ms: JOB_TTL_MS
+  });
+}
+
+app.post('/webscrape-intelligent', async (req, res) => {
+  try {
+    const params = normalizeCrawlParams(req.body);
 
-    // Clean URL (remove extra braces like the simple endpoint does)
-    if (base_url) {
-      base_url = base_url.toString().trim();
-      if (base_url.startsWith('{') && base_url.endsWith('}')) {
-        base_url = base_url.slice(1, -1);
-        console.log('Cleaned base_url from:', url || req.body.base_url, 'to:', base_url);
-      }
-    }    
-    
     console.log('=== INTELLIGENT CRAWL REQUEST ===');
     console.log('Body:', req.body);
-    
-    if (!base_url) {
-      return res.status(400).json({ 
-        error: 'base_url é obrigatória',
-        usage: 'POST /webscrape-intelligent com { "base_url": "https://docs.exemplo.com" }'
-      });
+
+    if (!validateCrawlParams(params, res, 'POST /webscrape-intelligent com { "base_url": "https://docs.exemplo.com" }')) {
+      return;
     }
 
-    console.log(`Starting intelligent crawl: ${base_url}`);
-    
-    const result = await intelligentCrawl(base_url, { 
-      maxPages: max_pages, 
-      type: type 
+    const selectors = requireSelectorRules(req, res);
+    if (selectors === undefined) return;
+    const pageOptions = { ...LEGACY_OPTIONS.crawl, selectors };
+
+    if (!await ensureUrlAllowed(res, params.base_url)) return;
+
+    const streamFormat = resolveStreamFormat(req);
+    if (streamFormat) {
+      console.log(`Starting streamed intelligent crawl (${streamFormat}): ${params.base_url}`);
+      return streamIntelligentCrawl(req, res, params, streamFormat, pageOptions);
+    }
+
+    console.log(`Starting intelligent crawl: ${params.base_url}`);
+
+    const result = await crawlSite(params.base_url, toCrawlOptions(params), pageOptions);
+
+    res.json(formatCrawlResponse(params, result));
+
+  } catch (error) {
+    console.error('Intelligent crawl error:', error);
+    res.status(500).json({
+      error: 'Crawling inteligente falhou',
+      details: error.message
+    });
+  }
+});
+
+// === BATCH SCRAPING: MÚLTIPLAS URLS ===
+const MAX_BATCH_URLS = 50;
+
+app.post('/webscrape-batch', async (req, res) => {
+  let { urls, delay_ms = 1000, respect_robots = true } = req.body;
+
+  if (!Array.isArray(urls) || urls.length === 0) {
+    return res.status(400).json({
+      error: 'urls é obrigatória (lista de URLs)',
+      usage: 'POST /webscrape-batch com { "urls": ["https://exemplo.com/a", "https://exemplo.com/b"] }'
     });
-    
+  }
+
+  if (urls.length > MAX_BATCH_URLS) {
+    return res.status(400).json({ error: `Máximo de ${MAX_BATCH_URLS} URLs por requisição` });
+  }
+
+  urls = urls.map(cleanInputUrl);
+
+  const invalidUrls = urls.filter(url => !url || !validateUrl(url));
+  if (invalidUrls.length > 0) {
+    return res.status(400).json({ error: 'URL inválida', invalid_urls: invalidUrls });
+  }
+
+  const selectors = requireSelectorRules(req, res);
+  if (selectors === undefined) return;
+
+  const limits = normalizeConcurrency(req.body);
+  const scrapeOptions = {
+    signal: null,
+    onProgress: null,
+    scrapePage: url => scrapePageSafe(url, { ...LEGACY_OPTIONS.crawl, selectors }),
+    respectRobots: respect_robots !== false,
+    concurrency: limits.concurrency,
+    perHostConcurrency: limits.per_host_concurrency,
+    schedulerStats: {}
+  };
+
+  const summarize = results => ({
+    total: results.length,
+    successful: results.filter(r => r.success).length,
+    failed: results.filter(r => !r.success).length,
+    robots_excluded: results.filter(r => r.robots_excluded).map(r => r.url),
+    hosts: scrapeOptions.schedulerStats
+  });
+
+  const streamFormat = resolveStreamFormat(req);
+
+  if (streamFormat) {
+    console.log(`📦 Streamed batch scrape (${streamFormat}) of ${urls.length} URLs`);
+    const stream = createEventStream(req, res, streamFormat);
+    stream.send({ type: 'started', total: urls.length });
+
+    try {
+      const results = await batchScrape(urls, delay_ms, {
+        ...scrapeOptions,
+        signal: stream.signal,
+        onProgress: stream.send
+      });
+      stream.send({ type: 'summary', summary: summarize(results) });
+    } catch (error) {
+      console.error('❌ Batch scrape stream error:', error.message);
+      stream.send({ type: 'error', error: 'Erro no batch scraping', details: error.message });
+    }
+
+    return stream.end();
+  }
+
+  try {
+    console.log(`📦 Batch scrape of ${urls.length} URLs`);
+    const results = await batchScrape(urls, delay_ms, scrapeOptions);
+
     res.json({
-      site_url: base_url,
-      type: type,
-      summary: result.summary,
-      pages: result.pages,
-      consolidated_content: result.consolidatedContent,
+      summary: summarize(results),
+      results,
       scraped_at: new Date().toISOString()
     });
-    
   } catch (error) {
-    console.error('Intelligent crawl error:', error);
-    res.status(500).json({ 
-      error: 'Crawling inteligente falhou', 
-      details: error.message 
+    console.error('❌ Batch scrape error:', error.message);
+    res.status(500).json({
+      error: 'Erro no batch scraping',
+      message: error.message
+    });
+  }
+});
+
+// === JOBS ASSÍNCRONOS: CRAWL INTELIGENTE ===
+
+// Submete o crawl e retorna imediatamente o ID do job
+app.post('/webscrape-intelligent/jobs', async (req, res) => {
+  try {
+    const params = normalizeCrawlParams(req.body);
+
+    if (!validateCrawlParams(params, res, 'POST /webscrape-intelligent/jobs com { "base_url": "https://docs.exemplo.com" }')) {
+      return;
+    }
+
+    const selectors = requireSelectorRules(req, res);
+    if (selectors === undefined) return;
+
+    if (!await ensureUrlAllowed(res, params.base_url)) return;
+
+    submitCrawlJob(res, params, { ...LEGACY_OPTIONS.crawl, selectors });
+  } catch (error) {
+    console.error('Crawl job error:', error);
+    res.status(500).json({
+      error: 'Falha ao criar o job de crawl',
+      details: error.message
+    });
+  }
+});
+
+// Status, progresso por página e resultados parciais
+app.get('/jobs/:id', (req, res) => {
+  const job = getJob(req.params.id);
+
+  if (!job) {
+    return res.status(404).json({ error: 'Job não encontrado ou expirado' });
+  }
+
+  res.json(serializeJob(job, { includePages: req.query.include_pages !== 'false' }));
+});
+
+// Resultado final (consolidated_content) de um job concluído ou cancelado
+app.get('/jobs/:id/result', (req, res) => {
+  const job = getJob(req.params.id);
+
+  if (!job) {
+    return res.status(404).json({ error: 'Job não encontrado ou expirado' });
+  }
+
+  if (!isFinished(job)) {
+    return res.status(409).json({
+      error: 'Job ainda em execução',
+      status: job.status,
+      status_url: `/jobs/${job.id}`
+    });
+  }
+
+  if (!job.result) {
+    return res.status(job.status === 'failed' ? 500 : 409).json({
+      error: job.status === 'failed' ? 'Crawling inteligente falhou' : 'Job cancelado sem resultados',
+      status: job.status,
+      details: job.error
     });
   }
+
+  res.json({
+    job_id: job.id,
+    status: job.status,
+    ...formatCrawlResponse(job.params, job.result)
+  });
+});
+
+// Cancela um job em andamento (páginas já processadas são mantidas)
+app.delete('/jobs/:id', (req, res) => {
+  const job = cancelJob(req.params.id);
+
+  if (!job) {
+    return res.status(404).json({ error: 'Job não encontrado ou expirado' });
+  }
+
+  res.json(serializeJob(job, { includePages: false }));
 });
 
 // === NOVO ENDPOINT: COMPARAÇÃO DE MÉTODOS ===
 app.post('/webscrape-compare', async (req, res) => {
   try {
-    let { url } = req.body;
-    
-    if (!url) {
-      return res.status(400).json({ 
-        error: 'URL é obrigatória',
-        usage: 'POST /webscrape-compare com { "url": "https://exemplo.com" }'
-      });
-    }
+    const url = requireUrl(req, res, 'POST /webscrape-compare com { "url": "https://exemplo.com" }');
+    if (!url) return;
 
-    // Limpar URL
-    url = url.toString().trim();
-    if (url.startsWith('{') && url.endsWith('}')) {
-      url = url.slice(1, -1);
-    }
+    const selectors = requireSelectorRules(req, res);
+    if (selectors === undefined) return;
+
+    if (!await ensureUrlAllowed(res, url)) return;
 
     console.log(`🔬 Comparing methods for: ${url}`);
 
-    // Executar ambos os métodos
-    const [originalResult, smartResult] = await Promise.all([
-      // Método original (simulado via requisição interna)
-      axios.post(`http://localhost:${PORT}/webscrape`, { url }).then(r => r.data).catch(e => ({ error: e.message })),
-      // Método smart
-      smartScrape(url).catch(e => ({ error: e.message }))
+    // Executar ambos os métodos pelo pipeline (sem requisição interna ao próprio servidor)
+    const [originalResult, smartResult, contentAlgorithms] = await Promise.all([
+      scrapePage(url, { ...LEGACY_OPTIONS.webscrape, selectors }).catch(e => ({ error: e.message })),
+      scrapePage(url, { ...LEGACY_OPTIONS.smart, selectors }).catch(e => ({ error: e.message })),
+      compareContentAlgorithms(url).catch(e => ({ error: e.message }))
     ]);
 
     const comparison = {
@@ -431,11 +874,13 @@ app.post('/webscrape-compare', async (req, res) => {
       },
       smart_method: {
         content_length: smartResult.length || 0,
-        method: smartResult.method || 'error',
-        processing_time: smartResult.processingTime || 0,
+        method: smartResult.error ? 'error' : legacyMethod(smartResult),
+        processing_time: smartResult.processing_time_ms || 0,
         success: smartResult.success || false,
         error: smartResult.error
       },
+      // Algoritmo de conteúdo principal atual (scoring) vs readability sobre o mesmo HTML
+      content_algorithms: contentAlgorithms,
       analysis: {}
     };
 
@@ -443,7 +888,7 @@ app.post('/webscrape-compare', async (req, res) => {
     if (comparison.original_method.success && comparison.smart_method.success) {
       const originalLength = comparison.original_method.content_length;
       const smartLength = comparison.smart_method.content_length;
-      
+
       comparison.analysis = {
         improvement_absolute: smartLength - originalLength,
         improvement_percent: originalLength > 0 ? ((smartLength - originalLength) / originalLength * 100).toFixed(1) : 'N/A',
@@ -451,25 +896,180 @@ app.post('/webscrape-compare', async (req, res) => {
       };
     }
 
+    if (contentAlgorithms.scoring && contentAlgorithms.readability) {
+      const { scoring, readability } = contentAlgorithms;
+      comparison.analysis.content_algorithms = {
+        length_difference: readability.content_length - scoring.content_length,
+        same_selector: scoring.extraction.selector === readability.extraction.selector,
+        readability_confidence: readability.extraction.confidence
+      };
+    }
+
     res.json(comparison);
 
   } catch (error) {
     console.error('❌ Comparison error:', error.message);
-    res.status(500).json({ 
+    res.status(500).json({
       error: 'Erro na comparação',
-      message: error.message 
+      message: error.message
     });
   }
 });
 
+// === DIAGNÓSTICO DE RENDERIZAÇÃO ===
+// Por que uma página vai (ou não) para o JSDOM: sinais e pontuação do detector, sem executar JavaScript
+const MAX_DIAGNOSE_URLS = 20;
+
+app.post('/diagnose', async (req, res) => {
+  const single = req.body.urls === undefined;
+  const list = single ? (req.body.url ? [req.body.url] : []) : req.body.urls;
+
+  if (!Array.isArray(list) || list.length === 0) {
+    return res.status(400).json({
+      error: 'url ou urls é obrigatória',
+      usage: 'POST /diagnose com { "url": "https://exemplo.com" } ou { "urls": ["https://exemplo.com/a", "https://exemplo.com/b"] }'
+    });
+  }
+
+  if (list.length > MAX_DIAGNOSE_URLS) {
+    return res.status(400).json({ error: `Máximo de ${MAX_DIAGNOSE_URLS} URLs por requisição` });
+  }
+
+  const urls = list.map(cleanInputUrl);
+  const invalidUrls = urls.filter(url => !url || !validateUrl(url));
+  if (invalidUrls.length > 0) {
+    return res.status(400).json({ error: 'URL inválida', invalid_urls: invalidUrls });
+  }
+
+  const selectors = requireSelectorRules(req, res);
+  if (selectors === undefined) return;
+
+  console.log(`🩺 Rendering diagnosis of ${urls.length} URL(s)`);
+
+  const results = [];
+  for (const url of urls) {
+    try {
+      results.push(await diagnosePage(url, { selectors }));
+    } catch (error) {
+      console.error(`❌ Diagnosis failed for ${url}:`, error.message);
+      results.push({ url, success: false, error: error.message, code: isSsrfError(error) ? 'SSRF_BLOCKED' : (error.code || null) });
+    }
+  }
+
+  if (single) {
+    const [result] = results;
+    if (!result.success) {
+      return res.status(result.code === 'SSRF_BLOCKED' ? 403 : 502).json({ ...result, error: 'Diagnóstico falhou', details: result.error });
+    }
+    return res.json(result);
+  }
+
+  res.json({
+    summary: {
+      total: results.length,
+      needs_rendering: results.filter(result => result.success && result.diagnosis.needs_rendering).length,
+      failed: results.filter(result => !result.success).length
+    },
+    results,
+    diagnosed_at: new Date().toISOString()
+  });
+});
+
+// === ENDPOINT UNIFICADO V2 ===
+// Uma única rota: as opções escolhem modo (page | crawl), renderer, extractor,
+// estágios de otimização e formato de saída
+app.post('/v2/scrape', async (req, res) => {
+  const { options, errors } = normalizeScrapeOptions(req.body);
+
+  if (errors.length > 0) {
+    return res.status(400).json({ error: 'Opções inválidas', details: errors });
+  }
+
+  if (options.mode === 'crawl') {
+    if (['html', 'text', 'markdown'].some(field => req.body[field] !== undefined)) {
+      return res.status(400).json({ error: 'html, text e markdown só são aceitos no modo page' });
+    }
+
+    const params = normalizeCrawlParams(req.body);
+
+    if (!validateCrawlParams(params, res, 'POST /v2/scrape com { "mode": "crawl", "base_url": "https://docs.exemplo.com" }')) {
+      return;
+    }
+
+    if (!await ensureUrlAllowed(res, params.base_url)) return;
+
+    const streamFormat = resolveStreamFormat(req);
+    if (streamFormat) {
+      return streamIntelligentCrawl(req, res, params, streamFormat, options);
+    }
+
+    if (req.body.async) {
+      return submitCrawlJob(res, params, options);
+    }
+
+    try {
+      const result = await crawlSite(params.base_url, toCrawlOptions(params), options);
+
+      if (options.format !== 'json') {
+        return res.type(options.format === 'markdown' ? 'text/markdown' : 'text/plain').send(result.consolidatedContent);
+      }
+
+      return res.json({ ...formatCrawlResponse(params, result), options });
+    } catch (error) {
+      console.error('v2 crawl error:', error);
+      return res.status(500).json({
+        error: 'Crawling inteligente falhou',
+        details: error.message
+      });
+    }
+  }
+
+  try {
+    const input = requireInput(req, res, 'POST /v2/scrape com { "url": "https://exemplo.com", "renderer": "auto", "extractor": "semantic" } ou { "html": "<html>...", "base_url": "https://exemplo.com" }');
+    if (!input) return;
+
+    // HTML enviado é extraído como está: sem URL de origem não há scripts a executar
+    if (!input.url && options.renderer === 'jsdom') {
+      return res.status(400).json({ error: 'renderer jsdom exige url (html, text e markdown são extraídos sem renderização)' });
+    }
+
+    const page = await scrapeInput(input, options);
+
+    if (options.format !== 'json') {
+      return res.type(options.format === 'markdown' ? 'text/markdown' : 'text/plain').send(formatPageOutput(page, options.format));
+    }
+
+    res.json({ ...page, options });
+
+  } catch (error) {
+    console.error('❌ v2 scraping error:', error.message);
+    sendScrapeError(res, error, 'Erro no scraping');
+  }
+});
+
+// Corpo JSON acima do limite do express.json ou malformado: erro em JSON, como as demais respostas
+app.use((error, req, res, next) => {
+  if (error.type === 'entity.too.large') {
+    return res.status(413).json({ error: `Corpo da requisição excede o limite de ${error.limit} bytes`, max_input_bytes: MAX_INPUT_BYTES });
+  }
+  if (error.type === 'entity.parse.failed') {
+    return res.status(400).json({ error: 'JSON inválido no corpo da requisição' });
+  }
+  next(error);
+});
+
 // Iniciar servidor
 app.listen(PORT, () => {
   console.log(`🚀 Enhanced Web Scraper Server running on port ${PORT}`);
   console.log(`📡 Health check: http://localhost:${PORT}/health`);
+  console.log(`🧩 Unified endpoint: POST http://localhost:${PORT}/v2/scrape`);
   console.log(`🔧 Original endpoint: POST http://localhost:${PORT}/webscrape`);
   console.log(`🧠 Smart endpoint: POST http://localhost:${PORT}/webscrape-smart`);
   console.log(`🎯 Intelligent crawl: POST http://localhost:${PORT}/webscrape-intelligent`);
+  console.log(`📦 Batch scraping: POST http://localhost:${PORT}/webscrape-batch`);
+  console.log(`📋 Async crawl jobs: POST http://localhost:${PORT}/webscrape-intelligent/jobs`);
   console.log(`🔬 Method comparison: POST http://localhost:${PORT}/webscrape-compare`);
   console.log(`🤖 AI-optimized scraping: POST http://localhost:${PORT}/webscrape-ai-optimized`);
   console.log(`⚖️ Optimization comparison: POST http://localhost:${PORT}/webscrape-optimization-comparison`);
-});
\ No newline at end of file
+  console.log(`🩺 Rendering diagnosis: POST http://localhost:${PORT}/diagnose`);
+});
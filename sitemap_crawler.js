@@ -1,25 +1,24 @@
 const cheerio = require('cheerio');
-const axios = require('axios');
-const { discoverSitemap } = require('./utils/xml_parser');
+const { fetchUrl, describeFetch } = require('./utils/http_client');
+const { discoverSitemapEntries } = require('./utils/xml_parser');
 const { filterUrlsByType, cleanUrls } = require('./utils/url_filters');
 const { prioritizeUrls } = require('./utils/priority_sorter');
-
-// Headers para simular browser real
-const browserHeaders = {
-  'User-Agent': 'Mozilla/5.0 (Macintosh; Intel Mac OS X 10_15_7) AppleWebKit/537.36 (KHTML, like Gecko) Chrome/120.0.0.0 Safari/537.36',
-  'Accept': 'text/html,application/xhtml+xml,application/xml;q=0.9,image/webp,*/*;q=0.8',
-  'Accept-Language': 'en-US,en;q=0.5',
-  'Accept-Encoding': 'gzip, deflate',
-  'DNT': '1',
-  'Connection': 'keep-alive',
-  'Upgrade-Insecure-Requests': '1'
-};
+const { getRobotsRules } = require('./utils/robots_parser');
+const { scheduleUrls } = require('./utils/crawl_scheduler');
+const { discoverLinks } = require('./utils/link_crawler');
+const { htmlToMarkdown, mapMarkdownText } = require('./utils/html_to_markdown');
+const { extractStructuredData, primaryEntity, contentTypeFromSchema } = require('./utils/structured_data');
+const { extractMainContent, describeExtraction, selectorPath } = require('./utils/readability');
+const { detectPlatform, describePlatform } = require('./utils/platform_profiles');
+const { removeBoilerplate } = require('./utils/boilerplate');
+const { collapseNearDuplicates, dropRepeatedParagraphs } = require('./utils/near_duplicates');
+const { normalizeUrl, canonicalPageUrl, DEFAULT_RULES: DEFAULT_URL_RULES } = require('./utils/url_normalizer');
 
 // ========================================
 // SEMANTIC CONTENT EXTRACTION FUNCTIONS
 // ========================================
 
-function extractSemanticContent($) {
+function extractSemanticContent($, url = null, collect = {}) {
   // Priority cascade for semantic elements
   const semanticSelectors = [
     'main article', 'article', 'main', '[role="main"]',
@@ -32,16 +31,32 @@ function extractSemanticContent($) {
     const $content = $(selector);
     if ($content.length && $content.text().length > 200) {
       console.log(`✅ Found content using semantic selector: ${selector}`);
-      return cleanAndStructureContent($content, $);
+      collect.extraction = { algorithm: 'selector', selector, confidence: null, score: null };
+      return cleanAndStructureContent($content, $, url, collect);
     }
   }
   
-  // Fallback: Content scoring algorithm
-  console.log('🔍 Using content scoring algorithm...');
-  return contentScoringFallback($);
+  // Fallback: Readability-style main content detection
+  console.log('🔍 Using readability algorithm...');
+  return readabilityContent($, url, collect);
+}
+
+function readabilityContent($, url = null, collect = {}) {
+  const main = extractMainContent($);
+
+  if (main) {
+    console.log(`✅ Main content found at ${main.selector} (confidence ${main.confidence})`);
+    collect.extraction = describeExtraction(main);
+    return cleanAndStructureContent(main.$content, $, url, collect);
+  }
+
+  console.log('⚠️ Using body fallback with aggressive cleaning');
+  collect.extraction = { algorithm: 'body', selector: 'body', confidence: 0, score: null };
+  return cleanAndStructureContent($('body'), $, url, collect);
 }
 
-function contentScoringFallback($) {
+// Previous scoring algorithm, kept so /webscrape-compare can measure readability against it
+function contentScoringFallback($, url = null, collect = {}) {
   let bestElement = null;
   let bestScore = 0;
   
@@ -57,11 +72,13 @@ function contentScoringFallback($) {
   
   if (bestElement) {
     console.log(`✅ Best content found with score: ${bestScore}`);
-    return cleanAndStructureContent(bestElement, $);
+    collect.extraction = { algorithm: 'scoring', selector: selectorPath($, bestElement.get(0)), confidence: null, score: Math.round(bestScore * 10) / 10 };
+    return cleanAndStructureContent(bestElement, $, url, collect);
   }
   
   console.log('⚠️ Using body fallback with aggressive cleaning');
-  return cleanAndStructureContent($('body'), $);
+  collect.extraction = { algorithm: 'body', selector: 'body', confidence: 0, score: null };
+  return cleanAndStructureContent($('body'), $, url, collect);
 }
 
 function calculateContentScore($elem, $) {
@@ -101,7 +118,7 @@ function calculateContentScore($elem, $) {
   return Math.max(0, score);
 }
 
-function cleanAndStructureContent($content, $) {
+function cleanAndStructureContent($content, $, url = null, collect = {}) {
   const $clean = $content.clone();
   
   // Remove noise elements
@@ -121,69 +138,39 @@ function cleanAndStructureContent($content, $) {
       $div.remove();
     }
     
-    if (text.length < 30 && !$div.find('h1, h2, h3, h4, h5, h6').length) {
+    // Short divs are noise unless they hold headings, code or tables
+    if (text.length < 30 && !$div.find('h1, h2, h3, h4, h5, h6, pre, table').length) {
       $div.remove();
     }
   });
   
-  // Extract structured text
-  let cleanText = '';
-  
-  // Process headings with hierarchy
-  $clean.find('h1, h2, h3, h4, h5, h6').each((i, elem) => {
-    const level = parseInt(elem.tagName.slice(1));
-    const text = $(elem).text().trim();
-    if (text.length > 0) {
-      cleanText += '\n' + '#'.repeat(level) + ' ' + text + '\n\n';
-    }
-  });
-  
-  // Process paragraphs
-  $clean.find('p').each((i, elem) => {
-    const text = $(elem).text().trim();
-    if (text.length > 0) {
-      cleanText += text + '\n\n';
-    }
-  });
-  
-  // Process lists
-  $clean.find('ul, ol').each((i, elem) => {
-    const $list = $(elem);
-    $list.find('li').each((j, li) => {
-      const text = $(li).text().trim();
-      if (text.length > 0) {
-        cleanText += '• ' + text + '\n';
-      }
-    });
-    cleanText += '\n';
-  });
-  
-  // Fallback
-  if (cleanText.trim().length < 100) {
-    cleanText = $clean.text();
-  }
-  
-  return cleanText.trim();
+  // Structured Markdown in document order (headings, lists, tables, code, links)
+  // `collect` receives the page's tables and code blocks (see htmlToMarkdown)
+  return htmlToMarkdown($clean, { baseUrl: url, tables: collect.tables, codeBlocks: collect.codeBlocks });
 }
 
 // ========================================
 // ADVANCED METADATA EXTRACTION FUNCTIONS
 // ========================================
 
-function extractAdvancedMetadata($, content, url) {
+// Schema.org data (JSON-LD, microdata, RDFa) wins over meta tags and CSS heuristics
+function extractAdvancedMetadata($, content, url, structuredData = null) {
+  const entity = primaryEntity(structuredData) || {};
+
   return {
     title: extractTitle($),
-    description: extractDescription($),
-    author: extractAuthor($),
+    description: validDescription(entity.description) || extractDescription($),
+    author: (entity.author && entity.author.join(', ')) || extractAuthor($),
     keywords: extractKeywords($, content),
-    publishDate: extractPublishDate($),
+    publishDate: entity.datePublished || extractPublishDate($),
     language: extractLanguage($, content),
     wordCount: calculateWordCount(content),
     readingTime: estimateReadingTime(content),
-    contentType: classifyContentType($, url),
+    contentType: contentTypeFromSchema(structuredData) || classifyContentType($, url, structuredData),
     openGraph: extractOpenGraph($),
-    lastModified: extractLastModified($),
-    canonicalUrl: extractCanonicalUrl($)
+    lastModified: entity.dateModified || extractLastModified($),
+    canonicalUrl: extractCanonicalUrl($),
+    structuredData
   };
 }
 
@@ -211,13 +198,17 @@ function extractDescription($) {
   ];
   
   for (const desc of descriptionSources) {
-    if (desc && desc.length > 20 && desc.length < 500) {
+    if (validDescription(desc)) {
       return desc;
     }
   }
   return '';
 }
 
+function validDescription(desc) {
+  return desc && desc.length > 20 && desc.length < 500 ? desc : null;
+}
+
 function extractAuthor($) {
   const authorSelectors = [
     'meta[name="author"]',
@@ -315,8 +306,8 @@ function estimateReadingTime(content) {
   return `${minutes} min read`;
 }
 
-function classifyContentType($, url) {
-  const urlLower = url.toLowerCase();
+function classifyContentType($, url, structuredData = null) {
+  const urlLower = (url || '').toLowerCase();   // no URL for HTML sent in the request body
   
   if (urlLower.includes('/docs/') || urlLower.includes('/documentation/')) {
     return 'documentation';
@@ -331,6 +322,11 @@ function classifyContentType($, url) {
     return 'blog';
   }
   
+  // Generic schema.org Article (no more specific type matched)
+  if (structuredData && structuredData.types.includes('Article')) {
+    return 'article';
+  }
+  
   return 'general';
 }
 
@@ -708,40 +704,46 @@ function enhancedContentScoringFallback($) {
   return extractFullContentWithDefinitions($('body'), $);
 }
 
-// Function to clean extracted text
-function cleanText(text) {
-  return text
-    .replace(/\s+/g, ' ')
-    .replace(/\n+/g, '\n')
-    .trim();
-}
-
 // ========================================
 // MAIN SCRAPING FUNCTIONS (ENHANCED)
 // ========================================
 
+// Main content algorithms: semantic selectors with readability fallback (default),
+// readability only, or the previous scoring algorithm (for comparisons)
+const CONTENT_ALGORITHMS = {
+  semantic: extractSemanticContent,
+  readability: readabilityContent,
+  scoring: contentScoringFallback
+};
+
+// Semantic content + advanced metadata from raw HTML (also used by the unified pipeline)
+function extractPageContent(html, url, algorithm = 'semantic') {
+  const $ = cheerio.load(html);
+
+  // Structured data lives in <script type="application/ld+json">: read it before scripts are removed
+  const structuredData = extractStructuredData($);
+
+  // Remove unnecessary elements early
+  $('script, style, nav, header, footer, .ad, .advertisement, #ads').remove();
+
+  // Extract main content using ORIGINAL semantic algorithm (that worked), as Markdown
+  const collect = { tables: [], codeBlocks: [], extraction: null };
+  const content = (CONTENT_ALGORITHMS[algorithm] || extractSemanticContent)($, url, collect);
+  
+  // Extract advanced metadata (11 fields)
+  const metadata = extractAdvancedMetadata($, content, url, structuredData);
+
+  return { content, tables: collect.tables, codeBlocks: collect.codeBlocks, extraction: collect.extraction, metadata };
+}
+
 // Enhanced function to scrape a single page with SELECTIVE TOKEN OPTIMIZATION
 async function scrapeSinglePage(url) {
   try {
     console.log(`Scraping: ${url}`);
     
-    const response = await axios.get(url, {
-      headers: browserHeaders,
-      timeout: 10000,
-      maxRedirects: 5
-    });
-
-    const $ = cheerio.load(response.data);
+    const response = await fetchUrl(url);
 
-    // Remove unnecessary elements early
-    $('script, style, nav, header, footer, .ad, .advertisement, #ads').remove();
-
-    // Extract main content using ORIGINAL semantic algorithm (that worked)
-    const rawContent = extractSemanticContent($);
-    const cleanedContent = cleanText(rawContent);
-    
-    // Extract advanced metadata (11 fields)
-    const metadata = extractAdvancedMetadata($, cleanedContent, url);
+    const { content: cleanedContent, tables, codeBlocks, extraction, metadata } = extractPageContent(response.data, url);
 
     // SELECTIVE optimization: Only apply safe improvements
     const optimizedContent = applySafeOptimizations(cleanedContent);
@@ -754,6 +756,8 @@ async function scrapeSinglePage(url) {
 
     return {
       url: url,
+      canonical_url: canonicalPageUrl(metadata.canonicalUrl, response.finalUrl || url),
+      redirect_chain: response.redirectChain || [],
       
       // Enhanced metadata fields (11 total)
       title: metadata.title,
@@ -768,9 +772,13 @@ async function scrapeSinglePage(url) {
       openGraph: metadata.openGraph,
       lastModified: metadata.lastModified,
       canonicalUrl: metadata.canonicalUrl,
+      structuredData: metadata.structuredData,
       
       // Optimized content (safe optimizations only)
       content: optimizedContent,
+      tables,
+      code_blocks: codeBlocks,
+      extraction,
       length: optimizedContent.length,
       optimization_stats: reductionPercentage > 0 ? {
         original_length: cleanedContent.length,
@@ -780,6 +788,7 @@ async function scrapeSinglePage(url) {
       } : null,
       
       // Technical fields
+      fetch: describeFetch(response),
       success: true,
       scraped_at: new Date().toISOString()
     };
@@ -792,8 +801,9 @@ async function scrapeSinglePage(url) {
       title: '', description: '', author: null, keywords: [],
       publishDate: null, language: 'unknown', wordCount: 0,
       readingTime: '0 min read', contentType: 'unknown',
-      openGraph: null, lastModified: null, canonicalUrl: null,
-      content: '', length: 0, optimization_stats: null,
+      openGraph: null, lastModified: null, canonicalUrl: null, structuredData: null,
+      content: '', tables: [], code_blocks: [], length: 0, optimization_stats: null,
+      fetch: error.attempts ? { attempts: error.attempts.length, log: error.attempts } : null,
       success: false, error: error.message, scraped_at: new Date().toISOString()
     };
   }
@@ -807,52 +817,121 @@ function applySafeOptimizations(content) {
   
   // Safe optimizations that don't lose content
   
-  // 1. Clean up excessive whitespace
-  optimized = optimized.replace(/\n\s*\n\s*\n/g, '\n\n'); // Max 2 line breaks
-  optimized = optimized.replace(/[ \t]+/g, ' '); // Normalize spaces but preserve newlines
-  optimized = optimized.replace(/\n /g, '\n'); // Remove leading spaces on lines
-  
-  // 2. Remove obvious redundant phrases (conservative)
-  optimized = optimized.replace(/\b(War diese Seite hilfreich\?|Was this page helpful\?)\s*$/gim, '');
-  optimized = optimized.replace(/\b(Home|Navigation|Search|Suchen)[\s\w]*\n/gim, '');
-  
-  // 3. Compress only safe verbose phrases
-  const safeCompressions = {
-    'in order to': 'to',
-    'due to the fact that': 'because',
-    'artificial intelligence': 'AI',
-    'large language model': 'LLM',
-    'application programming interface': 'API'
-  };
-  
-  Object.entries(safeCompressions).forEach(([verbose, concise]) => {
-    const regex = new RegExp(`\\b${verbose}\\b`, 'gi');
-    optimized = optimized.replace(regex, concise);
+  // Content is Markdown: fenced code blocks are left exactly as extracted
+  optimized = mapMarkdownText(optimized, text => {
+    // 1. Clean up excessive whitespace
+    text = text.replace(/\n\s*\n\s*\n/g, '\n\n'); // Max 2 line breaks
+    text = text.replace(/(\S)[ \t]+/g, '$1 '); // Normalize spaces, keeping list indentation
+    
+    // 2. Remove obvious redundant phrases (conservative, one line at a time)
+    text = text.replace(/\b(War diese Seite hilfreich\?|Was this page helpful\?)[ \t]*$/gim, '');
+    text = text.replace(/^(Home|Navigation|Search|Suchen)[ \t\w]*\n/gim, '');
+    
+    // 3. Compress only safe verbose phrases
+    const safeCompressions = {
+      'in order to': 'to',
+      'due to the fact that': 'because',
+      'artificial intelligence': 'AI',
+      'large language model': 'LLM',
+      'application programming interface': 'API'
+    };
+    
+    Object.entries(safeCompressions).forEach(([verbose, concise]) => {
+      const regex = new RegExp(`\\b${verbose}\\b`, 'gi');
+      text = text.replace(regex, concise);
+    });
+    
+    return text.replace(/[ \t]+$/gm, ''); // Remove trailing spaces
   });
   
   // 4. Final cleanup
-  optimized = optimized.replace(/\s+$/gm, ''); // Remove trailing spaces
-  optimized = optimized.trim();
+  optimized = optimized.replace(/\n{3,}/g, '\n\n').trim();
   
   return optimized;
 }
 
-// Rate-limited batch scraping
-async function batchScrape(urls, delayMs = 1000) {
-  const results = [];
+// Concurrent batch scraping with per-host politeness (see utils/crawl_scheduler.js)
+// delayMs is the starting delay between requests to the same host; it adapts to each host afterwards
+async function batchScrape(urls, delayMs = 1000, options = {}) {
+  const {
+    signal = null,
+    onProgress = null,
+    scrapePage = scrapeSinglePage,
+    respectRobots = true,
+    robotsExcluded = [],
+    concurrency,
+    perHostConcurrency,
+    schedulerStats = null
+  } = options;
   
-  console.log(`Starting batch scrape of ${urls.length} URLs with ${delayMs}ms delay`);
+  console.log(`Starting batch scrape of ${urls.length} URLs with ${delayMs}ms initial host delay${respectRobots ? '' : ' (ignoring robots.txt)'}`);
+  
+  // robots.txt of every host up front (cached), so Crawl-delay can feed the scheduler
+  const robotsByHost = new Map();
+  if (respectRobots) {
+    for (const url of urls) {
+      const host = new URL(url).host;
+      if (robotsByHost.has(host)) continue;
+      try {
+        robotsByHost.set(host, await getRobotsRules(url));
+      } catch (error) {
+        // Blocked host (SSRF guard): its pages fail with that error when scraped, not as robots exclusions
+        console.log(`🤖 robots.txt not checked for ${host}: ${error.message}`);
+        robotsByHost.set(host, null);
+      }
+    }
+  }
   
-  for (let i = 0; i < urls.length; i++) {
-    const url = urls[i];
-    const pageData = await scrapeSinglePage(url);
-    results.push(pageData);
-    
-    console.log(`Scraped ${i + 1}/${urls.length}: ${pageData.success ? 'SUCCESS' : 'FAILED'} - ${url}`);
+  let completed = 0;
+  const reportPage = (pageData, index) => {
+    completed++;
+    console.log(`Scraped ${completed}/${urls.length}: ${pageData.success ? 'SUCCESS' : 'FAILED'} - ${pageData.url}`);
     
-    if (i < urls.length - 1) {
-      await new Promise(resolve => setTimeout(resolve, delayMs));
+    if (onProgress) {
+      onProgress({
+        type: pageData.success ? 'page_scraped' : 'page_failed',
+        index,
+        total: urls.length,
+        page: pageData
+      });
+    }
+  };
+  
+  // Disallowed URLs never reach the scheduler, so they don't count as host responses
+  const slots = new Array(urls.length);
+  const allowed = [];
+  urls.forEach((url, index) => {
+    const robots = robotsByHost.get(new URL(url).host);
+    if (robots && !robots.isAllowed(url)) {
+      robotsExcluded.push(url);
+      slots[index] = robotsExcludedPage(url);
+      reportPage(slots[index], index);
+    } else {
+      allowed.push(index);
+    }
+  });
+  
+  await scheduleUrls(allowed.map(index => urls[index]), url => scrapePage(url), {
+    signal,
+    concurrency,
+    perHostConcurrency,
+    initialDelayMs: delayMs,
+    hostDelayFloorMs: host => {
+      const robots = robotsByHost.get(host);
+      return (robots && robots.crawlDelayMs) || 0;
+    },
+    stats: schedulerStats,
+    onResult: (pageData, position) => {
+      slots[allowed[position]] = pageData;
+      reportPage(pageData, allowed[position]);
     }
+  });
+  
+  // Priority order, whatever order the pages finished in
+  const results = slots.filter(pageData => pageData !== undefined);
+  
+  if (signal && signal.aborted) {
+    console.log(`Batch scrape cancelled after ${results.length}/${urls.length} URLs`);
   }
   
   const successful = results.filter(r => r.success);
@@ -863,57 +942,258 @@ async function batchScrape(urls, delayMs = 1000) {
   return results;
 }
 
+function robotsExcludedPage(url) {
+  return {
+    url,
+    title: '',
+    description: '',
+    content: '',
+    length: 0,
+    optimization_stats: null,
+    success: false,
+    robots_excluded: true,
+    error: 'Disallowed by robots.txt',
+    scraped_at: new Date().toISOString()
+  };
+}
+
+// Per-host scheduler stats of several batches: counters add up, the latest delay/concurrency wins
+function mergeHostStats(total, batch) {
+  Object.entries(batch).forEach(([host, stats]) => {
+    const previous = total[host];
+    total[host] = previous ? {
+      ...stats,
+      requests: previous.requests + stats.requests,
+      throttled: previous.throttled + stats.throttled,
+      errors: previous.errors + stats.errors
+    } : stats;
+  });
+}
+
+// Page fetched for platform detection: the base page of a crawl, fetched once and reused by link
+// discovery, or a discovered page (null when robots.txt disallows it or the request fails)
+async function fetchDetectionPage(url, robots = null) {
+  if (robots && !robots.isAllowed(url)) return null;
+
+  try {
+    return await fetchUrl(url);
+  } catch (error) {
+    console.log(`⚠️ Could not fetch ${url} for platform detection: ${error.message}`);
+    return null;
+  }
+}
+
+const PLATFORM_PROBE_PAGES = 3;
+
+// Platform from the shortest discovered URLs when the base page shows none (a 404 docs root),
+// detected before filtering so the profile's URL patterns still apply
+async function detectPlatformFromUrls(urls, baseUrl, robots = null) {
+  const candidates = urls
+    .filter(url => url !== baseUrl)
+    .sort((a, b) => a.length - b.length)
+    .slice(0, PLATFORM_PROBE_PAGES);
+
+  for (const url of candidates) {
+    const page = await fetchDetectionPage(url, robots);
+    const detection = page ? detectPlatform(cheerio.load(page.data), url) : null;
+    if (detection) return { ...detection, detectedFrom: url };
+  }
+  return null;
+}
+
+// Documentation platform of a site from its base page (a forced profile needs no request)
+function detectSitePlatform(baseUrl, platform = 'auto', basePage = null) {
+  if (platform === 'none') return null;
+  if (platform !== 'auto') return detectPlatform(null, baseUrl, platform);
+  return basePage ? detectPlatform(cheerio.load(basePage.data), baseUrl) : null;
+}
+
 // Main intelligent crawling function
 async function intelligentCrawl(baseUrl, options = {}) {
   const {
     maxPages = 15,
     type = 'documentation',
-    rateLimitMs = 1000
+    rateLimitMs = 1000,
+    respectRobots = true,
+    maxDepth,
+    concurrency,
+    perHostConcurrency,
+    platform = 'auto',
+    removeRepeatedBlocks = true,
+    removeDuplicates = true,
+    urlNormalization = DEFAULT_URL_RULES,
+    signal = null,
+    onProgress = null,
+    scrapePage = scrapeSinglePage
   } = options;
   
+  const emit = event => {
+    if (onProgress) onProgress(event);
+  };
+  const reportStage = stage => emit({ type: 'stage', stage });
+  
   console.log(`Starting intelligent crawl for: ${baseUrl}`);
-  console.log(`Options: maxPages=${maxPages}, type=${type}, rateLimit=${rateLimitMs}ms`);
+  console.log(`Options: maxPages=${maxPages}, type=${type}, rateLimit=${rateLimitMs}ms, respectRobots=${respectRobots}`);
   
   try {
     // Step 1: Discover sitemap
     console.log('\n=== STEP 1: DISCOVERING SITEMAP ===');
-    let discoveredUrls = await discoverSitemap(baseUrl);
+    reportStage('discovering');
+    const robots = respectRobots ? await getRobotsRules(baseUrl) : null;
+    const robotsExcluded = [];
+    const basePage = platform === 'auto' ? await fetchDetectionPage(baseUrl, robots) : null;
+    let sitePlatform = detectSitePlatform(baseUrl, platform, basePage);
+    if (sitePlatform) {
+      console.log(`Documentation platform: ${sitePlatform.profile.label} (${sitePlatform.matchedBy.join(', ')})`);
+    }
+    const { entries: sitemapEntries, truncated: sitemapTruncated } = await discoverSitemapEntries(baseUrl, robots);
+    let discoveredUrls = sitemapEntries.map(entry => entry.url);
     
-    if (discoveredUrls.length === 0) {
-      console.log('No sitemap found, using fallback method');
-      discoveredUrls = [baseUrl];
+    const sitemapFound = discoveredUrls.length > 0;
+    const urlSource = sitemapFound ? 'sitemap' : 'link_discovery';
+    let linkDiscovery = null;
+    if (!sitemapFound) {
+      console.log('No sitemap found, following links from the base URL');
+      linkDiscovery = await discoverLinks(baseUrl, {
+        type,
+        maxDepth,
+        maxUrls: maxPages * 2,
+        maxFetches: maxPages * 2,
+        robots,
+        robotsExcluded,
+        profile: sitePlatform && sitePlatform.profile,
+        normalization: urlNormalization,
+        basePage,
+        concurrency,
+        perHostConcurrency,
+        signal,
+        onProgress
+      });
+      discoveredUrls = linkDiscovery.urls;
     } else {
-      console.log(`Found ${discoveredUrls.length} URLs in sitemap`);
+      console.log(`Found ${discoveredUrls.length} URLs in sitemap${sitemapTruncated ? ' (truncated by the sitemap limits)' : ''}`);
     }
+    emit({ type: 'sitemap_discovered', found: sitemapFound, source: urlSource, total: discoveredUrls.length, truncated: sitemapTruncated });
     
-    // Step 2: Clean and validate URLs
+    // Step 2: Clean, validate and normalize URLs (tracking parameters, index.html, trailing slashes...)
     console.log('\n=== STEP 2: CLEANING URLS ===');
-    const cleanedUrls = cleanUrls(discoveredUrls);
-    console.log(`Cleaned URLs: ${cleanedUrls.length} valid URLs`);
+    const cleanedUrls = cleanUrls(discoveredUrls, urlNormalization);
+    console.log(`Cleaned URLs: ${cleanedUrls.length} valid URLs${urlNormalization ? ' after normalization' : ''}`);
+    
+    if (!sitePlatform && platform === 'auto' && cleanedUrls.length > 0) {
+      sitePlatform = await detectPlatformFromUrls(cleanedUrls, baseUrl, robots);
+      if (sitePlatform) {
+        console.log(`Documentation platform: ${sitePlatform.profile.label} (${sitePlatform.matchedBy.join(', ')}, detected from ${sitePlatform.detectedFrom})`);
+      }
+    }
     
     // Step 3: Filter by content type
     console.log('\n=== STEP 3: FILTERING BY TYPE ===');
-    const filteredUrls = filterUrlsByType(cleanedUrls, type, maxPages * 2);
+    reportStage('filtering');
+    const filteredUrls = filterUrlsByType(cleanedUrls, type, maxPages * 2, {
+      robots,
+      robotsExcluded,
+      profile: sitePlatform && sitePlatform.profile,
+      baseUrl
+    });
     
+    if (filteredUrls.length === 0 && linkDiscovery && cleanedUrls.length > 0) {
+      // Link discovery already ranked the in-scope links by type; keep them
+      console.log('No URLs match the specified type, keeping discovered links');
+      filteredUrls.push(...cleanedUrls.filter(url => !robots || robots.isAllowed(url)).slice(0, maxPages * 2));
+    }
     if (filteredUrls.length === 0) {
       console.log('No URLs match the specified type, falling back to base URL');
       filteredUrls.push(baseUrl);
     }
+    if (robotsExcluded.length > 0) {
+      console.log(`robots.txt excluded ${robotsExcluded.length} URLs`);
+    }
+    emit({ type: 'urls_filtered', total: filteredUrls.length, urls: filteredUrls, robots_excluded: robotsExcluded });
     
     // Step 4: Prioritize and limit
     console.log('\n=== STEP 4: PRIORITIZING URLS ===');
-    const prioritizedUrls = prioritizeUrls(filteredUrls, type, maxPages);
+    reportStage('prioritizing');
+    // The whole filtered list is ranked: URLs past maxPages replace pages collapsed as duplicates
+    const rankedUrls = prioritizeUrls(filteredUrls, type, filteredUrls.length, {
+      sitemapEntries: sitemapFound ? new Map(sitemapEntries.map(entry => {
+        const url = entry.url.trim();
+        return [urlNormalization ? normalizeUrl(url, urlNormalization) : url, entry];
+      })) : null
+    });
+    const prioritizedUrls = rankedUrls.slice(0, maxPages);
+    
+    emit({ type: 'urls_prioritized', total: prioritizedUrls.length, urls: prioritizedUrls });
     
     // Step 5: Batch scrape with enhanced metadata
     console.log('\n=== STEP 5: BATCH SCRAPING ===');
-    const scrapedPages = await batchScrape(prioritizedUrls, rateLimitMs);
+    reportStage('scraping');
+    const schedulerStats = {};
+    const scrapeBatch = async (urls, offset) => {
+      const batchStats = {};
+      const pages = await batchScrape(urls, rateLimitMs, {
+        signal,
+        onProgress: onProgress && (event => onProgress({ ...event, index: event.index + offset, total: event.total + offset })),
+        scrapePage,
+        respectRobots,
+        robotsExcluded,
+        concurrency,
+        perHostConcurrency,
+        schedulerStats: batchStats
+      });
+      mergeHostStats(schedulerStats, batchStats);
+      return pages;
+    };
+    const isUsable = page => page.success && page.content.length > 50;
+    
+    const scrapedPages = await scrapeBatch(prioritizedUrls, 0);
+    let deduplicated = removeDuplicates
+      ? collapseNearDuplicates(scrapedPages.filter(isUsable))
+      : { pages: scrapedPages.filter(isUsable), groups: [] };
+    
+    // Copies don't count against maxPages: scrape the next ranked URLs in their place
+    let nextUrl = prioritizedUrls.length;
+    let extraScraped = 0;
+    while (removeDuplicates && deduplicated.groups.length > 0 && nextUrl < rankedUrls.length &&
+           deduplicated.pages.length < maxPages && !(signal && signal.aborted)) {
+      const refillUrls = rankedUrls.slice(nextUrl, nextUrl + maxPages - deduplicated.pages.length);
+      console.log(`Near-duplicates found, scraping ${refillUrls.length} more URLs`);
+      emit({ type: 'duplicates_refill', total: refillUrls.length, urls: refillUrls });
+      
+      scrapedPages.push(...await scrapeBatch(refillUrls, nextUrl));
+      nextUrl += refillUrls.length;
+      extraScraped += refillUrls.length;
+      deduplicated = collapseNearDuplicates(scrapedPages.filter(isUsable));
+    }
     
     // Step 6: Consolidate results with enhanced metadata
     console.log('\n=== STEP 6: CONSOLIDATING RESULTS ===');
-    const successfulPages = scrapedPages.filter(page => page.success && page.content.length > 50);
+    reportStage('consolidating');
+    const scrapedSuccessfully = deduplicated.pages.slice(0, maxPages);
+    if (deduplicated.groups.length > 0) {
+      const mergedCount = deduplicated.groups.reduce((total, group) => total + group.merged.length, 0);
+      console.log(`Near-duplicates: merged ${mergedCount} pages into ${deduplicated.groups.length} canonical pages`);
+    }
+    
+    // Blocks repeated across many pages (cookie notices, feedback widgets, footers) are dropped
+    const boilerplate = removeRepeatedBlocks
+      ? removeBoilerplate(scrapedSuccessfully)
+      : { pages: scrapedSuccessfully, stats: null, blocks: [] };
+    const successfulPages = boilerplate.pages;
+    if (boilerplate.stats && boilerplate.stats.removedBlocks > 0) {
+      console.log(`Boilerplate: removed ${boilerplate.stats.removedBlocks} blocks (${boilerplate.stats.removedCharacters} chars) from ${boilerplate.stats.pagesAffected} pages`);
+    }
+    
+    // Paragraphs repeated from an earlier page are left out of the consolidated text only
+    const paragraphs = removeDuplicates
+      ? dropRepeatedParagraphs(successfulPages.map(page => page.content))
+      : { contents: successfulPages.map(page => page.content), removed: 0 };
+    if (paragraphs.removed > 0) {
+      console.log(`Near-duplicates: dropped ${paragraphs.removed} repeated paragraphs from the consolidated content`);
+    }
     
     const consolidatedContent = successfulPages
-      .map(page => {
+      .map((page, index) => {
         let pageSection = `=== ${page.title || 'Untitled'} ===\n`;
         pageSection += `URL: ${page.url}\n`;
         
@@ -924,7 +1204,7 @@ async function intelligentCrawl(baseUrl, options = {}) {
           pageSection += `Keywords: ${page.keywords.join(', ')}\n`;
         }
         
-        pageSection += `\n${page.content}\n\n`;
+        pageSection += `\n${paragraphs.contents[index]}\n\n`;
         return pageSection;
       })
       .join('');
@@ -932,24 +1212,50 @@ async function intelligentCrawl(baseUrl, options = {}) {
     const summary = {
       baseUrl,
       totalDiscovered: discoveredUrls.length,
+      totalUnique: cleanedUrls.length,
       totalFiltered: filteredUrls.length,
       totalScraped: scrapedPages.length,
       totalSuccessful: successfulPages.length,
       totalContent: consolidatedContent.length,
+      urlSource,
+      sitemapTruncated,
+      platform: sitePlatform && sitePlatform.detectedFrom
+        ? { ...describePlatform(sitePlatform), detected_from: sitePlatform.detectedFrom }
+        : describePlatform(sitePlatform),
+      boilerplate: boilerplate.stats,
+      duplicates: removeDuplicates ? {
+        pagesMerged: deduplicated.groups.reduce((total, group) => total + group.merged.length, 0),
+        extraUrlsScraped: extraScraped,
+        paragraphsRemoved: paragraphs.removed,
+        groups: deduplicated.groups
+      } : null,
+      linkDiscovery: linkDiscovery ? {
+        pagesFetched: linkDiscovery.pagesFetched,
+        depthReached: linkDiscovery.depthReached,
+        scopePrefix: linkDiscovery.scopePrefix
+      } : null,
+      cancelled: Boolean(signal && signal.aborted),
+      respectRobots,
+      crawlDelayMs: robots ? robots.crawlDelayMs : null,
+      robotsExcluded: [...new Set(robotsExcluded)],
+      hosts: schedulerStats,
       scrapedAt: new Date().toISOString()
     };
     
     console.log('\n=== SUMMARY ===');
-    console.log(`Discovered: ${summary.totalDiscovered} URLs`);
+    console.log(`Discovered: ${summary.totalDiscovered} URLs (${urlSource})`);
     console.log(`Filtered: ${summary.totalFiltered} URLs`);
     console.log(`Scraped: ${summary.totalScraped} URLs`);
     console.log(`Successful: ${summary.totalSuccessful} URLs`);
     console.log(`Total content: ${summary.totalContent} characters`);
+    console.log(`Excluded by robots.txt: ${summary.robotsExcluded.length} URLs`);
+    emit({ type: 'summary', summary });
     
     return {
       summary,
       pages: successfulPages,
       consolidatedContent,
+      boilerplateBlocks: boilerplate.blocks,
       allResults: scrapedPages
     };
     
@@ -962,5 +1268,10 @@ async function intelligentCrawl(baseUrl, options = {}) {
 module.exports = {
   intelligentCrawl,
   scrapeSinglePage,
-  batchScrape
+  batchScrape,
+  extractPageContent,
+  applySafeOptimizations,
+  calculateWordCount,
+  estimateReadingTime,
+  CONTENT_ALGORITHMS
 };
\ No newline at end of file
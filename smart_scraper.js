@@ -2,84 +2,41 @@
 // Detecta automaticamente quando usar JavaScript rendering
 
 const cheerio = require('cheerio');
-const { JSDOM } = require('jsdom');
-const axios = require('axios');
-
-// Headers profissionais para simular browser real
-const browserHeaders = {
-  'User-Agent': 'Mozilla/5.0 (Macintosh; Intel Mac OS X 10_15_7) AppleWebKit/537.36 (KHTML, like Gecko) Chrome/120.0.0.0 Safari/537.36',
-  'Accept': 'text/html,application/xhtml+xml,application/xml;q=0.9,image/webp,*/*;q=0.8',
-  'Accept-Language': 'en-US,en;q=0.5',
-  'Accept-Encoding': 'gzip, deflate',
-  'DNT': '1',
-  'Connection': 'keep-alive',
-  'Upgrade-Insecure-Requests': '1'
-};
+const { renderInPool } = require('./utils/render_pool');
+const { fetchUrl } = require('./utils/http_client');
+const { htmlToMarkdown } = require('./utils/html_to_markdown');
+const { extractStructuredData } = require('./utils/structured_data');
+const { extractMainContent, describeExtraction } = require('./utils/readability');
+const { extractHydrationData } = require('./utils/hydration_data');
+const { networkDataContent } = require('./utils/network_capture');
+const { diagnoseRendering } = require('./utils/rendering_detector');
 
 /**
  * Detecta se um resultado do Cheerio indica necessidade de JavaScript rendering
+ * (sinais e pontuação em utils/rendering_detector)
  * @param {Object} cheerioResult - Resultado da extração com Cheerio
  * @param {string} html - HTML bruto da página
+ * @param {Object|null} hydration - Resumo dos payloads de hidratação (ver preferHydration)
  * @returns {boolean} True se precisa de JavaScript rendering
  */
-function needsJavaScriptRendering(cheerioResult, html) {
-  const $ = cheerio.load(html);
-  
-  // Critério 1: Conteúdo muito baixo
-  if (cheerioResult.content.length < 800) {
-    return true;
-  }
-  
-  // Critério 2: Indicadores de frameworks JavaScript
-  const frameworkIndicators = $('[data-reactroot], #root, #app, [data-v-], [ng-app], app-root').length;
-  if (frameworkIndicators > 0) {
-    return true;
-  }
-  
-  // Critério 3: Muitas tags script (mais de 8)
-  const scriptTags = $('script').length;
-  if (scriptTags > 8) {
-    return true;
-  }
-  
-  // Critério 4: Containers principais vazios
-  const mainContainers = $('main, #main, .main, #content, .content');
-  let emptyContainers = 0;
-  mainContainers.each((i, el) => {
-    const text = $(el).text().trim();
-    if (text.length < 100) emptyContainers++;
-  });
-  
-  if (emptyContainers > 0 && mainContainers.length > 0) {
-    return true;
-  }
-  
-  return false;
-}
-
-/**
- * Função de limpeza de texto melhorada
- * @param {string} text - Texto para limpar
- * @returns {string} Texto limpo
- */
-function cleanText(text) {
-  return text
-    .replace(/\s+/g, ' ')
-    .replace(/\n+/g, '\n')
-    .replace(/\t+/g, ' ')
-    .trim();
+function needsJavaScriptRendering(cheerioResult, html, hydration = null) {
+  return diagnoseRendering(html, { contentLength: cheerioResult.content.length, hydration }).needs_rendering;
 }
 
 /**
  * Extração semântica de conteúdo usando Cheerio
  * @param {Object} $ - Instância do Cheerio
- * @returns {Object} Resultado da extração
+ * @param {string} url - URL da página (para links absolutos no Markdown)
+ * @returns {Object} Resultado da extração (conteúdo em Markdown, tabelas e blocos de código)
  */
-function extractWithCheerio($) {
+function extractWithCheerio($, url = null) {
+  // Dados estruturados (JSON-LD fica em <script>) são lidos antes da limpeza
+  const structuredData = extractStructuredData($);
+
   // Remove elementos desnecessários
   $('script, style, nav, header, footer, .ad, .advertisement, #ads, .cookie-banner, .gdpr-banner').remove();
 
-  let content = '';
+  let contentElement = null;
   let title = $('title').text().trim() || '';
   let description = $('meta[name="description"]').attr('content') || '';
   
@@ -97,141 +54,163 @@ function extractWithCheerio($) {
     '#content',
     '.docs-content',
     '.documentation',
-    '.markdown-body',
-    'body'
+    '.markdown-body'
   ];
 
+  let extraction = null;
   for (const selector of contentSelectors) {
     const element = $(selector);
     if (element.length > 0 && element.text().trim().length > 100) {
-      content = element.text();
+      contentElement = element;
+      extraction = { algorithm: 'selector', selector, confidence: null, score: null };
       break;
     }
   }
 
-  // Fallback: pegar todo o texto do body
-  if (!content) {
-    content = $('body').text();
+  // Sem seletor semântico: detecção de conteúdo principal (readability), depois body completo
+  if (!contentElement) {
+    ({ contentElement, extraction } = findMainContent($));
   }
 
+  const tables = [];
+  const codeBlocks = [];
   return {
     title,
     description,
-    content: cleanText(content),
+    content: htmlToMarkdown(contentElement, { baseUrl: url, tables, codeBlocks }),
+    tables,
+    codeBlocks,
+    structuredData,
+    extraction,
     method: 'cheerio'
   };
 }
 
 /**
- * Extração usando JSDOM (para sites que precisam de JavaScript)
- * @param {string} html - HTML da página
- * @param {string} url - URL da página
- * @returns {Promise<Object>} Resultado da extração
+ * Usa o conteúdo dos payloads de hidratação quando ele supera o extraído do HTML
+ * (SPAs cujo HTML é só um shell); sem executar nenhum script
+ * @param {Object} result - Resultado de um extrator (content, tables, codeBlocks, extraction)
+ * @param {Object|null} hydration - Resultado de extractHydrationData
+ * @param {boolean} canReplace - false quando o conteúdo veio de seletores explícitos (só reporta os payloads)
+ * @returns {Object} Resultado com `hydration` ({ used, content_length, payloads }, ou null sem payloads)
  */
-async function extractWithJSDOM(html, url) {
-  return new Promise((resolve, reject) => {
-    try {
-      console.log('🔄 Switching to JSDOM for JavaScript content...');
-      
-      // Configuração do JSDOM
-      const dom = new JSDOM(html, {
-        url: url,
-        referrer: url,
-        contentType: "text/html",
-        includeNodeLocations: true,
-        storageQuota: 10000000,
-        resources: "usable",
-        runScripts: "dangerously",
-        beforeParse(window) {
-          // Aguardar carregamento da página
-          window.addEventListener('load', () => {
-            setTimeout(() => {
-              extractFromJSDOM(window, resolve);
-            }, 2000); // Aguarda 2s para JavaScript executar
-          });
-        }
-      });
-
-      // Fallback se 'load' não disparar em 8 segundos
-      setTimeout(() => {
-        console.log('⏰ JSDOM timeout, extracting available content...');
-        extractFromJSDOM(dom.window, resolve);
-      }, 8000);
+function preferHydration(result, hydration, canReplace = true) {
+  if (!hydration) return { ...result, hydration: null };
 
-    } catch (error) {
-      console.error('❌ JSDOM error:', error.message);
-      reject(error);
-    }
-  });
+  const summary = { used: false, content_length: hydration.content.length, payloads: hydration.payloads };
+  if (!canReplace || !isRicherContent(hydration, result)) {
+    return { ...result, hydration: summary };
+  }
+
+  return { ...withPayloadContent(result, hydration, 'hydration'), hydration: { ...summary, used: true } };
 }
 
 /**
- * Extrai conteúdo da instância JSDOM
- * @param {Object} window - Window object do JSDOM
- * @param {Function} resolve - Função de resolve da Promise
+ * Usa o conteúdo das respostas JSON capturadas durante a renderização (XHR/fetch) quando
+ * ele supera o extraído do DOM renderizado
+ * @param {Object} result - Resultado de um extrator
+ * @param {Array|null} networkData - Respostas capturadas (network_data)
+ * @param {string} url - URL da página (para links absolutos)
+ * @param {boolean} canReplace - false quando o conteúdo veio de seletores explícitos
+ * @returns {Object} Resultado com `network_content` ({ used, content_length, sources }, ou null sem texto)
  */
-function extractFromJSDOM(window, resolve) {
-  try {
-    const document = window.document;
-    
-    // Remove elementos desnecessários
-    const elementsToRemove = document.querySelectorAll('script, style, nav, header, footer, .ad, .advertisement, #ads, .cookie-banner, .gdpr-banner');
-    elementsToRemove.forEach(el => el.remove());
+function preferNetworkData(result, networkData, url, canReplace = true) {
+  const network = networkDataContent(networkData, url);
+  if (!network) return { ...result, network_content: null };
+
+  const summary = {
+    used: false,
+    content_length: network.content.length,
+    sources: network.payloads.filter(payload => payload.text_length > 0).map(payload => payload.source)
+  };
+  if (!canReplace || !isRicherContent(network, result)) {
+    return { ...result, network_content: summary };
+  }
 
-    let content = '';
-    let title = document.querySelector('title')?.textContent?.trim() || '';
-    let description = document.querySelector('meta[name="description"]')?.getAttribute('content') || '';
-    
-    // Seletores semânticos para JSDOM
-    const contentSelectors = [
-      'main article',
-      'article', 
-      'main',
-      '[role="main"]',
-      '.post-content',
-      '.entry-content',
-      '.article-content', 
-      '.content',
-      '.main-content',
-      '#content',
-      '.docs-content',
-      '.documentation',
-      '.markdown-body'
-    ];
-
-    for (const selector of contentSelectors) {
-      const element = document.querySelector(selector);
-      if (element && element.textContent.trim().length > 100) {
-        content = element.textContent;
-        break;
-      }
-    }
+  return { ...withPayloadContent(result, network, 'network'), network_content: { ...summary, used: true } };
+}
 
-    // Fallback: body completo
-    if (!content) {
-      content = document.body?.textContent || '';
-    }
+// Conteúdo de payloads JSON só substitui o extraído quando é claramente maior
+function isRicherContent(payloadContent, result) {
+  return payloadContent.content.length >= 100 && payloadContent.content.length > result.content.length * 1.2;
+}
 
-    // Fechar JSDOM para liberar memória
-    window.close();
+function withPayloadContent(result, payloadContent, algorithm) {
+  return {
+    ...result,
+    content: payloadContent.content,
+    tables: payloadContent.tables,
+    codeBlocks: payloadContent.codeBlocks,
+    extraction: {
+      algorithm,
+      selector: payloadContent.payloads.filter(payload => payload.text_length > 0).map(payload => payload.source).join(' | '),
+      confidence: null,
+      score: null
+    },
+    ...(result.method ? { method: algorithm } : {})
+  };
+}
 
-    resolve({
-      title,
-      description,
-      content: cleanText(content),
-      method: 'jsdom'
-    });
+/**
+ * Conteúdo principal via readability, com o body como último recurso
+ * (compartilhado pelos caminhos Cheerio e JSDOM)
+ * @param {Object} $ - Instância do Cheerio
+ * @returns {Object} { contentElement, extraction }
+ */
+function findMainContent($) {
+  const main = extractMainContent($);
+  if (main) {
+    return { contentElement: main.$content, extraction: describeExtraction(main) };
+  }
+  return { contentElement: $('body'), extraction: { algorithm: 'body', selector: 'body', confidence: 0, score: null } };
+}
 
-  } catch (error) {
-    console.error('❌ Error extracting from JSDOM:', error.message);
-    resolve({
+/**
+ * Extração usando JSDOM (para sites que precisam de JavaScript): a página é renderizada
+ * num worker do pool e o DOM resultante passa pelo mesmo extrator do Cheerio
+ * @param {string} html - HTML da página
+ * @param {string} url - URL da página
+ * @param {Object|null} wait - Estratégia de espera (ver utils/render_wait), null para a padrão
+ * @returns {Promise<Object>} Resultado da extração, com `render` (tempos de fila/renderização, worker morto)
+ *                            e `networkData` (respostas JSON de XHR/fetch da página)
+ */
+async function extractWithJSDOM(html, url, wait = null) {
+  console.log('🔄 Switching to JSDOM for JavaScript content...');
+  const { html: renderedHtml, network, render } = await renderWithJSDOM(html, url, wait);
+  const networkData = network ? network.entries : null;
+
+  if (renderedHtml === null) {
+    return {
       title: '',
       description: '',
       content: '',
+      tables: [],
+      codeBlocks: [],
+      structuredData: null,
+      extraction: null,
       method: 'jsdom',
-      error: error.message
-    });
+      render,
+      networkData,
+      error: render.error || `Render worker killed (${render.kill_reason})`
+    };
   }
+
+  return { ...extractWithCheerio(cheerio.load(renderedHtml), url), method: 'jsdom', render, networkData };
+}
+
+/**
+ * Renderiza a página com JSDOM num worker isolado e retorna o HTML resultante
+ * (para extratores baseados em Cheerio)
+ * @param {string} html - HTML da página
+ * @param {string} url - URL da página
+ * @param {Object|null} wait - Estratégia de espera (seletor, texto mínimo, rede ociosa, DOM estável)
+ * @returns {Promise<Object>} { html, network, render } - html é null quando o worker foi morto
+ *                            (tempo ou memória esgotados); render traz queue_ms, render_ms, killed
+ *                            e wait.ended_by (condição que encerrou a espera)
+ */
+async function renderWithJSDOM(html, url, wait = null) {
+  console.log('🔄 Rendering page with JSDOM...');
+  return renderInPool(html, url, wait);
 }
 
 /**
@@ -246,24 +225,21 @@ async function smartScrape(url) {
     console.log(`🔍 Smart scraping: ${url}`);
     
     // 1. Fazer requisição HTTP
-    const response = await axios.get(url, {
-      headers: browserHeaders,
-      timeout: 10000,
-      maxRedirects: 5
-    });
+    const response = await fetchUrl(url);
 
     const html = response.data;
     const $ = cheerio.load(html);
 
-    // 2. Tentar extração com Cheerio primeiro (rápido)
-    const cheerioResult = extractWithCheerio($);
+    // 2. Payloads de hidratação (lidos antes de extractWithCheerio remover os scripts), depois Cheerio
+    const hydration = extractHydrationData($, url);
+    const cheerioResult = preferHydration(extractWithCheerio($, url), hydration);
     
-    console.log(`📊 Cheerio extracted: ${cheerioResult.content.length} chars`);
+    console.log(`📊 Cheerio extracted: ${cheerioResult.content.length} chars${cheerioResult.hydration && cheerioResult.hydration.used ? ' (from hydration data)' : ''}`);
 
-    // 3. Verificar se precisa de JavaScript rendering
-    const needsJS = needsJavaScriptRendering(cheerioResult, html);
+    // 3. Verificar se precisa de JavaScript rendering (sinais explicados em renderDecision)
+    const renderDecision = diagnoseRendering(html, { contentLength: cheerioResult.content.length, hydration: cheerioResult.hydration });
     
-    if (!needsJS) {
+    if (!renderDecision.needs_rendering) {
       console.log('✅ Cheerio result sufficient, no JavaScript needed');
       
       return {
@@ -271,8 +247,14 @@ async function smartScrape(url) {
         title: cheerioResult.title,
         description: cheerioResult.description,
         content: cheerioResult.content,
+        tables: cheerioResult.tables,
+        code_blocks: cheerioResult.codeBlocks,
+        structuredData: cheerioResult.structuredData,
+        extraction: cheerioResult.extraction,
+        hydration: cheerioResult.hydration,
+        render_decision: renderDecision,
         length: cheerioResult.content.length,
-        method: 'cheerio',
+        method: cheerioResult.method,
         processingTime: Date.now() - startTime,
         success: true,
         scraped_at: new Date().toISOString()
@@ -296,6 +278,14 @@ async function smartScrape(url) {
       title: finalResult.title,
       description: finalResult.description,
       content: finalResult.content,
+      tables: finalResult.tables,
+      code_blocks: finalResult.codeBlocks,
+      structuredData: finalResult.structuredData,
+      extraction: finalResult.extraction,
+      hydration: cheerioResult.hydration,
+      render_decision: renderDecision,
+      render: jsdomResult.render,
+      network_data: jsdomResult.networkData,
       length: finalResult.content.length,
       method: finalResult.method,
       cheerioLength: cheerioResult.content.length,
@@ -385,8 +375,11 @@ module.exports = {
   smartScrape,
   scrapeSinglePage,
   needsJavaScriptRendering,
+  preferHydration,
+  preferNetworkData,
   extractWithCheerio,
   extractWithJSDOM,
+  renderWithJSDOM,
   testSmartScraper
 };
 
@@ -53,7 +53,8 @@ async function smartScrapeOptimized(url, options = {}) {
       title: scrapedData.title,
       description: scrapedData.description,
       content: scrapedData.content,
-      method: scrapedData.method
+      method: scrapedData.method,
+      format: 'markdown'
     });
     
     // 5. Construir resposta completa
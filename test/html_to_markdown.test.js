@@ -0,0 +1,65 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { htmlToMarkdown } = require('../utils/html_to_markdown');
+
+const md = (html, options) => htmlToMarkdown(html, { baseUrl: 'https://docs.example.com/guide/', ...options });
+
+test('converts headings, lists and absolute links', () => {
+  assert.equal(
+    md('<h1>Guide</h1><ul><li>One <a href="../api">API</a></li><li>Two</li></ul>'),
+    '# Guide\n\n- One [API](https://docs.example.com/api)\n- Two'
+  );
+});
+
+test('escapes Markdown syntax in text', () => {
+  assert.equal(md('<p>5 * 3 and `x` and [draft]</p>'), '5 \\* 3 and \\`x\\` and \\[draft\\]');
+  assert.equal(md('<p># not a heading</p>'), '\\# not a heading');
+  assert.equal(md('<p>C# and #tag</p>'), 'C# and #tag');
+});
+
+test('escapes list, blockquote and setext markers at the start of a line', () => {
+  assert.equal(md('<p>- not a list</p>'), '\\- not a list');
+  assert.equal(md('<p>+ plus</p><p>&gt; not a quote</p><p>1. first</p><p>2) second</p>'), '\\+ plus\n\n\\> not a quote\n\n1\\. first\n\n2\\) second');
+  assert.equal(md('<p>Title<br>===</p>'), 'Title\n\\===');
+  assert.equal(md('<p>pages 1-5 and 3.14 &gt; 2</p>'), 'pages 1-5 and 3.14 > 2');
+});
+
+test('escapes raw HTML and entities in text', () => {
+  assert.equal(md('<p>&lt;img src=x onerror=alert(1)&gt;</p>'), '\\<img src=x onerror=alert(1)>');
+  assert.equal(md('<p>&amp;lt;b&amp;gt; and AT&amp;T</p>'), '\\&lt;b\\&gt; and AT&T');
+  assert.equal(md('<p>C:\\path\\*.md</p>'), 'C:\\path\\\\\\*.md');
+});
+
+test('escapes underscores only outside words', () => {
+  assert.equal(md('<p>snake_case and __init__ and _private</p>'), 'snake_case and \\_\\_init\\_\\_ and \\_private');
+});
+
+test('leaves code untouched', () => {
+  assert.equal(md('<p><code>a*b_c</code></p><pre><code>x * y</code></pre>'), '`a*b_c`\n\n```\nx * y\n```');
+});
+
+test('keeps adjacent emphasis parseable', () => {
+  assert.equal(md('<p><em>f</em><strong>g</strong></p>'), '_f_**g**');
+  assert.equal(md('<p><strong>g</strong><em>f</em></p>'), '**g**_f_');
+  assert.equal(md('<p><strong>a</strong><strong>b</strong> and <em>c</em><em>d</em></p>'), '**ab** and *cd*');
+  assert.equal(md('<p><em>f</em> <strong>g</strong></p>'), '*f* **g**');
+});
+
+test('drops permalink anchors inside headings', () => {
+  assert.equal(md('<h2>Install <a class="headerlink" href="#install">¶</a></h2>'), '## Install');
+  assert.equal(md('<h3><a class="anchor" href="#config">#</a>Config</h3>'), '### Config');
+  assert.equal(md('<h2><a href="#setup">Setup</a></h2>'), '## Setup');
+});
+
+test('escapes link text without breaking nested images', () => {
+  assert.equal(
+    md('<p><a href="/x">[docs]</a> <a href="/y"><img src="/i.png" alt="logo"></a></p>'),
+    '[\\[docs\\]](https://docs.example.com/x) [![logo](https://docs.example.com/i.png)](https://docs.example.com/y)'
+  );
+});
+
+test('renders code blocks inside headings and links as inline code', () => {
+  assert.equal(md('<h2>Title <pre>x=1</pre></h2>'), '## Title `x=1`');
+  assert.equal(md('<a href="/x"><div><pre>code</pre></div></a>'), '[`code`](https://docs.example.com/x)');
+  assert.equal(md('<dl><dt>Usage <pre>run --fast</pre></dt><dd>Runs it</dd></dl>'), '**Usage `run --fast`**\n: Runs it');
+});
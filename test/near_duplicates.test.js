@@ -0,0 +1,57 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { collapseNearDuplicates } = require('../utils/near_duplicates');
+
+const TOPICS = ['installation', 'configuration', 'deployment', 'authentication', 'billing', 'webhooks'];
+
+// A page of distinct prose about one topic (well above the fingerprint minimum)
+function article(topic) {
+  return Array.from({ length: 12 }, (_, i) => `Step ${i} of the ${topic} guide explains ${topic} option ${i * 7} in detail.`).join(' ');
+}
+
+test('merges pages with the same content', () => {
+  const content = article('installation');
+  const { pages, groups } = collapseNearDuplicates([
+    { url: 'https://docs.example.com/install', content, canonical_url: 'https://docs.example.com/install' },
+    { url: 'https://docs.example.com/install?ref=nav', content, canonical_url: 'https://docs.example.com/install' }
+  ]);
+
+  assert.equal(pages.length, 1);
+  assert.equal(pages[0].url, 'https://docs.example.com/install');
+  assert.deepEqual(groups[0].merged, ['https://docs.example.com/install?ref=nav']);
+});
+
+test('keeps distinct pages whose canonical points at the homepage', () => {
+  const input = TOPICS.map(topic => ({
+    url: `https://docs.example.com/${topic}`,
+    content: article(topic),
+    canonical_url: 'https://docs.example.com/'
+  }));
+
+  const { pages, groups } = collapseNearDuplicates(input);
+
+  assert.equal(pages.length, TOPICS.length);
+  assert.equal(groups.length, 0);
+});
+
+test('ignores canonicals on another host', () => {
+  const input = ['https://a.example.com/page', 'https://b.example.com/page'].map((url, i) => ({
+    url,
+    content: 'Short page ' + i,
+    canonical_url: 'https://www.example.org/page'
+  }));
+
+  assert.equal(collapseNearDuplicates(input).pages.length, 2);
+});
+
+test('prefers the page that declares itself canonical', () => {
+  const content = article('configuration');
+  // canonical_url falls back to the page URL when nothing is declared: only canonicalUrl is a declaration
+  const { pages } = collapseNearDuplicates([
+    { url: 'https://docs.example.com/config', content, canonical_url: 'https://docs.example.com/config', canonicalUrl: null },
+    { url: 'https://docs.example.com/configuration', content, canonical_url: 'https://docs.example.com/configuration', canonicalUrl: '/configuration' }
+  ]);
+
+  assert.equal(pages.length, 1);
+  assert.equal(pages[0].url, 'https://docs.example.com/configuration');
+});
@@ -0,0 +1,78 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const http = require('http');
+const { JSDOM } = require('jsdom');
+const { captureNetwork, networkDataContent } = require('../utils/network_capture');
+
+const ARTICLE = 'Webhooks deliver events to your endpoint as signed JSON requests. '.repeat(4);
+
+const ROUTES = {
+  '/article': ['application/json', JSON.stringify({ title: 'Webhooks', body: ARTICLE })],
+  '/guarded': ['application/json', `)]}'\n${JSON.stringify({ ok: true })}`],
+  '/untyped': ['text/plain', '{"list":[1,2,3]}'],
+  '/page': ['text/html', '<p>not json</p>']
+};
+
+let server;
+let base;
+
+test.before(async () => {
+  server = http.createServer((req, res) => {
+    const [type, body] = ROUTES[req.url] || ['text/plain', ''];
+    res.writeHead(ROUTES[req.url] ? 200 : 404, { 'Content-Type': type });
+    res.end(body);
+  });
+  await new Promise(resolve => server.listen(0, '127.0.0.1', resolve));
+  base = `http://127.0.0.1:${server.address().port}`;
+});
+
+test.after(() => server.close());
+
+// Captures the responses of XMLHttpRequests sent one after the other from a JSDOM window
+async function captureRequests(paths, limits = { maxResponses: 30, maxBytes: 1024 * 1024 }) {
+  let capture = null;
+  const dom = new JSDOM('<body></body>', {
+    url: `${base}/`,
+    beforeParse(window) {
+      capture = captureNetwork(window, limits);
+    }
+  });
+  for (const path of paths) {
+    await new Promise(resolve => {
+      const xhr = new dom.window.XMLHttpRequest();
+      xhr.open('GET', path);
+      xhr.addEventListener('loadend', resolve);
+      xhr.send();
+    });
+  }
+  dom.window.close();
+  return capture;
+}
+
+test('records JSON responses and ignores other bodies', async () => {
+  const capture = await captureRequests(['/article', '/guarded', '/untyped', '/page']);
+  assert.deepEqual(capture.entries.map(entry => entry.url), [`${base}/article`, `${base}/guarded`, `${base}/untyped`]);
+  assert.equal(capture.entries[0].json.title, 'Webhooks');
+  assert.deepEqual(capture.entries[1].json, { ok: true });
+  assert.equal(capture.entries[2].content_type, 'text/plain');
+});
+
+test('applies the response count and byte limits', async () => {
+  const capture = await captureRequests(['/guarded', '/article', '/untyped'], { maxResponses: 2, maxBytes: 100 });
+  assert.equal(capture.entries.length, 2);
+  assert.equal(capture.skipped, 1);
+  assert.equal(capture.entries[0].truncated, false);
+  assert.equal(capture.entries[1].truncated, true);
+  assert.equal(capture.entries[1].json, null);
+});
+
+test('networkDataContent turns successful payloads into content', () => {
+  const entries = [
+    { url: `${base}/article`, method: 'GET', status: 200, bytes: 300, json: { title: 'Webhooks', body: ARTICLE }, truncated: false },
+    { url: `${base}/error`, method: 'GET', status: 500, bytes: 40, json: { message: 'Internal failure '.repeat(10) }, truncated: false }
+  ];
+  const result = networkDataContent(entries, `${base}/`);
+  assert.match(result.content, /Webhooks deliver events/);
+  assert.doesNotMatch(result.content, /Internal failure/);
+  assert.equal(networkDataContent([entries[1]]), null);
+});
@@ -0,0 +1,60 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const http = require('http');
+
+process.env.SSRF_ALLOWLIST = '127.0.0.1';
+const { renderInPool } = require('../utils/render_pool');
+
+// A page whose article only arrives through fetch(), in two chained requests
+const PAGE = `<!DOCTYPE html>
+<html><body><main id="app">Loading...</main>
+<script>
+  fetch('/api/article', { headers: { Accept: 'application/json' } })
+    .then(response => response.json())
+    .then(article => fetch(article.next).then(response => response.json()).then(more => {
+      document.getElementById('app').textContent = article.title + ' / ' + more.body;
+    }))
+    .catch(error => { document.getElementById('app').textContent = 'failed: ' + error.message; });
+</script>
+</body></html>`;
+
+const ROUTES = {
+  '/api/article': { title: 'Fetched article', next: '/api/more' },
+  '/api/more': { body: 'Second fetch body' }
+};
+
+function startServer() {
+  const server = http.createServer((req, res) => {
+    const payload = ROUTES[req.url];
+    if (!payload) {
+      res.writeHead(404);
+      res.end();
+      return;
+    }
+    setTimeout(() => {
+      res.writeHead(200, { 'Content-Type': 'application/json' });
+      res.end(JSON.stringify(payload));
+    }, 150);
+  });
+  return new Promise(resolve => server.listen(0, '127.0.0.1', () => resolve(server)));
+}
+
+test('fetch-driven pages render, are captured and hold network_idle', async () => {
+  const server = await startServer();
+  try {
+    const url = `http://127.0.0.1:${server.address().port}/`;
+    const wait = { selector: null, minTextLength: null, networkIdleMs: 100, domStableMs: null, timeoutMs: 5000 };
+    const result = await renderInPool(PAGE, url, wait);
+
+    assert.equal(result.render.killed, false);
+    assert.match(result.html, /Fetched article \/ Second fetch body/);
+    assert.equal(result.render.wait.ended_by, 'network_idle');
+    assert.deepEqual(
+      result.network.entries.map(entry => [entry.method, entry.url, entry.status]),
+      [['GET', `${url}api/article`, 200], ['GET', `${url}api/more`, 200]]
+    );
+    assert.equal(result.network.entries[1].json.body, 'Second fetch body');
+  } finally {
+    server.close();
+  }
+});
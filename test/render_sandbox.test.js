@@ -0,0 +1,116 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const http = require('http');
+
+delete process.env.SSRF_ALLOWLIST;
+const { renderInPool } = require('../utils/render_pool');
+
+const WAIT = { selector: null, minTextLength: null, networkIdleMs: 100, domStableMs: null, timeoutMs: 5000 };
+
+// Loopback server standing in for an internal service: counts every request and upgrade it receives
+function startServer() {
+  const hits = [];
+  const server = http.createServer((req, res) => {
+    hits.push(req.url);
+    res.writeHead(200, { 'Content-Type': 'application/json', 'Access-Control-Allow-Origin': '*' });
+    res.end('{"secret":"metadata"}');
+  });
+  server.on('upgrade', (req, socket) => {
+    hits.push(`upgrade ${req.url}`);
+    socket.destroy();
+  });
+  return new Promise(resolve => server.listen(0, '127.0.0.1', () => resolve({ server, hits })));
+}
+
+// Runs a page script that reports its outcome into <main id="out">
+async function renderScript(script) {
+  const result = await renderInPool(
+    `<!DOCTYPE html><html><body><main id="out">pending</main><script>
+      const report = value => { document.getElementById('out').textContent = value; };
+      ${script}
+    </script></body></html>`,
+    'https://docs.example.com/',
+    WAIT
+  );
+  const match = result.html.match(/<main id="out">([^<]*)<\/main>/);
+  return { result, outcome: match ? match[1] : null };
+}
+
+let target;
+
+test.before(async () => {
+  target = await startServer();
+});
+
+test.after(() => target.server.close());
+
+const loopback = path => `http://127.0.0.1:${target.server.address().port}${path}`;
+
+test('asynchronous XMLHttpRequest to loopback is blocked', async () => {
+  const { result, outcome } = await renderScript(`
+    const xhr = new XMLHttpRequest();
+    xhr.open('GET', '${loopback('/async')}');
+    xhr.onload = () => report('loaded ' + xhr.responseText);
+    xhr.onerror = () => report('error');
+    xhr.send();
+  `);
+  assert.equal(outcome, 'error');
+  assert.equal(result.render.captured_responses, 0);
+  assert.deepEqual(target.hits, []);
+});
+
+test('synchronous XMLHttpRequest throws and is not captured', async () => {
+  const { result, outcome } = await renderScript(`
+    try {
+      const xhr = new XMLHttpRequest();
+      xhr.open('GET', '${loopback('/sync')}', false);
+      xhr.send();
+      report('loaded ' + xhr.responseText);
+    } catch (error) {
+      report(error.name);
+    }
+  `);
+  assert.equal(outcome, 'InvalidAccessError');
+  assert.equal(result.render.captured_responses, 0);
+  assert.deepEqual(target.hits, []);
+});
+
+test('fetch to loopback rejects', async () => {
+  const { result, outcome } = await renderScript(`
+    fetch('${loopback('/fetch')}')
+      .then(response => response.text())
+      .then(text => report('loaded ' + text), error => report(error.name + ': ' + error.message));
+  `);
+  assert.equal(outcome, 'TypeError: Failed to fetch');
+  assert.equal(result.render.captured_responses, 0);
+  assert.deepEqual(target.hits, []);
+});
+
+test('WebSocket and EventSource are not available', async () => {
+  const { outcome } = await renderScript(`
+    report([typeof WebSocket, typeof EventSource].join(','));
+    if (typeof WebSocket === 'function') new WebSocket('${loopback('/ws').replace('http', 'ws')}');
+  `);
+  assert.equal(outcome, 'undefined,undefined');
+  assert.deepEqual(target.hits, []);
+});
+
+test('frame windows are sandboxed too', async () => {
+  const { outcome } = await renderScript(`
+    const frame = document.createElement('iframe');
+    document.body.appendChild(frame);
+    const frameWindow = frame.contentWindow;
+    let sync;
+    try {
+      const xhr = new frameWindow.XMLHttpRequest();
+      xhr.open('GET', '${loopback('/frame-sync')}', false);
+      xhr.send();
+      sync = 'loaded';
+    } catch (error) {
+      sync = error.name;
+    }
+    report([typeof frameWindow.WebSocket, sync].join(','));
+  `);
+  assert.equal(outcome, 'undefined,InvalidAccessError');
+  assert.deepEqual(target.hits, []);
+});
@@ -0,0 +1,81 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const http = require('http');
+const { JSDOM } = require('jsdom');
+const { parseWaitOptions, createNetworkTracker, watchPage, DEFAULT_WAIT } = require('../utils/render_wait');
+
+// Renders a page in JSDOM (no worker, no SSRF guard) and resolves with the wait report and the DOM text
+function watch(html, url, wait) {
+  return new Promise(resolve => {
+    const network = createNetworkTracker();
+    new JSDOM(html, {
+      url,
+      runScripts: 'dangerously',
+      beforeParse(window) {
+        watchPage(window, { ...DEFAULT_WAIT, ...wait }, network, report => {
+          const text = window.document.body.textContent.trim();
+          window.close();
+          resolve({ report, text });
+        });
+      }
+    });
+  });
+}
+
+test('parseWaitOptions keeps valid conditions and reports invalid ones', () => {
+  assert.deepEqual(parseWaitOptions(undefined), { wait: null, errors: [] });
+
+  const { wait, errors } = parseWaitOptions({ selector: ' #app ', network_idle_ms: 500 });
+  assert.deepEqual(errors, []);
+  assert.equal(wait.selector, '#app');
+  assert.equal(wait.networkIdleMs, 500);
+  assert.equal(wait.timeoutMs, DEFAULT_WAIT.timeoutMs);
+
+  const invalid = parseWaitOptions({ selector: 'div[', timeout_ms: 10, delay: 1 });
+  assert.equal(invalid.wait, null);
+  assert.equal(invalid.errors.length, 3);
+});
+
+test('network_idle waits for the page\'s XMLHttpRequest calls', async () => {
+  const server = http.createServer((req, res) => {
+    setTimeout(() => res.end('from the API'), 400);
+  });
+  await new Promise(resolve => server.listen(0, '127.0.0.1', resolve));
+  try {
+    const { report, text } = await watch(
+      `<body><script>
+        const xhr = new XMLHttpRequest();
+        xhr.open('GET', '/api');
+        xhr.onload = () => { document.body.textContent = xhr.responseText; };
+        xhr.send();
+      </script></body>`,
+      `http://127.0.0.1:${server.address().port}/`,
+      { networkIdleMs: 100, timeoutMs: 5000 }
+    );
+    assert.equal(report.ended_by, 'network_idle');
+    assert.ok(report.elapsed_ms >= 400, `ended after ${report.elapsed_ms} ms`);
+    assert.equal(text, 'from the API');
+  } finally {
+    server.close();
+  }
+});
+
+test('selector ends the wait once the element appears', async () => {
+  const { report, text } = await watch(
+    '<body><script>setTimeout(() => { document.body.innerHTML = \'<div id="app">ready</div>\'; }, 200);</script></body>',
+    'https://docs.example.com/',
+    { selector: '#app', timeoutMs: 5000 }
+  );
+  assert.equal(report.ended_by, 'selector');
+  assert.deepEqual(report.pending, []);
+  assert.equal(text, 'ready');
+});
+
+test('timeout ends the wait and lists the pending conditions', async () => {
+  const { report } = await watch('<body><p>static</p></body>', 'https://docs.example.com/', {
+    selector: '#never',
+    timeoutMs: 300
+  });
+  assert.equal(report.ended_by, 'timeout');
+  assert.deepEqual(report.pending, ['selector']);
+});
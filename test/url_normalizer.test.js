@@ -0,0 +1,15 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { normalizeUrl } = require('../utils/url_normalizer');
+
+test('strips tracking parameters and sorts the rest', () => {
+  assert.equal(normalizeUrl('https://Docs.Example.com/guide?utm_source=x&b=2&a=1#top'), 'https://docs.example.com/guide?a=1&b=2');
+});
+
+test('keeps the original text of kept parameters', () => {
+  assert.equal(normalizeUrl('https://docs.example.com/search?flag&q=a%20b&r=c+d'), 'https://docs.example.com/search?flag&q=a%20b&r=c+d');
+});
+
+test('leaves repeated path slashes alone', () => {
+  assert.equal(normalizeUrl('https://docs.example.com/a//b'), 'https://docs.example.com/a//b');
+});
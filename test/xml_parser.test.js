@@ -0,0 +1,61 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const http = require('http');
+
+process.env.SSRF_ALLOWLIST = '127.0.0.1';
+const { parseSitemapEntries, discoverSitemapEntries } = require('../utils/xml_parser');
+
+const urlset = urls => `<?xml version="1.0"?><urlset xmlns="http://www.sitemaps.org/schemas/sitemap/0.9">${
+  urls.map(url => `<url><loc>${url}</loc><priority>0.8</priority><changefreq>weekly</changefreq></url>`).join('')
+}</urlset>`;
+
+test('parses sitemap entries with their metadata', async () => {
+  const entries = await parseSitemapEntries(urlset(['https://docs.example.com/a', '/b']), 'https://docs.example.com');
+  assert.deepEqual(entries, [
+    { url: 'https://docs.example.com/a', lastmod: null, priority: 0.8, changefreq: 'weekly' },
+    { url: 'https://docs.example.com/b', lastmod: null, priority: 0.8, changefreq: 'weekly' }
+  ]);
+});
+
+test('yields to the event loop while parsing a large sitemap', async () => {
+  const urls = Array.from({ length: 5000 }, (_, i) => `https://docs.example.com/page-${i}`);
+  let ticks = 0;
+  const tick = () => {
+    ticks++;
+    timer = setImmediate(tick);
+  };
+  let timer = setImmediate(tick);
+  const entries = await parseSitemapEntries(urlset(urls));
+  clearImmediate(timer);
+
+  assert.equal(entries.length, 5000);
+  assert.ok(ticks > 1, `event loop ran ${ticks} times during the parse`);
+});
+
+test('reads robots.txt Sitemap lines only from the rules it is given', async () => {
+  const hits = [];
+  const server = http.createServer((req, res) => {
+    hits.push(req.url);
+    if (req.url === '/maps/docs.xml') {
+      res.writeHead(200, { 'Content-Type': 'application/xml' });
+      res.end(urlset([`http://127.0.0.1:${server.address().port}/guide`]));
+      return;
+    }
+    res.writeHead(404);
+    res.end();
+  });
+  await new Promise(resolve => server.listen(0, '127.0.0.1', resolve));
+  const base = `http://127.0.0.1:${server.address().port}`;
+
+  try {
+    const ignored = await discoverSitemapEntries(base, null);
+    assert.deepEqual(ignored.entries, []);
+    assert.ok(!hits.includes('/robots.txt'));
+
+    const found = await discoverSitemapEntries(base, { sitemaps: [`${base}/maps/docs.xml`] });
+    assert.deepEqual(found.entries.map(entry => entry.url), [`${base}/guide`]);
+    assert.ok(!hits.includes('/robots.txt'));
+  } finally {
+    server.close();
+  }
+});
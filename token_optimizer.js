@@ -1,12 +1,20 @@
 // AI Token Optimizer - Compressão semântica para LLMs
 // Reduz tokens preservando significado e contexto
 
+const { mapMarkdownText, splitMarkdownBlocks } = require('./utils/html_to_markdown');
+const { convertWideTables, WIDE_TABLE_COLUMNS } = require('./utils/table_extractor');
+
 /**
  * Otimizador de tokens especializado para consumo de IA
  */
 class AITokenOptimizer {
   
-  constructor() {
+  /**
+   * @param {Object} options - wideTableColumns: tabelas com mais colunas viram pares chave-valor (0 desativa)
+   */
+  constructor(options = {}) {
+    this.wideTableColumns = options.wideTableColumns !== undefined ? options.wideTableColumns : WIDE_TABLE_COLUMNS;
+    
     // Palavras vazias em português e inglês que podem ser removidas sem perder contexto
     this.stopWords = new Set([
       // Português
@@ -50,6 +58,15 @@ class AITokenOptimizer {
       { pattern: /\bas a result of\b/gi, replacement: 'because of' },
       { pattern: /\bin spite of the fact that\b/gi, replacement: 'although' }
     ];
+    
+    // Frases comuns que não agregam valor semântico
+    this.unnecessaryPhrases = [
+      /\b(?:como mencionado anteriormente|conforme dito antes|como visto acima)\b/gi,
+      /\b(?:vale a pena mencionar que|é interessante notar que)\b/gi,
+      /\b(?:neste contexto|nesse sentido|dessa forma)\b/gi,
+      /\b(?:as mentioned above|as stated before|it should be noted)\b/gi,
+      /\b(?:it is worth mentioning|it is interesting to note)\b/gi
+    ];
   }
   
   /**
@@ -61,14 +78,26 @@ class AITokenOptimizer {
     const startTime = Date.now();
     const originalLength = extractedData.content.length;
     
-    // 1. Estruturação semântica
-    const structuredContent = this.createSemanticStructure(extractedData.content, extractedData.title);
-    
-    // 2. Compressão inteligente
-    const compressedContent = this.intelligentCompress(structuredContent);
+    let compressedContent;
+    let markdownContent;
     
-    // 3. Markdown otimizado para LLM
-    const markdownContent = this.optimizedMarkdown(compressedContent, extractedData.title);
+    if (extractedData.format === 'markdown') {
+      // Conteúdo já estruturado pelo conversor: comprimir sem perder headings, listas e código
+      markdownContent = this.compressMarkdown(extractedData.content, extractedData.title);
+      compressedContent = markdownContent;
+    } else {
+      // Blocos de código já cercados por ``` passam intactos pelos passos 1 e 2
+      const outsideCode = transform => mapMarkdownText(extractedData.content, text => `\n\n${transform(text)}\n\n`);
+      
+      // 1. Estruturação semântica
+      const structuredContent = outsideCode(text => this.createSemanticStructure(text, extractedData.title));
+      
+      // 2. Compressão inteligente
+      compressedContent = mapMarkdownText(structuredContent, text => `\n\n${this.intelligentCompress(text)}\n\n`);
+      
+      // 3. Markdown otimizado para LLM
+      markdownContent = this.optimizedMarkdown(compressedContent, extractedData.title);
+    }
     
     // 4. Extração de keywords
     const keywords = this.extractKeywords(compressedContent);
@@ -121,10 +150,7 @@ class AITokenOptimizer {
         return this.formatList(paragraph);
       }
       
-      // Detectar código
-      if (this.isCode(paragraph)) {
-        return this.formatCode(paragraph);
-      }
+      // Código não é adivinhado pelo texto: só blocos já cercados por ``` são tratados como código
       
       // Detectar títulos/headers dentro do texto
       if (this.isHeader(paragraph)) {
@@ -179,29 +205,30 @@ class AITokenOptimizer {
     
     // Processar conteúdo linha por linha
     const lines = content.split('\n');
-    let inCodeBlock = false;
+    let codeFence = null;
     
     for (let i = 0; i < lines.length; i++) {
       const line = lines[i].trim();
       
-      if (!line) continue;
-      
-      // Detectar blocos de código
-      if (line.includes('```') || line.includes('function') || line.includes('const ') || line.includes('import ')) {
-        if (!inCodeBlock) {
-          markdown += '```\n';
-          inCodeBlock = true;
+      // Blocos de código cercados: copiados sem alteração (indentação e linhas em branco incluídas)
+      const fence = line.match(/^(`{3,}|~{3,})/);
+      if (codeFence) {
+        markdown += lines[i] + '\n';
+        if (fence && fence[1][0] === codeFence[0] && fence[1].length >= codeFence.length && line === fence[1]) {
+          markdown += '\n';
+          codeFence = null;
         }
-        markdown += line + '\n';
         continue;
       }
       
-      if (inCodeBlock && (line.includes('}') || line.includes(');'))) {
-        markdown += line + '\n```\n\n';
-        inCodeBlock = false;
+      if (fence) {
+        markdown += '\n' + lines[i] + '\n';
+        codeFence = fence[1];
         continue;
       }
       
+      if (!line) continue;
+      
       // Headers (detectar por padrões)
       if (this.isHeaderLine(line)) {
         const level = this.getHeaderLevel(line);
@@ -222,14 +249,70 @@ class AITokenOptimizer {
     }
     
     // Fechar código se ainda aberto
-    if (inCodeBlock) {
-      markdown += '```\n\n';
+    if (codeFence) {
+      markdown += codeFence + '\n\n';
     }
     
-    // Limpeza final
-    return markdown
-      .replace(/\n{3,}/g, '\n\n')
-      .trim();
+    // Limpeza final (fora dos blocos de código)
+    return mapMarkdownText(markdown, text => text.replace(/\n{3,}/g, '\n\n')).trim();
+  }
+  
+  /**
+   * Compressão para conteúdo que já é Markdown: preserva a estrutura e não toca em blocos de código
+   * @param {string} content - Markdown gerado pelo conversor HTML
+   * @param {string} title - Título principal
+   * @returns {string} Markdown comprimido
+   */
+  compressMarkdown(content, title) {
+    const seenParagraphs = new Set();
+    
+    let markdown = mapMarkdownText(content, text => {
+      // As quebras em volta dos blocos de código são mantidas como estão
+      const leading = text.match(/^\s*/)[0];
+      if (leading.length === text.length) return text;
+      const trailing = text.match(/\s*$/)[0];
+      let body = text.slice(leading.length, text.length - trailing.length);
+      
+      // Tabelas muito largas ficam mais legíveis como um bloco de pares chave-valor por linha
+      if (this.wideTableColumns > 0) {
+        body = convertWideTables(body, this.wideTableColumns);
+      }
+      
+      // Padrões de compressão e frases desnecessárias, linha a linha
+      const lines = body.split('\n').map(line => {
+        let compressed = line;
+        this.compressionPatterns.forEach(({ pattern, replacement }) => {
+          compressed = compressed.replace(pattern, replacement);
+        });
+        this.unnecessaryPhrases.forEach(phrase => {
+          compressed = compressed.replace(phrase, '');
+        });
+        // Espaços repetidos dentro da linha (mantendo a indentação de listas)
+        return compressed.replace(/(\S)[ \t]+/g, '$1 ').replace(/[ \t]+$/, '');
+      });
+      
+      // Remover parágrafos repetidos (menus e rodapés duplicados)
+      const paragraphs = lines.join('\n')
+        .split(/\n{2,}/)
+        .filter(paragraph => {
+          const key = paragraph.trim().toLowerCase();
+          if (!key) return false;
+          if (key.length > 20 && seenParagraphs.has(key)) return false;
+          seenParagraphs.add(key);
+          return true;
+        });
+      
+      return leading + paragraphs.join('\n\n') + trailing;
+    });
+    
+    markdown = markdown.replace(/\n{3,}/g, '\n\n').trim();
+    
+    // Título principal, se o conteúdo ainda não começa com ele
+    if (title && !/^#\s/.test(markdown)) {
+      markdown = `# ${title}\n\n${markdown}`;
+    }
+    
+    return markdown;
   }
   
   /**
@@ -271,15 +354,23 @@ class AITokenOptimizer {
     const maxChunkSize = 2000; // chars por chunk
     const chunks = [];
     
-    // Dividir por headers primeiro
-    const sections = content.split(/(?=^#{1,6}\s)/m);
+    // Dividir por headers primeiro (blocos de código nunca são partidos, nem por "# comentários")
+    const sections = [];
+    splitMarkdownBlocks(content).forEach(block => {
+      if (sections.length === 0 || /^#{1,6}\s/.test(block)) {
+        sections.push([block]);
+      } else {
+        sections[sections.length - 1].push(block);
+      }
+    });
     
-    for (const section of sections) {
+    for (const blocks of sections) {
+      const section = blocks.join('\n\n');
       if (section.length <= maxChunkSize) {
         chunks.push(section.trim());
       } else {
         // Dividir seções grandes por parágrafos
-        const paragraphs = section.split('\n\n');
+        const paragraphs = blocks;
         let currentChunk = '';
         
         for (const paragraph of paragraphs) {
@@ -308,11 +399,6 @@ class AITokenOptimizer {
     return /^[\s]*[-*•]\s/.test(text) || /^\s*\d+\.\s/.test(text);
   }
   
-  isCode(text) {
-    return /^[\s]*(?:function|const|let|var|import|export|class|if|for|while)\s/.test(text) || 
-           text.includes('()') || text.includes('{}') || text.includes('[]');
-  }
-  
   isHeader(text) {
     return text.length < 100 && /^[A-Z][^.!?]*$/.test(text.trim());
   }
@@ -350,10 +436,6 @@ class AITokenOptimizer {
       .join('\n');
   }
   
-  formatCode(text) {
-    return '```\n' + text + '\n```';
-  }
-  
   formatHeader(text) {
     return `## ${text}`;
   }
@@ -380,16 +462,8 @@ class AITokenOptimizer {
   
   compactUnnecessaryPhrases(text) {
     // Remover frases comuns que não agregam valor semântico
-    const unnecessaryPhrases = [
-      /\b(?:como mencionado anteriormente|conforme dito antes|como visto acima)\b/gi,
-      /\b(?:vale a pena mencionar que|é interessante notar que)\b/gi,
-      /\b(?:neste contexto|nesse sentido|dessa forma)\b/gi,
-      /\b(?:as mentioned above|as stated before|it should be noted)\b/gi,
-      /\b(?:it is worth mentioning|it is interesting to note)\b/gi
-    ];
-    
     let cleaned = text;
-    unnecessaryPhrases.forEach(phrase => {
+    this.unnecessaryPhrases.forEach(phrase => {
       cleaned = cleaned.replace(phrase, '');
     });
     
@@ -0,0 +1,108 @@
+// Cross-page boilerplate: Markdown blocks (paragraphs, lists, tables) that repeat across a large
+// share of the pages of one crawl - cookie notices, "Was this page helpful?", version banners,
+// footers - are dropped from every page. Fenced code blocks and headings are never touched.
+//
+// Blocks are compared after normalization (case, whitespace, Markdown link targets and digits),
+// so "Last updated on Jan 3" and "Last updated on Jan 9" count as the same block.
+//
+// Configuration:
+//   BOILERPLATE_MIN_PAGES - pages a block must appear on (default 3; smaller crawls are skipped)
+//   BOILERPLATE_RATIO     - share of the pages a block must appear on (default 0.5)
+
+const crypto = require('crypto');
+const { splitMarkdownBlocks } = require('./html_to_markdown');
+
+const MIN_PAGES = parseInt(process.env.BOILERPLATE_MIN_PAGES, 10) || 3;
+const MIN_RATIO = parseFloat(process.env.BOILERPLATE_RATIO) || 0.5;
+const MAX_REPORTED_BLOCKS = 50;
+
+// Code blocks and lone headings are structure, not boilerplate, even when repeated
+function isProtectedBlock(block) {
+  return /^[ >]*(`{3,}|~{3,})/.test(block) || /^#{1,6} [^\n]*$/.test(block);
+}
+
+function normalizeBlock(block) {
+  return block
+    .replace(/\]\([^)]*\)/g, ']')   // link targets often carry the current page
+    .replace(/[*_`#>|-]+/g, ' ')
+    .replace(/\d+/g, '0')
+    .replace(/\s+/g, ' ')
+    .trim()
+    .toLowerCase();
+}
+
+function blockHash(block) {
+  const normalized = normalizeBlock(block);
+  return normalized ? crypto.createHash('sha1').update(normalized).digest('hex') : null;
+}
+
+/**
+ * Finds blocks repeated across pages and removes them from each page's content
+ * @param {Array} pages - Crawled pages ({ url, content })
+ * @param {Object} options - minPages, ratio
+ * @returns {Object} { pages, stats, blocks } - pages with cleaned content (new objects), totals and
+ *                   the removed blocks ({ text, pages, share }, most frequent first)
+ */
+function removeBoilerplate(pages, options = {}) {
+  const minPages = options.minPages || MIN_PAGES;
+  const ratio = options.ratio || MIN_RATIO;
+  const stats = { removedBlocks: 0, removedCharacters: 0, uniqueBlocks: 0, pagesAffected: 0 };
+
+  if (pages.length < minPages) return { pages, stats, blocks: [] };
+
+  // Blocks of each page with their hashes; each block counts once per page
+  const pageBlocks = pages.map(page => splitMarkdownBlocks(page.content || '').map(block => ({
+    block,
+    hash: isProtectedBlock(block) ? null : blockHash(block)
+  })));
+
+  const occurrences = new Map();
+  pageBlocks.forEach(blocks => {
+    new Set(blocks.map(entry => entry.hash).filter(Boolean)).forEach(hash => {
+      occurrences.set(hash, (occurrences.get(hash) || 0) + 1);
+    });
+  });
+
+  const threshold = Math.max(minPages, Math.ceil(pages.length * ratio));
+  const repeated = new Map();
+  occurrences.forEach((count, hash) => {
+    if (count >= threshold) repeated.set(hash, { text: null, pages: count });
+  });
+
+  if (repeated.size === 0) return { pages, stats, blocks: [] };
+
+  const cleanedPages = pages.map((page, index) => {
+    const kept = [];
+    let removed = 0;
+
+    pageBlocks[index].forEach(({ block, hash }) => {
+      const entry = hash && repeated.get(hash);
+      if (!entry) {
+        kept.push(block);
+        return;
+      }
+      if (entry.text === null) entry.text = block;
+      stats.removedBlocks++;
+      stats.removedCharacters += block.length;
+      removed++;
+    });
+
+    if (removed === 0) return page;
+    stats.pagesAffected++;
+    const content = kept.join('\n\n');
+    return { ...page, content, length: content.length };
+  });
+
+  const blocks = [...repeated.values()]
+    .sort((a, b) => b.pages - a.pages)
+    .slice(0, MAX_REPORTED_BLOCKS)
+    .map(entry => ({ text: entry.text, pages: entry.pages, share: Math.round(entry.pages / pages.length * 100) / 100 }));
+
+  stats.uniqueBlocks = repeated.size;
+  return { pages: cleanedPages, stats, blocks };
+}
+
+module.exports = {
+  removeBoilerplate,
+  normalizeBlock
+};
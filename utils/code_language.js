@@ -0,0 +1,90 @@
+// Language of a code block: class names and data attributes first (language-js, lang-py, hljs python,
+// highlight-source-ts, brush: sql, data-lang), then content heuristics for unlabelled blocks.
+
+const LANGUAGE_CLASS = /^(?:language|lang|highlight-source|highlight|sourcecode)[-:]([\w+#.-]+)$/i;
+const BRUSH_CLASS = /(?:^|\s)brush:\s*([\w+#.-]+)/i;
+const NO_LANGUAGE = /^(none|plain|plaintext|text|nohighlight|no-highlight)$/i;
+
+// Bare class names highlighters put next to their own marker class ("hljs javascript", "prettyprint python")
+const KNOWN_LANGUAGES = new Set([
+  'bash', 'c', 'cpp', 'csharp', 'css', 'dart', 'diff', 'dockerfile', 'elixir', 'go', 'graphql', 'groovy',
+  'haskell', 'html', 'http', 'ini', 'java', 'javascript', 'js', 'json', 'jsx', 'kotlin', 'less', 'lua',
+  'makefile', 'markdown', 'nginx', 'objectivec', 'perl', 'php', 'powershell', 'python', 'py', 'r', 'ruby',
+  'rust', 'scala', 'scss', 'sh', 'shell', 'sql', 'swift', 'toml', 'ts', 'tsx', 'typescript', 'xml', 'yaml', 'yml'
+]);
+
+// Checked in order; more specific languages come before the ones they resemble (TypeScript before JavaScript)
+const CONTENT_RULES = [
+  { language: 'php', pattern: /<\?php/ },
+  { language: 'xml', pattern: /^\s*<\?xml\b/ },
+  { language: 'html', pattern: /^\s*<(!doctype|html|head|body|div|span|p|a|ul|ol|li|section|template|script|style|form|input|button|img|table)\b[^>]*>/i },
+  { language: 'bash', pattern: /^\s*(\$ |#!\/bin\/(ba|z)?sh|#!\/usr\/bin\/env (ba|z)?sh|sudo |npm (i|install|run|init)\b|npx |yarn (add|install)\b|pnpm |pip3? install |curl |wget |git (clone|checkout|commit|push|pull|add)\b|docker (run|build|compose|pull)\b|export [A-Z_]+=|brew install |apt(-get)? install )/m },
+  { language: 'python', pattern: /^\s*(def \w+\(.*\)( -> [\w\[\], .]+)?:\s*$|class \w+(\(.*\))?:\s*$|from [\w.]+ import |import [\w.]+( as \w+)?\s*$|if __name__ == |print\(|elif )/m },
+  { language: 'go', pattern: /^\s*(package \w+\s*$|func (\([^)]*\) )?\w+\(|import \(\s*$|\w+ := )/m },
+  { language: 'rust', pattern: /^\s*(fn \w+(<[^>]*>)?\(|let mut |use \w+(::\w+)+|impl(<[^>]*>)? \w+|pub (fn|struct|enum) )/m },
+  { language: 'java', pattern: /\b(public|private|protected)\s+(static\s+)?(final\s+)?(class|interface|void|[A-Z]\w*(<[^>]*>)?)\s+\w+/ },
+  { language: 'sql', pattern: /^\s*(SELECT\b[\s\S]+\bFROM\b|INSERT INTO\b|UPDATE \w+ SET\b|CREATE (TABLE|INDEX|VIEW|DATABASE)\b|DELETE FROM\b|ALTER TABLE\b|DROP TABLE\b)/im },
+  { language: 'typescript', pattern: /^\s*((export )?(interface|enum) \w+|(export )?type \w+(<[^>]*>)? = )|\w\s*:\s*(string|number|boolean|void|unknown|any)(\[\])?\s*[,;)=]/m },
+  { language: 'javascript', pattern: /^\s*((const|let|var) [\w{}\[\], ]+\s*=|import .+ from ['"]|export (default|const|function|class) |function\s*\w*\s*\()|=>|\brequire\(['"]|\bmodule\.exports\b|\bconsole\.log\(|\bdocument\.\w+/m },
+  { language: 'css', pattern: /^\s*(@media|@import|[.#:]?[\w-]+(\s*[,>+~]?\s*[.#:]?[\w-]+)*)\s*\{[^}]*[\w-]+\s*:\s*[^;{}]+;/m }
+];
+
+function looksLikeJson(code) {
+  const trimmed = code.trim();
+  if (!/^[[{]/.test(trimmed)) return false;
+  try {
+    JSON.parse(trimmed);
+    return true;
+  } catch (error) {
+    return false;
+  }
+}
+
+// Two or more "key: value" lines and nothing that looks like prose or code
+function looksLikeYaml(code) {
+  const lines = code.split('\n').filter(line => line.trim() && !line.trim().startsWith('#'));
+  if (lines.length < 2) return false;
+  return lines.every(line => /^\s*(- )?[\w.-]+:(\s|$)/.test(line) || /^\s*- \S/.test(line));
+}
+
+/**
+ * Language from a class attribute
+ * @param {string} className - Value of the class attribute
+ * @returns {string} Lowercase language name, or '' when the class names none
+ */
+function languageFromClass(className) {
+  if (!className) return '';
+
+  const names = className.split(/\s+/).filter(Boolean);
+  const brush = className.match(BRUSH_CLASS);
+  const prefixed = brush ? brush[1] : names
+    .map(name => name.match(LANGUAGE_CLASS))
+    .filter(Boolean)
+    .map(match => match[1])[0];
+
+  if (prefixed) return NO_LANGUAGE.test(prefixed) ? '' : prefixed.toLowerCase();
+
+  const bare = names.map(name => name.toLowerCase()).find(name => KNOWN_LANGUAGES.has(name));
+  return bare || '';
+}
+
+/**
+ * Language guessed from the code itself
+ * @param {string} code - Code block content
+ * @returns {string} Language name, or '' when nothing is recognizable
+ */
+function guessLanguage(code) {
+  if (!code || !code.trim()) return '';
+  if (looksLikeJson(code)) return 'json';
+
+  const rule = CONTENT_RULES.find(candidate => candidate.pattern.test(code));
+  if (rule) return rule.language;
+
+  return looksLikeYaml(code) ? 'yaml' : '';
+}
+
+module.exports = {
+  languageFromClass,
+  guessLanguage,
+  KNOWN_LANGUAGES
+};
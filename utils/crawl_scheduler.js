@@ -0,0 +1,215 @@
+// Concurrent scheduler for multi-URL scraping with per-host politeness.
+//
+// - a global concurrency limit and a per-host concurrency limit
+// - per-host delay between request starts that adapts to the host: it backs off on 429/5xx
+//   and network errors or when latency spikes, and shrinks again while the host is healthy
+// - results come back in input (priority) order, whatever order the requests finish in
+//
+// Configuration:
+//   CRAWL_CONCURRENCY          - default global concurrency (default 4)
+//   CRAWL_HOST_CONCURRENCY     - default concurrency per host (default 2)
+
+const DEFAULT_OPTIONS = {
+  concurrency: parseInt(process.env.CRAWL_CONCURRENCY, 10) || 4,
+  perHostConcurrency: parseInt(process.env.CRAWL_HOST_CONCURRENCY, 10) || 2,
+  initialDelayMs: 1000,     // starting delay between requests to the same host
+  minDelayMs: 100,          // healthy hosts never go below this (or their Crawl-delay)
+  maxDelayMs: 30000,
+  healthyStreakToGrow: 3    // consecutive healthy responses before per-host concurrency grows back
+};
+
+const THROTTLE_STATUS = [429, 503];
+
+function hostOf(url) {
+  try {
+    return new URL(url).host;
+  } catch (error) {
+    return url;
+  }
+}
+
+/**
+ * Classifies a page result by looking at its fetch log (see describeFetch in http_client)
+ * @returns {string} healthy | throttled | server_error | error
+ */
+function assessResult(result) {
+  const log = (result && result.fetch && result.fetch.log) || [];
+  const statuses = log.map(attempt => attempt.status).filter(Boolean);
+
+  if (statuses.some(status => THROTTLE_STATUS.includes(status))) return 'throttled';
+  if (statuses.some(status => status >= 500)) return 'server_error';
+  if (result && result.success === false && log.some(attempt => attempt.error && !attempt.status)) return 'error';
+  return 'healthy';
+}
+
+function createHostState(host, options, floorMs) {
+  const minDelayMs = Math.max(options.minDelayMs, floorMs || 0);
+
+  return {
+    host,
+    active: 0,
+    // A Crawl-delay means one request at a time
+    limit: floorMs ? 1 : options.perHostConcurrency,
+    delayMs: Math.max(options.initialDelayMs, minDelayMs),
+    minDelayMs,
+    nextStartAt: 0,
+    latencyEwmaMs: null,
+    healthyStreak: 0,
+    requests: 0,
+    throttled: 0,
+    errors: 0
+  };
+}
+
+// AIMD-style adaptation: multiplicative back-off, gradual recovery
+function adaptHost(state, outcome, latencyMs, options) {
+  const slowResponse = state.latencyEwmaMs !== null && latencyMs > state.latencyEwmaMs * 2;
+  state.latencyEwmaMs = state.latencyEwmaMs === null
+    ? latencyMs
+    : Math.round(state.latencyEwmaMs * 0.7 + latencyMs * 0.3);
+
+  if (outcome === 'throttled' || outcome === 'server_error') {
+    state.throttled++;
+    state.healthyStreak = 0;
+    state.limit = 1;
+    state.delayMs = Math.min(options.maxDelayMs, Math.max(state.delayMs * 2, options.initialDelayMs));
+  } else if (outcome === 'error') {
+    state.errors++;
+    state.healthyStreak = 0;
+    state.delayMs = Math.min(options.maxDelayMs, Math.round(state.delayMs * 1.5));
+  } else if (slowResponse) {
+    state.healthyStreak = 0;
+    state.delayMs = Math.min(options.maxDelayMs, Math.round(state.delayMs * 1.25));
+  } else {
+    state.healthyStreak++;
+    state.delayMs = Math.max(state.minDelayMs, Math.round(state.delayMs * 0.75));
+    if (state.healthyStreak >= options.healthyStreakToGrow && state.minDelayMs <= options.minDelayMs) {
+      state.limit = Math.min(options.perHostConcurrency, state.limit + 1);
+      state.healthyStreak = 0;
+    }
+  }
+}
+
+function serializeHost(state) {
+  return {
+    requests: state.requests,
+    throttled: state.throttled,
+    errors: state.errors,
+    delay_ms: state.delayMs,
+    concurrency: state.limit,
+    avg_latency_ms: state.latencyEwmaMs
+  };
+}
+
+/**
+ * Runs `task(url, index)` for every URL under the scheduler limits
+ * @param {string[]} urls - URLs in priority order
+ * @param {Function} task - async (url, index) => result (should not throw)
+ * @param {Object} options - concurrency, perHostConcurrency, initialDelayMs, hostDelayFloorMs(host),
+ *                           signal, onResult(result, index), stats (object filled with per-host stats)
+ * @returns {Promise<Array>} Results in the order of `urls` (unfinished URLs are omitted when cancelled)
+ */
+function scheduleUrls(urls, task, options = {}) {
+  // Options left undefined by the caller keep their defaults
+  const settings = { ...DEFAULT_OPTIONS };
+  Object.keys(DEFAULT_OPTIONS).forEach(key => {
+    if (options[key] !== undefined && options[key] !== null) settings[key] = options[key];
+  });
+  settings.concurrency = Math.max(1, settings.concurrency);
+  settings.perHostConcurrency = Math.max(1, settings.perHostConcurrency);
+
+  const { signal = null, onResult = null, hostDelayFloorMs = null, stats = null } = options;
+  const hosts = new Map();
+  const results = new Array(urls.length);
+  const pending = urls.map((url, index) => ({ url, index, host: hostOf(url) }));
+  let active = 0;
+  let wakeTimer = null;
+
+  const getHost = host => {
+    if (!hosts.has(host)) {
+      hosts.set(host, createHostState(host, settings, hostDelayFloorMs ? hostDelayFloorMs(host) : 0));
+    }
+    return hosts.get(host);
+  };
+
+  return new Promise(resolve => {
+    const finish = () => {
+      clearTimeout(wakeTimer);
+      if (signal) signal.removeEventListener('abort', pump);
+
+      if (stats) {
+        hosts.forEach((state, host) => {
+          stats[host] = serializeHost(state);
+        });
+      }
+
+      resolve(results.filter(result => result !== undefined));
+    };
+
+    const start = (item, state) => {
+      const startedAt = Date.now();
+      active++;
+      state.active++;
+      state.requests++;
+      state.nextStartAt = startedAt + state.delayMs;
+
+      Promise.resolve()
+        .then(() => task(item.url, item.index))
+        .catch(error => ({ url: item.url, success: false, error: error.message }))
+        .then(result => {
+          active--;
+          state.active--;
+          adaptHost(state, assessResult(result), Date.now() - startedAt, settings);
+          results[item.index] = result;
+          if (onResult) onResult(result, item.index);
+          pump();
+        });
+    };
+
+    function pump() {
+      clearTimeout(wakeTimer);
+      wakeTimer = null;
+
+      const cancelled = signal && signal.aborted;
+      if (cancelled) pending.length = 0;
+
+      if (pending.length === 0) {
+        if (active === 0) finish();
+        return;
+      }
+
+      const now = Date.now();
+      let nextWakeAt = Infinity;
+
+      // Walk the queue in priority order, starting every URL whose host has room
+      for (let i = 0; i < pending.length && active < settings.concurrency; i++) {
+        const item = pending[i];
+        const state = getHost(item.host);
+
+        if (state.active >= state.limit) continue;
+
+        if (state.nextStartAt > now) {
+          nextWakeAt = Math.min(nextWakeAt, state.nextStartAt);
+          continue;
+        }
+
+        pending.splice(i, 1);
+        i--;
+        start(item, state);
+      }
+
+      if (pending.length > 0 && active < settings.concurrency && nextWakeAt !== Infinity) {
+        wakeTimer = setTimeout(pump, nextWakeAt - now);
+      }
+    }
+
+    if (signal) signal.addEventListener('abort', pump, { once: true });
+    pump();
+  });
+}
+
+module.exports = {
+  scheduleUrls,
+  assessResult,
+  DEFAULT_OPTIONS
+};
@@ -0,0 +1,141 @@
+// fetch() for JSDOM windows, which only ship XMLHttpRequest.
+//
+// Installed by the render worker from beforeParse, after network_capture.js and render_wait.js
+// have instrumented XMLHttpRequest: every fetch is an XMLHttpRequest underneath, so it goes through
+// the same SSRF guard, is recorded as network_data and counts as network activity for network_idle.
+//
+// Bodies are read as text (binary responses are not decoded faithfully); Request objects are
+// accepted as input but not exposed as a constructor.
+
+const NULL_BODY_STATUS = [101, 204, 205, 304];
+
+/**
+ * Installs fetch and Response on a JSDOM window (from beforeParse)
+ * @param {Object} window - JSDOM window, after XMLHttpRequest has been instrumented
+ */
+function installFetch(window) {
+  const { Headers, DOMException } = window;
+
+  class Response {
+    constructor(body = null, init = {}) {
+      this._body = body === null || body === undefined ? null : String(body);
+      this.status = init.status === undefined ? 200 : init.status;
+      this.statusText = init.statusText || '';
+      this.headers = new Headers(init.headers || {});
+      this.ok = this.status >= 200 && this.status < 300;
+      this.url = '';
+      this.redirected = false;
+      this.type = 'basic';
+      this.bodyUsed = false;
+    }
+
+    _consume() {
+      if (this.bodyUsed) return Promise.reject(new window.TypeError('Body has already been consumed'));
+      this.bodyUsed = true;
+      return Promise.resolve(this._body || '');
+    }
+
+    text() {
+      return this._consume();
+    }
+
+    json() {
+      return this._consume().then(text => window.JSON.parse(text));
+    }
+
+    arrayBuffer() {
+      return this._consume().then(text => {
+        const bytes = new window.TextEncoder().encode(text);
+        return bytes.buffer.slice(bytes.byteOffset, bytes.byteOffset + bytes.byteLength);
+      });
+    }
+
+    blob() {
+      return this._consume().then(text => new window.Blob([text], { type: this.headers.get('content-type') || '' }));
+    }
+
+    clone() {
+      if (this.bodyUsed) throw new window.TypeError('Cannot clone a consumed body');
+      const copy = new Response(this._body, this);
+      copy.url = this.url;
+      copy.redirected = this.redirected;
+      return copy;
+    }
+  }
+
+  function parseHeaders(raw) {
+    const headers = new Headers();
+    raw.split(/\r?\n/).forEach(line => {
+      const separator = line.indexOf(':');
+      if (separator <= 0) return;
+      try {
+        headers.append(line.slice(0, separator).trim(), line.slice(separator + 1).trim());
+      } catch (error) {
+        // Header the Headers class refuses: left out
+      }
+    });
+    return headers;
+  }
+
+  function fetch(input, init = {}) {
+    return new Promise((resolve, reject) => {
+      const isRequest = input && typeof input === 'object' && typeof input.url === 'string';
+      const url = new URL(isRequest ? input.url : String(input), window.location.href).href;
+      const method = String(init.method || (isRequest && input.method) || 'GET').toUpperCase();
+      const signal = init.signal || (isRequest && input.signal) || null;
+
+      if (signal && signal.aborted) {
+        reject(new DOMException('The operation was aborted.', 'AbortError'));
+        return;
+      }
+
+      const xhr = new window.XMLHttpRequest();
+      xhr.open(method, url, true);
+      xhr.withCredentials = init.credentials === 'include';
+
+      new Headers(init.headers || (isRequest && input.headers) || {}).forEach((value, name) => {
+        xhr.setRequestHeader(name, value);
+      });
+
+      const onAbort = () => xhr.abort();
+      if (signal) signal.addEventListener('abort', onAbort, { once: true });
+      const cleanup = () => {
+        if (signal) signal.removeEventListener('abort', onAbort);
+      };
+
+      xhr.addEventListener('load', () => {
+        cleanup();
+        const response = new Response(NULL_BODY_STATUS.includes(xhr.status) ? null : xhr.responseText, {
+          status: xhr.status,
+          statusText: xhr.statusText,
+          headers: parseHeaders(xhr.getAllResponseHeaders())
+        });
+        response.url = xhr.responseURL || url;
+        response.redirected = response.url !== url;
+        resolve(response);
+      });
+      xhr.addEventListener('error', () => {
+        cleanup();
+        reject(new window.TypeError('Failed to fetch'));
+      });
+      xhr.addEventListener('timeout', () => {
+        cleanup();
+        reject(new window.TypeError('Failed to fetch'));
+      });
+      xhr.addEventListener('abort', () => {
+        cleanup();
+        reject(new DOMException('The operation was aborted.', 'AbortError'));
+      });
+
+      const body = init.body === undefined ? null : init.body;
+      xhr.send(method === 'GET' || method === 'HEAD' ? null : body);
+    });
+  }
+
+  window.fetch = fetch;
+  window.Response = Response;
+}
+
+module.exports = {
+  installFetch
+};
@@ -0,0 +1,82 @@
+// Streaming of crawl/batch progress events as Server-Sent Events or NDJSON
+
+const STREAM_FORMATS = ['sse', 'ndjson'];
+const HEARTBEAT_INTERVAL_MS = 15000;
+
+// Picks the stream format from the request body ("stream") or the Accept header
+function resolveStreamFormat(req) {
+  const requested = req.body && req.body.stream;
+
+  if (requested === true) return 'sse';
+  if (typeof requested === 'string' && STREAM_FORMATS.includes(requested.toLowerCase())) {
+    return requested.toLowerCase();
+  }
+
+  const accept = (req.headers.accept || '').toLowerCase();
+  if (accept.includes('text/event-stream')) return 'sse';
+  if (accept.includes('application/x-ndjson')) return 'ndjson';
+
+  return null;
+}
+
+function createEventStream(req, res, format) {
+  const controller = new AbortController();
+  let closed = false;
+  let sequence = 0;
+
+  res.status(200);
+  res.setHeader('Cache-Control', 'no-cache');
+  res.setHeader('Connection', 'keep-alive');
+  res.setHeader('X-Accel-Buffering', 'no');
+  res.setHeader('Content-Type', format === 'sse'
+    ? 'text/event-stream; charset=utf-8'
+    : 'application/x-ndjson; charset=utf-8');
+  res.flushHeaders();
+
+  // Keep proxies from closing idle SSE connections during slow pages
+  const heartbeat = format === 'sse'
+    ? setInterval(() => res.write(': heartbeat\n\n'), HEARTBEAT_INTERVAL_MS)
+    : null;
+
+  // Client dropped the connection: stop the work, pages already sent are kept by the client
+  res.on('close', () => {
+    if (!closed) {
+      console.log('🔌 Stream client disconnected, cancelling work');
+      closed = true;
+      if (heartbeat) clearInterval(heartbeat);
+      controller.abort();
+    }
+  });
+
+  function send(event) {
+    if (closed) return;
+
+    const payload = { ...event, sequence: sequence++, timestamp: new Date().toISOString() };
+
+    if (format === 'sse') {
+      res.write(`id: ${payload.sequence}\nevent: ${event.type}\ndata: ${JSON.stringify(payload)}\n\n`);
+    } else {
+      res.write(JSON.stringify(payload) + '\n');
+    }
+  }
+
+  function end() {
+    if (closed) return;
+    closed = true;
+    if (heartbeat) clearInterval(heartbeat);
+    res.end();
+  }
+
+  return {
+    send,
+    end,
+    signal: controller.signal,
+    isClosed: () => closed
+  };
+}
+
+module.exports = {
+  resolveStreamFormat,
+  createEventStream,
+  STREAM_FORMATS
+};
@@ -0,0 +1,535 @@
+const cheerio = require('cheerio');
+const { buildTableGrid, gridToRecords, tableRows, rowCells, isLayoutTable } = require('./table_extractor');
+const { languageFromClass, guessLanguage } = require('./code_language');
+
+// DOM -> Markdown converter shared by every extractor (Cheerio directly, JSDOM through outerHTML).
+// Keeps the structure the page actually has: headings, nested lists, GFM tables, fenced code
+// blocks with language hints, blockquotes, emphasis, and links/images with absolute URLs.
+
+const SKIP_TAGS = new Set([
+  'script', 'style', 'noscript', 'template', 'head', 'title', 'meta', 'link', 'base',
+  'svg', 'canvas', 'iframe', 'object', 'embed', 'audio', 'video', 'source', 'track', 'map',
+  'button', 'input', 'select', 'option', 'textarea'
+]);
+
+const BLOCK_TAGS = new Set([
+  'address', 'article', 'aside', 'body', 'center', 'details', 'dialog', 'div', 'dl', 'fieldset',
+  'figcaption', 'figure', 'footer', 'form', 'header', 'hgroup', 'html', 'main', 'nav', 'p',
+  'section', 'summary'
+]);
+
+// List indentation and code placeholders use private characters so whitespace cleanup can't touch them
+const INDENT = '\u0001';
+const CODE_MARK = '\u0002';
+
+function isTag(node) {
+  return node && (node.type === 'tag' || node.type === 'script' || node.type === 'style');
+}
+
+function tagName(node) {
+  return isTag(node) ? node.name.toLowerCase() : null;
+}
+
+function attr(node, name) {
+  return (node.attribs && node.attribs[name]) || '';
+}
+
+// Raw text of a node, whitespace untouched (for code)
+function rawText(node) {
+  if (node.type === 'text') return node.data;
+  if (tagName(node) === 'br') return '\n';
+  if (!node.children) return '';
+  return node.children.map(rawText).join('');
+}
+
+function absoluteUrl(href, baseUrl) {
+  if (!baseUrl) return href;
+  try {
+    return new URL(href, baseUrl).href;
+  } catch (error) {
+    return href;
+  }
+}
+
+// A fence longer than any backtick run inside the code
+function fenceFor(code) {
+  const runs = code.match(/`+/g) || [];
+  const longest = runs.reduce((max, run) => Math.max(max, run.length), 0);
+  return '`'.repeat(Math.max(3, longest + 1));
+}
+
+/**
+ * Language hint of a code block from class names (language-js, lang-py, hljs python, highlight-source-ts,
+ * brush: sql) or data-lang/data-language attributes on the <pre>, its <code> or a highlighter wrapper div
+ */
+function detectCodeLanguage(preNode) {
+  const candidates = [preNode];
+  const code = (preNode.children || []).find(child => tagName(child) === 'code');
+  if (code) candidates.unshift(code);
+  if (tagName(preNode.parent) === 'div') candidates.push(preNode.parent);
+
+  for (const node of candidates) {
+    const dataLang = attr(node, 'data-lang') || attr(node, 'data-language');
+    if (dataLang) return dataLang.toLowerCase();
+
+    const language = languageFromClass(attr(node, 'class'));
+    if (language) return language;
+  }
+
+  return '';
+}
+
+function wrapInline(content, marker) {
+  const trimmed = content.trim();
+  if (!trimmed) return content;
+  const lead = content.match(/^\s*/)[0] ? ' ' : '';
+  const trail = content.match(/\s*$/)[0] ? ' ' : '';
+  return `${lead}${marker}${trimmed}${marker}${trail}`;
+}
+
+function inlineCode(text) {
+  const code = singleLine(text);
+  if (!code) return '';
+  const fence = code.includes('`') ? '``' : '`';
+  return `${fence}${fence.length > 1 ? ' ' : ''}${code}${fence.length > 1 ? ' ' : ''}${fence}`;
+}
+
+function singleLine(text) {
+  return text.replace(/\s*\n+\s*/g, ' ').replace(/[ \t]{2,}/g, ' ').trim();
+}
+
+function block(content) {
+  const trimmed = content.trim();
+  return trimmed ? `\n\n${trimmed}\n\n` : '';
+}
+
+// Prefixes every line of a block (list indentation, blockquote markers)
+function prefixLines(text, firstPrefix, restPrefix) {
+  return text
+    .split('\n')
+    .map((line, index) => {
+      const clean = line.replace(/^[ \t]+/, '');
+      if (index === 0) return firstPrefix + clean;
+      return clean ? restPrefix + clean : restPrefix.replace(/[ \t]+$/, '');
+    })
+    .join('\n');
+}
+
+// Characters that would turn literal text into Markdown syntax or raw HTML ("<", entities).
+// "_" inside a word never starts emphasis, so it is escaped only at word edges; heading, list,
+// blockquote, setext and fence markers only matter at the start of a line, and a text node may
+// start one, so they are escaped at its start.
+function escapeText(text) {
+  return text
+    .replace(/\\(?=[!-/:-@[-`{-~])/g, '\\\\')
+    .replace(/[`*[\]<]/g, '\\$&')
+    .replace(/&(?=#?\w+;)/g, '\\&')
+    .replace(/(?<![\p{L}\p{N}])_|_(?![\p{L}\p{N}])/gu, '\\_')
+    .replace(/^(\s*)([#>+=~-])/, '$1\\$2')
+    .replace(/^(\s*\d+)([.)])(?=\s|$)/, '$1\\$2');
+}
+
+const EMPHASIS_MARKERS = { strong: '**', b: '**', em: '*', i: '*', cite: '*', dfn: '*' };
+
+function markerRun(text, fromEnd) {
+  const match = fromEnd ? text.match(/\*+$/) : text.match(/^\*+/);
+  return match ? match[0].length : 0;
+}
+
+// Adjacent emphasis ("*f***g**", "**a****b**") does not parse back as two spans: spans with the
+// same marker are merged and an em next to a strong switches to "_"
+function convertChildren(node, ctx) {
+  const parts = [];
+  let previous = null;
+
+  (node.children || []).forEach(child => {
+    let part = convertNode(child, ctx);
+    const marker = EMPHASIS_MARKERS[tagName(child)];
+    const previousMarker = previous && EMPHASIS_MARKERS[tagName(previous)];
+    const last = parts.length - 1;
+
+    if (marker && previousMarker && markerRun(parts[last], true) === previousMarker.length && markerRun(part, false) === marker.length) {
+      if (marker === previousMarker) {
+        parts[last] = parts[last].slice(0, -marker.length);
+        part = part.slice(marker.length);
+      } else if (previousMarker === '*') {
+        parts[last] = wrapInline(convertChildren(previous, ctx), '_');
+      } else {
+        part = wrapInline(convertChildren(child, ctx), '_');
+      }
+    }
+
+    parts.push(part);
+    if (part) previous = child;
+  });
+
+  return parts.join('');
+}
+
+function convertNode(node, ctx) {
+  if (node.type === 'text') {
+    return escapeText(node.data.replace(/\s+/g, ' '));
+  }
+
+  if (!isTag(node)) return '';
+
+  const name = tagName(node);
+  if (SKIP_TAGS.has(name) || 'hidden' in node.attribs || attr(node, 'aria-hidden') === 'true') {
+    return '';
+  }
+
+  switch (name) {
+    case 'h1': case 'h2': case 'h3': case 'h4': case 'h5': case 'h6': {
+      const text = singleLine(convertChildren(node, { ...ctx, inHeading: true }));
+      if (ctx.inTable) return text;
+      trackHeading(node, ctx);
+      return text ? `\n\n${'#'.repeat(parseInt(name[1], 10))} ${text.replace(/^#+\s*/, '')}\n\n` : '';
+    }
+
+    case 'br':
+      return ctx.inTable ? ' ' : '\n';
+
+    case 'hr':
+      return ctx.inTable ? ' ' : '\n\n---\n\n';
+
+    case 'pre':
+      return convertPre(node, ctx);
+
+    case 'code':
+    case 'kbd':
+    case 'samp':
+      return inlineCode(rawText(node));
+
+    case 'strong': case 'b':
+      return wrapInline(convertChildren(node, ctx), '**');
+
+    case 'em': case 'i': case 'cite': case 'dfn':
+      return wrapInline(convertChildren(node, ctx), '*');
+
+    case 'del': case 's': case 'strike':
+      return wrapInline(convertChildren(node, ctx), '~~');
+
+    case 'a':
+      return convertLink(node, ctx);
+
+    case 'img':
+      return convertImage(node, ctx);
+
+    case 'ul':
+    case 'ol':
+      return ctx.inTable ? convertChildren(node, ctx) + ' ' : convertList(node, ctx);
+
+    case 'li':
+      // Orphan <li> (no list parent)
+      return ctx.inTable ? convertChildren(node, ctx) + ' ' : block(prefixLines(tightBlock(convertChildren(node, ctx)), '- ', INDENT.repeat(2)));
+
+    case 'blockquote': {
+      if (ctx.inTable) return convertChildren(node, ctx);
+      const inner = convertChildren(node, ctx).trim().replace(/\n{3,}/g, '\n\n');
+      return inner ? block(prefixLines(inner, '> ', '> ')) : '';
+    }
+
+    case 'table':
+      return convertTable(node, ctx);
+
+    case 'dt':
+      return ctx.inTable ? convertChildren(node, ctx) + ' ' : block(`**${singleLine(convertChildren(node, ctx))}**`).replace(/\n\n$/, '\n');
+
+    case 'dd':
+      return ctx.inTable ? convertChildren(node, ctx) + ' ' : `${prefixLines(tightBlock(convertChildren(node, ctx)), ': ', INDENT.repeat(2))}\n\n`;
+
+    case 'summary':
+      return ctx.inTable ? convertChildren(node, ctx) : block(`**${singleLine(convertChildren(node, ctx))}**`);
+
+    default:
+      if (BLOCK_TAGS.has(name) && !ctx.inTable) return block(convertChildren(node, ctx));
+      return convertChildren(node, ctx);
+  }
+}
+
+// Current heading path (h1 > h2 > ...), shared by every context of one conversion
+function trackHeading(node, ctx) {
+  const level = parseInt(tagName(node)[1], 10);
+  ctx.headings.length = level - 1;
+  ctx.headings[level - 1] = singleLine(plainText(node));
+}
+
+// Code is taken verbatim from the DOM and only put back after whitespace cleanup (see finalize)
+function convertPre(node, ctx) {
+  const code = rawText(node).replace(/^\n+|\s+$/g, '');
+  if (!code.trim()) return '';
+
+  if (ctx.inTable) return inlineCode(code);
+
+  const declared = detectCodeLanguage(node);
+  const language = declared || guessLanguage(code);
+  const fence = fenceFor(code);
+  ctx.fences.push({ markdown: `${fence}${language}\n${code}\n${fence}`, code });
+
+  if (ctx.codeBlocks) {
+    const headingPath = ctx.headings.filter(Boolean);
+    ctx.codeBlocks.push({
+      index: ctx.codeBlocks.length,
+      language: language || null,
+      language_source: declared ? 'markup' : (language ? 'content' : null),
+      heading: headingPath.length > 0 ? headingPath[headingPath.length - 1] : null,
+      heading_path: headingPath,
+      code,
+      line_count: code.split('\n').length
+    });
+  }
+
+  return `\n\n${CODE_MARK}${ctx.fences.length - 1}${CODE_MARK}\n\n`;
+}
+
+function convertLink(node, ctx) {
+  const inner = convertChildren(node, ctx);
+  const href = attr(node, 'href').trim();
+  if (!inner.trim()) return '';
+  // Permalink anchors of headings ("#", "¶", "§", an icon): not part of the heading text
+  if (ctx.inHeading && href.includes('#') && !/[\p{L}\p{N}]/u.test(inner)) return '';
+  if (!href || href.startsWith('#') || /^(javascript|data):/i.test(href)) return inner;
+
+  const url = absoluteUrl(href, ctx.baseUrl).replace(/\s/g, '%20').replace(/\)/g, '%29');
+
+  // Block content inside a link (cards): link the first line instead of wrapping everything
+  if (inner.trim().includes('\n') && !ctx.inTable) {
+    const lines = inner.trim().split('\n');
+    const [, hashes = '', text] = lines[0].match(/^(#{1,6} )?(.*)$/);
+    lines[0] = `${hashes}[${text.trim()}](${url})`;
+    return block(lines.join('\n'));
+  }
+
+  const text = singleLine(inner);
+  const lead = /^\s/.test(inner) ? ' ' : '';
+  const trail = /\s$/.test(inner) ? ' ' : '';
+  return `${lead}[${text}](${url})${trail}`;
+}
+
+function convertImage(node, ctx) {
+  const alt = singleLine(attr(node, 'alt'));
+  const src = (attr(node, 'src') || attr(node, 'data-src')).trim();
+  if (!ctx.images || !src || src.startsWith('data:')) return alt;
+  return `![${alt.replace(/([[\]])/g, '\\$1')}](${absoluteUrl(src, ctx.baseUrl).replace(/\s/g, '%20')})`;
+}
+
+// List item content: no blank lines inside (tight lists)
+function tightBlock(content) {
+  return content.trim().replace(/\n[ \t]*\n+/g, '\n');
+}
+
+function convertList(node, ctx) {
+  const ordered = tagName(node) === 'ol';
+  let number = parseInt(attr(node, 'start'), 10) || 1;
+  const items = [];
+
+  (node.children || []).forEach(child => {
+    const name = tagName(child);
+
+    // <ul> directly inside <ul> (invalid but common): nest it under the previous item
+    if ((name === 'ul' || name === 'ol') && items.length > 0) {
+      const nested = tightBlock(convertList(child, ctx));
+      if (nested) items[items.length - 1] += '\n' + prefixLines(nested, INDENT.repeat(2), INDENT.repeat(2));
+      return;
+    }
+
+    if (name !== 'li') return;
+
+    const content = tightBlock(convertChildren(child, ctx));
+    const marker = ordered ? `${number++}. ` : '- ';
+    items.push(prefixLines(content, marker, INDENT.repeat(marker.length)));
+  });
+
+  return items.length > 0 ? block(items.join('\n')) : '';
+}
+
+const CELL_TAGS = new Set(['li', 'tr', 'td', 'th', 'caption']);
+
+// Plain text of a cell for the structured `tables` output (no Markdown syntax)
+function plainText(node) {
+  if (node.type === 'text') return node.data;
+  if (!isTag(node) || SKIP_TAGS.has(tagName(node)) || 'hidden' in node.attribs) return '';
+  if (tagName(node) === 'br') return ' ';
+  const inner = (node.children || []).map(plainText).join('');
+  return BLOCK_TAGS.has(tagName(node)) || CELL_TAGS.has(tagName(node)) ? ` ${inner} ` : inner;
+}
+
+function captionOf(tableNode) {
+  const caption = (tableNode.children || []).find(child => tagName(child) === 'caption');
+  return caption ? singleLine(plainText(caption)) || null : null;
+}
+
+function convertTable(node, ctx) {
+  const rows = tableRows(node);
+
+  // Layout tables (and single-cell tables) are rendered as plain blocks
+  if (rows.length === 0 || isLayoutTable(node) || (rows.length === 1 && rowCells(rows[0].node).length <= 1)) {
+    return ctx.inTable ? convertChildren(node, ctx) : block(convertChildren(node, { ...ctx, inTable: false }));
+  }
+
+  // Registered before the cells are rendered so nested tables can point at their parent
+  const entry = ctx.tables ? {
+    index: ctx.tables.length,
+    parent: ctx.parentTable === undefined ? null : ctx.parentTable,
+    caption: captionOf(node),
+    headers: [],
+    rows: [],
+    header_inferred: false,
+    column_count: 0,
+    row_count: 0
+  } : null;
+  if (entry) ctx.tables.push(entry);
+
+  const cellCtx = { ...ctx, inTable: true, parentTable: entry ? entry.index : null };
+  const grid = buildTableGrid(node, cell => ({
+    markdown: singleLine(convertChildren(cell, cellCtx)).replace(/(?<!\\)\|/g, '\\|'),
+    text: singleLine(plainText(cell))
+  }));
+
+  if (entry) {
+    const records = gridToRecords(grid, cell => cell.text);
+    Object.assign(entry, {
+      headers: records.headers,
+      rows: records.rows,
+      header_inferred: records.headerInferred,
+      column_count: grid.columnCount,
+      row_count: records.rows.length
+    });
+  }
+
+  const { headers, rows: body } = gridToRecords(grid, cell => cell.markdown);
+
+  // Nested data table: one line of "header: value" pairs per row inside the parent cell
+  if (ctx.inTable) {
+    return ' ' + body
+      .map(row => row.map((value, column) => (headers[column] && value ? `${headers[column]}: ${value}` : value)).filter(Boolean).join(', '))
+      .join('; ') + ' ';
+  }
+
+  const columns = grid.columnCount;
+  const pad = cells => cells.concat(new Array(Math.max(columns - cells.length, 0)).fill(''));
+  const line = cells => `| ${pad(cells).join(' | ')} |`;
+  const caption = entry ? entry.caption : captionOf(node);
+
+  return block([
+    ...(caption ? [`*${caption}*`, ''] : []),
+    line(headers),
+    `| ${new Array(columns).fill('---').join(' | ')} |`,
+    ...body.map(line)
+  ].join('\n'));
+}
+
+function finalize(markdown, fences) {
+  return markdown
+    .replace(/[ \t]+$/gm, '')
+    .replace(/^[ \t]+/gm, '')
+    .replace(/([^\s])[ \t]{2,}/g, '$1 ')
+    .replace(/\n{3,}/g, '\n\n')
+    .trim()
+    .replace(new RegExp(INDENT, 'g'), ' ')
+    // Code blocks go back last, indented like the line that held them (lists, blockquotes)
+    .replace(new RegExp(`^([ >]*)${CODE_MARK}(\\d+)${CODE_MARK}$`, 'gm'), (match, prefix, index) => {
+      return fences[index].markdown.split('\n').map(line => (line ? prefix + line : prefix.trimEnd())).join('\n');
+    })
+    // A code block that ended up inside a line (heading, link, term) is rendered as inline code
+    .replace(new RegExp(`${CODE_MARK}(\\d+)${CODE_MARK}`, 'g'), (match, index) => inlineCode(fences[index].code));
+}
+
+/**
+ * Converts HTML to Markdown
+ * @param {string|Object} input - HTML string, or a Cheerio selection (its elements are converted)
+ * @param {Object} options - baseUrl (to make links/images absolute), images (default true),
+ *                           tables (array that receives { headers, rows, ... } for every data table),
+ *                           codeBlocks (array that receives { language, heading, code, ... } for every code block)
+ * @returns {string} Markdown
+ */
+function htmlToMarkdown(input, options = {}) {
+  const ctx = {
+    baseUrl: options.baseUrl || null,
+    images: options.images !== false,
+    inTable: false,
+    tables: Array.isArray(options.tables) ? options.tables : null,
+    codeBlocks: Array.isArray(options.codeBlocks) ? options.codeBlocks : null,
+    headings: [],
+    fences: []
+  };
+
+  let nodes;
+  if (typeof input === 'string') {
+    const $ = cheerio.load(input);
+    const body = $('body').get(0);
+    nodes = body ? body.children : $.root().get(0).children;
+  } else {
+    nodes = input.toArray ? input.toArray() : [input];
+  }
+
+  const markdown = nodes.map(node => convertNode(node, ctx)).join('');
+  return finalize(markdown, ctx.fences);
+}
+
+const FENCE_PATTERN = /^([ >]*)(`{3,}|~{3,})[^\n]*\n[\s\S]*?\n\1\2[ \t]*$/gm;
+
+/**
+ * Applies `transform` to the prose of a Markdown document, leaving fenced code blocks untouched
+ * @param {string} markdown - Markdown content
+ * @param {Function} transform - (text) => text
+ * @returns {string} Transformed Markdown
+ */
+function mapMarkdownText(markdown, transform) {
+  let result = '';
+  let lastIndex = 0;
+
+  markdown.replace(FENCE_PATTERN, (match, prefix, fence, offset) => {
+    result += transform(markdown.slice(lastIndex, offset)) + match;
+    lastIndex = offset + match.length;
+    return match;
+  });
+
+  return result + transform(markdown.slice(lastIndex));
+}
+
+/**
+ * Splits Markdown into blocks separated by blank lines, keeping every fenced code block whole
+ * @param {string} markdown - Markdown content
+ * @returns {string[]} Blocks (paragraphs, lists, tables, code blocks)
+ */
+function splitMarkdownBlocks(markdown) {
+  const blocks = [];
+  let current = [];
+  let fence = null;
+
+  const flush = () => {
+    if (current.length > 0) blocks.push(current.join('\n'));
+    current = [];
+  };
+
+  markdown.split('\n').forEach(line => {
+    const marker = line.match(/^[ >]*(`{3,}|~{3,})/);
+
+    if (fence) {
+      current.push(line);
+      if (marker && marker[1][0] === fence[0] && marker[1].length >= fence.length && /^[ >]*[`~]+[ \t]*$/.test(line)) {
+        fence = null;
+      }
+      return;
+    }
+
+    if (!line.trim()) {
+      flush();
+      return;
+    }
+
+    if (marker) fence = marker[1];
+    current.push(line);
+  });
+
+  flush();
+  return blocks;
+}
+
+module.exports = {
+  htmlToMarkdown,
+  mapMarkdownText,
+  splitMarkdownBlocks,
+  detectCodeLanguage
+};
@@ -0,0 +1,307 @@
+const http = require('http');
+const https = require('https');
+const axios = require('axios');
+const { assertUrlAllowed, withSsrfGuard } = require('./ssrf_guard');
+
+// Shared HTTP client used by every scraper: SSRF guard, retries with exponential
+// backoff + jitter, Retry-After support, per-phase timeouts and an attempt log.
+
+// Headers para simular browser real
+const BROWSER_HEADERS = {
+  'User-Agent': 'Mozilla/5.0 (Macintosh; Intel Mac OS X 10_15_7) AppleWebKit/537.36 (KHTML, like Gecko) Chrome/120.0.0.0 Safari/537.36',
+  'Accept': 'text/html,application/xhtml+xml,application/xml;q=0.9,image/webp,*/*;q=0.8',
+  'Accept-Language': 'en-US,en;q=0.5',
+  'Accept-Encoding': 'gzip, deflate',
+  'DNT': '1',
+  'Connection': 'keep-alive',
+  'Upgrade-Insecure-Requests': '1'
+};
+
+const DEFAULT_OPTIONS = {
+  retries: 2,                  // extra attempts after the first one
+  retryBaseDelayMs: 500,
+  retryMaxDelayMs: 8000,
+  maxRetryAfterMs: 30000,      // longer Retry-After values are not waited for
+  maxRedirects: 5,
+  maxContentLength: 10 * 1024 * 1024,
+  responseType: 'text',        // 'text' | 'buffer'
+  timeouts: {
+    connect: 5000,             // TCP/TLS connection established
+    headers: 10000,            // response headers received (from request start)
+    body: 15000                // response body fully read
+  }
+};
+
+const RETRYABLE_STATUS = [408, 425, 429, 500, 502, 503, 504];
+const RETRYABLE_CODES = [
+  'ECONNRESET', 'ECONNREFUSED', 'ETIMEDOUT', 'EPIPE', 'EAI_AGAIN',
+  'ECONNABORTED', 'ERR_SOCKET_CONNECTION_TIMEOUT'
+];
+
+// Agents enforce the connect-phase timeout; one pair per timeout value
+const agents = new Map();
+
+function createTimeoutError(phase, ms) {
+  const error = new Error(`Timeout while waiting for ${phase} (${ms}ms)`);
+  error.code = 'ECONNABORTED';
+  error.timeoutPhase = phase;
+  return error;
+}
+
+function withConnectTimeout(AgentClass, connectedEvent, connectTimeout) {
+  return class extends AgentClass {
+    createConnection(options, callback) {
+      const socket = super.createConnection(options, callback);
+      const timer = setTimeout(() => {
+        socket.destroy(createTimeoutError('connect', connectTimeout));
+      }, connectTimeout);
+
+      socket.once(connectedEvent, () => clearTimeout(timer));
+      socket.once('close', () => clearTimeout(timer));
+      return socket;
+    }
+  };
+}
+
+function getAgents(connectTimeout) {
+  if (!agents.has(connectTimeout)) {
+    const HttpAgent = withConnectTimeout(http.Agent, 'connect', connectTimeout);
+    const HttpsAgent = withConnectTimeout(https.Agent, 'secureConnect', connectTimeout);
+    agents.set(connectTimeout, {
+      httpAgent: new HttpAgent(),
+      httpsAgent: new HttpsAgent()
+    });
+  }
+  return agents.get(connectTimeout);
+}
+
+// The abort listener is removed when the timer fires: a crawl reuses one signal across every retry
+function sleep(ms, signal) {
+  return new Promise(resolve => {
+    if (signal && signal.aborted) return resolve();
+
+    const onAbort = () => {
+      clearTimeout(timer);
+      resolve();
+    };
+    const timer = setTimeout(() => {
+      if (signal) signal.removeEventListener('abort', onAbort);
+      resolve();
+    }, ms);
+
+    if (signal) signal.addEventListener('abort', onAbort, { once: true });
+  });
+}
+
+// Retry-After is either delta-seconds or an HTTP date
+function parseRetryAfter(value) {
+  if (!value) return null;
+
+  const seconds = Number(value);
+  if (!isNaN(seconds)) return Math.max(0, seconds * 1000);
+
+  const date = Date.parse(value);
+  if (!isNaN(date)) return Math.max(0, date - Date.now());
+
+  return null;
+}
+
+// Exponential backoff with jitter (between 50% and 100% of the computed delay)
+function backoffDelay(attempt, options) {
+  const exponential = Math.min(options.retryMaxDelayMs, options.retryBaseDelayMs * Math.pow(2, attempt - 1));
+  return Math.round(exponential / 2 + Math.random() * exponential / 2);
+}
+
+function isRetryable(error) {
+  if (error.code === 'SSRF_BLOCKED' || error.code === 'ECONTENT_TOO_LARGE') return false;
+  if (error.response) return RETRYABLE_STATUS.includes(error.response.status);
+  return RETRYABLE_CODES.includes(error.code);
+}
+
+function decodeBody(buffer, headers, responseType) {
+  if (responseType === 'buffer') return buffer;
+
+  const contentType = headers['content-type'] || '';
+  const charsetMatch = contentType.match(/charset=["']?([\w-]+)/i);
+
+  try {
+    return new TextDecoder(charsetMatch ? charsetMatch[1] : 'utf-8').decode(buffer);
+  } catch (error) {
+    return buffer.toString('utf8');
+  }
+}
+
+function readBody(stream, options) {
+  return new Promise((resolve, reject) => {
+    const chunks = [];
+    let size = 0;
+
+    const timer = setTimeout(() => {
+      stream.destroy(createTimeoutError('body', options.timeouts.body));
+    }, options.timeouts.body);
+
+    stream.on('data', chunk => {
+      size += chunk.length;
+      if (size > options.maxContentLength) {
+        const error = new Error(`Response larger than ${options.maxContentLength} bytes`);
+        error.code = 'ECONTENT_TOO_LARGE';
+        stream.destroy(error);
+        return;
+      }
+      chunks.push(chunk);
+    });
+
+    stream.on('end', () => {
+      clearTimeout(timer);
+      resolve(Buffer.concat(chunks));
+    });
+
+    stream.on('error', error => {
+      clearTimeout(timer);
+      reject(error);
+    });
+  });
+}
+
+// One HTTP attempt (no retries)
+async function attemptRequest(url, options) {
+  const controller = new AbortController();
+  let headersTimedOut = false;
+
+  const abortFromCaller = () => controller.abort();
+  if (options.signal) options.signal.addEventListener('abort', abortFromCaller, { once: true });
+
+  const headersTimer = setTimeout(() => {
+    headersTimedOut = true;
+    controller.abort();
+  }, options.timeouts.headers);
+
+  // Every response that redirected us, in order
+  const redirects = [];
+  let currentUrl = url;
+
+  try {
+    let response;
+    try {
+      response = await axios.get(url, withSsrfGuard({
+        headers: { ...BROWSER_HEADERS, ...options.headers },
+        maxRedirects: options.maxRedirects,
+        beforeRedirect: (redirectOptions, responseDetails) => {
+          redirects.push({ url: currentUrl, status: responseDetails.statusCode });
+          currentUrl = redirectOptions.href;
+        },
+        responseType: 'stream',
+        validateStatus: () => true,
+        signal: controller.signal,
+        ...getAgents(options.timeouts.connect)
+      }));
+    } catch (error) {
+      if (headersTimedOut) throw createTimeoutError('headers', options.timeouts.headers);
+      throw error.cause && error.cause.timeoutPhase ? error.cause : error;
+    } finally {
+      clearTimeout(headersTimer);
+    }
+
+    const finalUrl = (response.request && response.request.res && response.request.res.responseUrl) || url;
+
+    if (response.status < 200 || response.status >= 300) {
+      response.data.destroy();
+      const error = new Error(`Request failed with status code ${response.status}`);
+      error.code = 'ERR_BAD_RESPONSE';
+      error.status = response.status;
+      error.response = { status: response.status, headers: response.headers };
+      throw error;
+    }
+
+    const body = await readBody(response.data, options);
+
+    return {
+      data: decodeBody(body, response.headers, options.responseType),
+      status: response.status,
+      headers: response.headers,
+      finalUrl,
+      redirectChain: [...redirects, { url: finalUrl, status: response.status }]
+    };
+  } finally {
+    if (options.signal) options.signal.removeEventListener('abort', abortFromCaller);
+  }
+}
+
+/**
+ * GET with SSRF guard, retries and per-phase timeouts.
+ * Resolves to { data, status, headers, finalUrl, redirectChain, attempts }; redirectChain lists
+ * every response ({ url, status }) from the requested URL to the final one. On failure the thrown
+ * error carries the same `attempts` log.
+ */
+async function fetchUrl(url, options = {}) {
+  options = {
+    ...DEFAULT_OPTIONS,
+    ...options,
+    timeouts: { ...DEFAULT_OPTIONS.timeouts, ...(options.timeouts || {}) },
+    headers: options.headers || {}
+  };
+
+  await assertUrlAllowed(url);
+
+  const attempts = [];
+  const maxAttempts = options.retries + 1;
+
+  for (let attempt = 1; attempt <= maxAttempts; attempt++) {
+    const startTime = Date.now();
+
+    try {
+      const response = await attemptRequest(url, options);
+      attempts.push({
+        attempt,
+        status: response.status,
+        duration_ms: Date.now() - startTime
+      });
+      return { ...response, attempts };
+
+    } catch (error) {
+      const record = {
+        attempt,
+        status: error.response ? error.response.status : null,
+        error: error.code || error.message,
+        duration_ms: Date.now() - startTime
+      };
+      attempts.push(record);
+
+      const aborted = options.signal && options.signal.aborted;
+      if (aborted || attempt === maxAttempts || !isRetryable(error)) {
+        error.attempts = attempts;
+        throw error;
+      }
+
+      const retryAfter = error.response ? parseRetryAfter(error.response.headers['retry-after']) : null;
+      if (retryAfter !== null && retryAfter > options.maxRetryAfterMs) {
+        console.log(`⏳ ${url} asked to retry after ${retryAfter}ms, giving up`);
+        error.attempts = attempts;
+        throw error;
+      }
+
+      record.retry_delay_ms = retryAfter !== null ? retryAfter : backoffDelay(attempt, options);
+      console.log(`🔁 Attempt ${attempt}/${maxAttempts} failed for ${url} (${record.error}), retrying in ${record.retry_delay_ms}ms`);
+      await sleep(record.retry_delay_ms, options.signal);
+    }
+  }
+}
+
+// Compact summary of a fetch for API responses
+function describeFetch(result) {
+  return {
+    attempts: result.attempts.length,
+    status: result.status,
+    final_url: result.finalUrl,
+    redirects: result.redirectChain ? result.redirectChain.length - 1 : 0,
+    log: result.attempts
+  };
+}
+
+module.exports = {
+  fetchUrl,
+  describeFetch,
+  parseRetryAfter,
+  BROWSER_HEADERS,
+  DEFAULT_OPTIONS
+};
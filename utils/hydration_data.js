@@ -0,0 +1,425 @@
+// Hydration payloads of SPA frameworks, read without executing any script:
+//   __NEXT_DATA__ (Next.js pages router), self.__next_f (Next.js app router / React Server Components),
+//   __NUXT_DATA__ (Nuxt 3, devalue format), window.__NUXT__ / __APOLLO_STATE__ / __INITIAL_STATE__ /
+//   __remixContext / any window.__X__ = {...} JSON literal, and other <script type="application/json">.
+//
+// Payloads are only ever parsed with JSON.parse: assignments that are code (Nuxt 2's
+// `__NUXT__=(function(a,b){...})(...)`) are reported as unparsed, never evaluated.
+//
+// Text-bearing fields become Markdown: rich text trees (Contentful, Sanity Portable Text,
+// ProseMirror/TipTap, mdast), React Server Component element trees, HTML strings and
+// Markdown/MDX bodies are "primary" content; other prose strings (titles, descriptions, props)
+// are only used when a payload has no primary content.
+//
+// Must run before the extractors strip <script> elements.
+
+const { htmlToMarkdown } = require('./html_to_markdown');
+
+const MAX_PAYLOAD_BYTES = 5 * 1024 * 1024;
+const MAX_NODES = 100000;
+const MAX_DEPTH = 60;
+const MIN_PRIMARY_LENGTH = 200;
+const MIN_PROSE_LENGTH = 20;
+
+// Props that never hold readable text (CSS classes, routing, ids, assets)
+const SKIP_KEYS = new Set([
+  'className', 'class', 'style', 'id', 'key', 'ref', 'href', 'src', 'srcSet', 'srcset', 'sizes', 'type',
+  'rel', 'target', 'role', 'as', 'variant', 'buildId', 'assetPrefix', 'locale', 'locales', 'defaultLocale',
+  'query', 'asPath', '__typename', 'slug', 'path', 'url', 'uri', 'icon', 'color', 'theme', 'lang',
+  'gssp', 'gsp', 'scriptLoader', 'isFallback', 'runtimeConfig', 'compiledSource', 'scope', 'frontmatter_raw'
+]);
+const BODY_KEY = /body|content|html|markdown|mdx|richtext|rich_text|article/i;
+const TITLE_KEY = /^(title|heading|headline|question)$/i;
+const HTML_BLOCK = /<(p|h[1-6]|ul|ol|li|div|pre|table|blockquote|section|article)\b[^>]*>/i;
+const CODE_LIKE = /_jsxs?\(|React\.createElement|\/\*\s*@jsx|\bfunction\s*[\w$]*\s*\([^)]*\)\s*\{|=>\s*\{|\buse strict\b/;
+
+function escapeHtml(text) {
+  return String(text).replace(/&/g, '&amp;').replace(/</g, '&lt;').replace(/>/g, '&gt;');
+}
+
+// ========================================
+// Payload discovery
+// ========================================
+
+// JSON object/array literal starting at `start`, skipping brackets inside strings
+function readLiteral(source, start) {
+  let depth = 0;
+  let quote = null;
+
+  for (let i = start; i < source.length; i++) {
+    const char = source[i];
+    if (quote) {
+      if (char === '\\') i++;
+      else if (char === quote) quote = null;
+      continue;
+    }
+    if (char === '"' || char === "'" || char === '`') quote = char;
+    else if (char === '{' || char === '[') depth++;
+    else if (char === '}' || char === ']') {
+      depth--;
+      if (depth === 0) return source.slice(start, i + 1);
+    }
+  }
+  return null;
+}
+
+function parseJson(text) {
+  if (!text || text.length > MAX_PAYLOAD_BYTES) return undefined;
+  try {
+    return JSON.parse(text);
+  } catch (error) {
+    return undefined;
+  }
+}
+
+// Nuxt 3 / SvelteKit devalue: a flat table where objects and arrays hold indices into the table
+function decodeDevalue(table) {
+  if (!Array.isArray(table) || table.length === 0) return table;
+  const cache = new Map();
+  let budget = MAX_NODES;
+
+  const hydrate = (index, depth) => {
+    if (typeof index !== 'number' || index < 0 || index >= table.length) return null;
+    if (cache.has(index)) return cache.get(index);
+    if (--budget < 0 || depth > MAX_DEPTH) return null;
+
+    const value = table[index];
+    if (value === null || typeof value !== 'object') return value;
+
+    if (Array.isArray(value) && typeof value[0] === 'string') {
+      const [tag, ...rest] = value;
+      let result;
+      if (tag === 'null') {
+        result = {};
+        for (let i = 0; i < rest.length; i += 2) result[rest[i]] = hydrate(rest[i + 1], depth + 1);
+      } else if (tag === 'Set' || tag === 'Map') {
+        result = rest.map(item => hydrate(item, depth + 1));
+      } else if (['Date', 'RegExp', 'BigInt', 'URL'].includes(tag)) {
+        result = rest[0];
+      } else {
+        // Reactive, Ref, ShallowReactive, ... and custom reducers wrap a single value
+        result = hydrate(rest[0], depth + 1);
+      }
+      cache.set(index, result);
+      return result;
+    }
+
+    const result = Array.isArray(value) ? [] : {};
+    cache.set(index, result);
+    Object.entries(value).forEach(([key, item]) => {
+      result[key] = hydrate(item, depth + 1);
+    });
+    return result;
+  };
+
+  return hydrate(0, 0);
+}
+
+// React Server Components flight data: rows "id:JSON" and text rows "id:T<hex length>,<text>"
+function parseFlightData(flight) {
+  const rows = [];
+  const pattern = /(?:^|\n)([0-9a-f]+):/g;
+  let match;
+
+  while ((match = pattern.exec(flight)) !== null) {
+    const start = match.index + match[0].length;
+    const textRow = flight.slice(start).match(/^T([0-9a-f]+),/);
+    if (textRow) {
+      const textStart = start + textRow[0].length;
+      const text = flight.slice(textStart, textStart + parseInt(textRow[1], 16));
+      rows.push({ text });
+      pattern.lastIndex = textStart + text.length;
+      continue;
+    }
+
+    const end = flight.indexOf('\n', start);
+    const data = parseJson(flight.slice(start, end === -1 ? flight.length : end));
+    if (data !== undefined) rows.push({ data });
+  }
+
+  return rows;
+}
+
+/**
+ * Hydration payloads of a page
+ * @param {Object} $ - Cheerio document (scripts still in place)
+ * @returns {Array} [{ source, parsed, bytes, data?, flight? }]
+ */
+function findHydrationPayloads($) {
+  const payloads = [];
+  const flightChunks = [];
+
+  $('script').each((i, element) => {
+    const $script = $(element);
+    const type = ($script.attr('type') || '').toLowerCase();
+    const id = $script.attr('id') || '';
+    const source = $script.html() || '';
+    if (!source.trim() || type === 'application/ld+json') return;
+
+    if (type === 'application/json') {
+      const data = parseJson(source.trim());
+      const label = id === '__NEXT_DATA__' ? 'next' : (id === '__NUXT_DATA__' ? 'nuxt' : `json:${id || 'script'}`);
+      payloads.push({
+        source: label,
+        parsed: data !== undefined,
+        bytes: source.length,
+        data: label === 'nuxt' ? decodeDevalue(data) : data
+      });
+      return;
+    }
+    if (type && !/javascript|ecmascript|module/.test(type)) return;
+
+    // Next.js app router: self.__next_f.push([1, "<flight chunk>"])
+    const pushPattern = /self\.__next_f\.push\(\s*(?=\[)/g;
+    let push;
+    while ((push = pushPattern.exec(source)) !== null) {
+      const entry = parseJson(readLiteral(source, pushPattern.lastIndex));
+      if (Array.isArray(entry) && entry[0] === 1 && typeof entry[1] === 'string') flightChunks.push(entry[1]);
+    }
+
+    // window.__STATE__ = {...} (JSON literals only)
+    const assignment = /(?:window|self|globalThis)\s*(?:\.\s*(_{2,}[A-Za-z][\w$]*)|\[\s*["'](_{2,}[A-Za-z][\w$]*)["']\s*\])\s*=\s*/g;
+    let found;
+    while ((found = assignment.exec(source)) !== null) {
+      const name = found[1] || found[2];
+      if (name === '__next_f') continue;
+      const start = assignment.lastIndex;
+      const literal = /[{[]/.test(source[start]) ? readLiteral(source, start) : null;
+      const data = parseJson(literal);
+      payloads.push({ source: name, parsed: data !== undefined, bytes: literal ? literal.length : 0, data });
+    }
+  });
+
+  if (flightChunks.length > 0) {
+    const flight = flightChunks.join('');
+    payloads.push({ source: 'next-rsc', parsed: true, bytes: flight.length, flight: parseFlightData(flight) });
+  }
+
+  return payloads;
+}
+
+// ========================================
+// Text extraction
+// ========================================
+
+// Readable sentence(s) rather than CSS classes, ids, hashes or URLs
+function isProse(text, minLength = MIN_PROSE_LENGTH) {
+  const trimmed = text.trim();
+  if (trimmed.length < minLength || /^(https?:|\/|#|data:|mailto:|\$)/.test(trimmed)) return false;
+
+  const words = trimmed.split(/\s+/);
+  if (words.length < 3) return false;
+  const technical = words.filter(word => /[-_:/[\]=]|\d/.test(word) && !/^[\p{L}'’]+[.,;:!?)]?$/u.test(word)).length;
+  return technical / words.length < 0.3;
+}
+
+// MDX/Markdown source: import/export lines go, the rest is already Markdown
+function cleanMarkdown(text) {
+  return text
+    .split('\n')
+    .filter(line => !/^\s*(import|export)\s/.test(line))
+    .join('\n')
+    .trim();
+}
+
+function richTextType(node) {
+  return String(node.nodeType || node._type || node.type || '');
+}
+
+function isRichTextNode(node) {
+  return (typeof node.nodeType === 'string' && Array.isArray(node.content)) ||
+    (node._type === 'block' && Array.isArray(node.children)) ||
+    (node.type === 'doc' && Array.isArray(node.content)) ||
+    (node.type === 'root' && Array.isArray(node.children) && node.children.some(child => child && child.type === 'paragraph'));
+}
+
+function headingLevel(node, type) {
+  const match = type.match(/^(?:heading-?|h)(\d)$/i) || String(node.style || '').match(/^h(\d)$/);
+  if (match) return Number(match[1]);
+  if (/^heading$/i.test(type)) return Number((node.attrs && node.attrs.level) || node.depth || 2);
+  return null;
+}
+
+// Contentful / Portable Text / ProseMirror / mdast node -> HTML, converted by htmlToMarkdown later
+function richTextToHtml(node, depth = 0) {
+  if (node === null || node === undefined || depth > MAX_DEPTH) return '';
+  if (typeof node === 'string') return escapeHtml(node);
+  if (Array.isArray(node)) return node.map(child => richTextToHtml(child, depth + 1)).join('');
+  if (typeof node !== 'object') return '';
+
+  const type = richTextType(node);
+  if (/^(text|span)$/i.test(type) || (typeof node.text === 'string' && !node.content && !node.children)) {
+    return escapeHtml(typeof node.value === 'string' ? node.value : (node.text || ''));
+  }
+
+  const inner = richTextToHtml(node.content || node.children || [], depth + 1);
+  const level = headingLevel(node, type);
+  if (level) return `<h${level}>${inner}</h${level}>`;
+
+  if (/^ordered[-_]?list$/i.test(type)) return `<ol>${inner}</ol>`;
+  if (/list$/i.test(type)) return `<ul>${inner}</ul>`;
+  if (/list[-_]?item/i.test(type)) return `<li>${inner}</li>`;
+  if (/hyperlink|^link$/i.test(type)) {
+    const href = (node.data && node.data.uri) || (node.attrs && node.attrs.href) || node.url || node.href || '';
+    return `<a href="${escapeHtml(href)}">${inner}</a>`;
+  }
+  if (/quote/i.test(type)) return `<blockquote>${inner}</blockquote>`;
+  if (/code/i.test(type)) return `<pre><code>${inner}</code></pre>`;
+  if (/^(hr|horizontal[-_]?rule|thematicBreak)$/i.test(type)) return '<hr>';
+  if (node._type === 'block' && node.listItem) return `<ul><li>${inner}</li></ul>`;
+  if (/^(document|doc|root)$/i.test(type)) return `<div>${inner}</div>`;
+  return `<p>${inner}</p>`;
+}
+
+// RSC element ["$", "h1", key, { children }] -> HTML; component references ("$L1") render nothing
+function rscToHtml(node, depth = 0) {
+  if (node === null || node === undefined || depth > MAX_DEPTH) return '';
+  if (typeof node === 'string') return node.startsWith('$') ? '' : escapeHtml(node);
+  if (typeof node === 'number') return String(node);
+  if (!Array.isArray(node)) return '';
+
+  if (node[0] === '$' && typeof node[1] === 'string') {
+    const props = node[3] || {};
+    const tag = node[1];
+    if (!/^[a-z][a-z0-9]*$/.test(tag)) return rscToHtml(props.children, depth + 1);
+    if (['script', 'style', 'link', 'meta', 'template', 'noscript'].includes(tag)) return '';
+
+    const inner = props.dangerouslySetInnerHTML && typeof props.dangerouslySetInnerHTML.__html === 'string'
+      ? props.dangerouslySetInnerHTML.__html
+      : rscToHtml(props.children, depth + 1);
+    const href = tag === 'a' && typeof props.href === 'string' ? ` href="${escapeHtml(props.href)}"` : '';
+    const language = typeof props.className === 'string' && /language-/.test(props.className) ? ` class="${escapeHtml(props.className)}"` : '';
+    return `<${tag}${href}${language}>${inner}</${tag}>`;
+  }
+
+  return node.map(child => rscToHtml(child, depth + 1)).join('');
+}
+
+function isRscElement(value) {
+  return Array.isArray(value) && value[0] === '$' && typeof value[1] === 'string';
+}
+
+/**
+ * Walks a payload collecting primary blocks (rich text, HTML, Markdown bodies, RSC trees)
+ * and secondary prose (titles, descriptions, other props)
+ */
+function collectText(data, collected) {
+  const visited = new Set();
+  let nodes = 0;
+
+  const walk = (value, key, depth) => {
+    if (value === null || value === undefined || depth > MAX_DEPTH || ++nodes > MAX_NODES) return;
+
+    if (typeof value === 'string') {
+      const text = value.trim();
+      if (HTML_BLOCK.test(text) && text.length >= 100) {
+        collected.primary.push({ html: text });
+      } else if (BODY_KEY.test(key) && text.length >= 100 && !CODE_LIKE.test(cleanMarkdown(text))) {
+        collected.primary.push({ markdown: cleanMarkdown(text) });
+      } else if (TITLE_KEY.test(key) && isProse(text, 3) && text.length <= 200) {
+        collected.secondary.push({ html: `<h2>${escapeHtml(text)}</h2>` });
+      } else if (isProse(text) && !CODE_LIKE.test(text)) {
+        collected.secondary.push({ html: `<p>${escapeHtml(text)}</p>` });
+      }
+      return;
+    }
+    if (typeof value !== 'object' || visited.has(value)) return;
+    visited.add(value);
+
+    if (isRscElement(value)) {
+      collected.primary.push({ html: rscToHtml(value) });
+      return;
+    }
+    if (!Array.isArray(value) && isRichTextNode(value)) {
+      collected.primary.push({ html: richTextToHtml(value) });
+      return;
+    }
+    if (Array.isArray(value) && value.length > 0 && value.every(item => item && item._type === 'block')) {
+      collected.primary.push({ html: richTextToHtml(value) });
+      return;
+    }
+
+    if (Array.isArray(value)) {
+      value.forEach(item => walk(item, key, depth + 1));
+    } else {
+      Object.entries(value).forEach(([childKey, child]) => {
+        if (!SKIP_KEYS.has(childKey)) walk(child, childKey, depth + 1);
+      });
+    }
+  };
+
+  walk(data, '', 0);
+}
+
+/**
+ * Readable content of parsed JSON payloads (shared with the network responses captured while rendering)
+ * @param {Array} payloads - [{ source, parsed, bytes, data | flight }]
+ * @param {string} url - Page URL (for absolute links)
+ * @returns {Object} { content, tables, codeBlocks, payloads } - payloads describe each one
+ *                   ({ source, parsed, bytes, text_length })
+ */
+function contentFromPayloads(payloads, url = null) {
+  const tables = [];
+  const codeBlocks = [];
+  const seen = new Set();
+  const sections = [];
+
+  const described = payloads.map(payload => {
+    const collected = { primary: [], secondary: [] };
+    if (payload.flight) {
+      payload.flight.forEach(row => {
+        if (row.text !== undefined) {
+          if (isProse(row.text) || HTML_BLOCK.test(row.text)) collected.primary.push(HTML_BLOCK.test(row.text) ? { html: row.text } : { markdown: cleanMarkdown(row.text) });
+        } else {
+          collectText(row.data, collected);
+        }
+      });
+    } else if (payload.parsed) {
+      collectText(payload.data, collected);
+    }
+
+    const toMarkdown = block => (block.html ? htmlToMarkdown(block.html, { baseUrl: url, tables, codeBlocks }) : block.markdown).trim();
+    const primary = collected.primary.map(toMarkdown).filter(Boolean);
+    const blocks = primary.join('').length >= MIN_PRIMARY_LENGTH
+      ? primary
+      : [...primary, ...collected.secondary.map(toMarkdown).filter(Boolean)];
+
+    let textLength = 0;
+    blocks.forEach(block => {
+      const key = block.replace(/\s+/g, ' ').toLowerCase();
+      if (seen.has(key)) return;
+      seen.add(key);
+      sections.push(block);
+      textLength += block.length;
+    });
+
+    return { source: payload.source, parsed: payload.parsed, bytes: payload.bytes, text_length: textLength };
+  });
+
+  return {
+    content: sections.join('\n\n'),
+    tables,
+    codeBlocks,
+    payloads: described
+  };
+}
+
+/**
+ * Readable content of the hydration payloads of a page
+ * @param {Object} $ - Cheerio document (before scripts are removed)
+ * @param {string} url - Page URL (for absolute links)
+ * @returns {Object|null} { content, tables, codeBlocks, payloads } or null when the page has no payload;
+ *                        payloads describe each one ({ source, parsed, bytes, text_length })
+ */
+function extractHydrationData($, url = null) {
+  const payloads = findHydrationPayloads($);
+  if (payloads.length === 0) return null;
+  return contentFromPayloads(payloads, url);
+}
+
+module.exports = {
+  extractHydrationData,
+  contentFromPayloads,
+  findHydrationPayloads,
+  decodeDevalue
+};
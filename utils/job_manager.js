@@ -0,0 +1,203 @@
+const crypto = require('crypto');
+
+// How long finished jobs (completed, failed or cancelled) are kept in memory
+const JOB_TTL_MS = parseInt(process.env.JOB_TTL_MS, 10) || 60 * 60 * 1000;
+const CLEANUP_INTERVAL_MS = 60 * 1000;
+
+// Every job holds its pages in memory until it expires, so both counts are capped:
+//   MAX_ACTIVE_JOBS - queued or running jobs (default 5)
+//   MAX_STORED_JOBS - jobs kept in memory, finished ones included (default 100)
+const MAX_ACTIVE_JOBS = parseInt(process.env.MAX_ACTIVE_JOBS, 10) || 5;
+const MAX_STORED_JOBS = parseInt(process.env.MAX_STORED_JOBS, 10) || 100;
+
+const FINISHED_STATUSES = ['completed', 'failed', 'cancelled'];
+
+const jobs = new Map();
+
+class JobLimitError extends Error {
+  constructor(kind, limit) {
+    super(kind === 'active'
+      ? `Too many jobs in progress (limit ${limit})`
+      : `Too many jobs stored (limit ${limit}), wait for finished jobs to expire`);
+    this.name = 'JobLimitError';
+    this.code = 'JOB_LIMIT';
+    this.kind = kind;
+    this.limit = limit;
+  }
+}
+
+function createJob(type, params, runner) {
+  const active = [...jobs.values()].filter(job => !FINISHED_STATUSES.includes(job.status)).length;
+  if (active >= MAX_ACTIVE_JOBS) {
+    throw new JobLimitError('active', MAX_ACTIVE_JOBS);
+  }
+
+  if (jobs.size >= MAX_STORED_JOBS) {
+    cleanupExpiredJobs();
+    if (jobs.size >= MAX_STORED_JOBS) throw new JobLimitError('stored', MAX_STORED_JOBS);
+  }
+
+  const job = {
+    id: crypto.randomUUID(),
+    type,
+    params,
+    status: 'queued',
+    stage: null,
+    progress: {
+      total: 0,
+      completed: 0,
+      successful: 0,
+      failed: 0,
+      kept: null
+    },
+    pages: [],
+    result: null,
+    error: null,
+    createdAt: new Date().toISOString(),
+    startedAt: null,
+    finishedAt: null,
+    expiresAt: null,
+    controller: new AbortController()
+  };
+
+  jobs.set(job.id, job);
+  console.log(`📋 Job ${job.id} created (${type})`);
+
+  // Start on the next tick so the caller can answer the HTTP request first
+  setImmediate(() => runJob(job, runner));
+
+  return job;
+}
+
+async function runJob(job, runner) {
+  if (job.controller.signal.aborted) {
+    finishJob(job, 'cancelled');
+    return;
+  }
+
+  job.status = 'running';
+  job.startedAt = new Date().toISOString();
+
+  try {
+    const result = await runner({
+      signal: job.controller.signal,
+      onProgress: event => recordProgress(job, event)
+    });
+
+    job.result = result;
+    finishJob(job, job.controller.signal.aborted ? 'cancelled' : 'completed');
+  } catch (error) {
+    console.error(`Job ${job.id} failed:`, error.message);
+    job.error = error.message;
+    finishJob(job, job.controller.signal.aborted ? 'cancelled' : 'failed');
+  }
+}
+
+// successful/failed count pages as they are scraped; near-duplicates merged afterwards still count
+// as successful there. kept is set from the final summary (summary.totalSuccessful): the pages in the result.
+function recordProgress(job, event) {
+  switch (event.type) {
+    case 'stage':
+      job.stage = event.stage;
+      break;
+    case 'urls_prioritized':
+      job.progress.total = event.total;
+      break;
+    case 'page_scraped':
+    case 'page_failed':
+      job.progress.completed++;
+      if (event.page.success) {
+        job.progress.successful++;
+      } else {
+        job.progress.failed++;
+      }
+      job.pages.push(event.page);
+      break;
+    case 'summary':
+      job.progress.kept = event.summary.totalSuccessful;
+      break;
+    default:
+      break;
+  }
+}
+
+function finishJob(job, status) {
+  job.status = status;
+  job.finishedAt = new Date().toISOString();
+  job.expiresAt = new Date(Date.now() + JOB_TTL_MS).toISOString();
+  console.log(`📋 Job ${job.id} ${status}`);
+}
+
+function getJob(id) {
+  return jobs.get(id) || null;
+}
+
+function cancelJob(id) {
+  const job = jobs.get(id);
+  if (!job) return null;
+
+  if (!FINISHED_STATUSES.includes(job.status)) {
+    console.log(`📋 Cancelling job ${job.id}`);
+    job.controller.abort();
+    if (job.status === 'queued') {
+      finishJob(job, 'cancelled');
+    }
+  }
+
+  return job;
+}
+
+function isFinished(job) {
+  return FINISHED_STATUSES.includes(job.status);
+}
+
+function serializeJob(job, { includePages = true } = {}) {
+  const serialized = {
+    job_id: job.id,
+    type: job.type,
+    status: job.status,
+    stage: job.stage,
+    progress: {
+      ...job.progress,
+      percent: job.progress.total > 0
+        ? Math.round(job.progress.completed / job.progress.total * 100)
+        : 0
+    },
+    params: job.params,
+    error: job.error,
+    created_at: job.createdAt,
+    started_at: job.startedAt,
+    finished_at: job.finishedAt,
+    expires_at: job.expiresAt
+  };
+
+  if (includePages) {
+    serialized.pages = job.pages;
+  }
+
+  return serialized;
+}
+
+function cleanupExpiredJobs() {
+  const now = Date.now();
+
+  for (const [id, job] of jobs) {
+    if (job.expiresAt && new Date(job.expiresAt).getTime() <= now) {
+      jobs.delete(id);
+      console.log(`🧹 Job ${id} expired and was removed`);
+    }
+  }
+}
+
+setInterval(cleanupExpiredJobs, CLEANUP_INTERVAL_MS).unref();
+
+module.exports = {
+  createJob,
+  getJob,
+  cancelJob,
+  isFinished,
+  serializeJob,
+  cleanupExpiredJobs,
+  JobLimitError,
+  JOB_TTL_MS
+};
@@ -0,0 +1,195 @@
+const cheerio = require('cheerio');
+const { fetchUrl } = require('./http_client');
+const { filterUrlsByType, cleanUrls } = require('./url_filters');
+const { prioritizeUrls } = require('./priority_sorter');
+const { scheduleUrls } = require('./crawl_scheduler');
+const { urlKey, DEFAULT_RULES } = require('./url_normalizer');
+
+// Fallback URL discovery for sites without a sitemap: fetches pages breadth-first and follows
+// same-site links that stay under the path prefix of the base URL.
+
+const DEFAULT_OPTIONS = {
+  maxDepth: 3,            // base URL is depth 0
+  maxUrls: 30,            // stop once this many in-scope URLs are known
+  maxFetches: 20,         // pages fetched just to read their links
+  delayMs: 500
+};
+
+// Links to these are never pages worth crawling
+const NON_HTML_EXTENSIONS = /\.(pdf|zip|gz|tgz|tar|rar|7z|exe|dmg|pkg|deb|rpm|msi|png|jpe?g|gif|svg|webp|ico|bmp|mp[34]|mov|avi|webm|wav|ogg|woff2?|ttf|eot|css|js|mjs|json|xml|rss|atom|txt|csv)$/i;
+
+function stripWww(hostname) {
+  return hostname.replace(/^www\./, '');
+}
+
+/**
+ * Path prefix a crawl is scoped to: "/docs/" for ".../docs/", ".../docs" or ".../docs/index.html"
+ */
+function getScopePrefix(baseUrl) {
+  const { pathname } = new URL(baseUrl);
+  if (pathname.endsWith('/')) return pathname;
+
+  const lastSegment = pathname.slice(pathname.lastIndexOf('/') + 1);
+  if (lastSegment.includes('.')) return pathname.slice(0, pathname.lastIndexOf('/') + 1);
+
+  return `${pathname}/`;
+}
+
+function isInScope(url, base, scopePrefix) {
+  const parsed = new URL(url);
+  if (stripWww(parsed.hostname) !== stripWww(base.hostname)) return false;
+
+  const path = parsed.pathname.endsWith('/') ? parsed.pathname : `${parsed.pathname}/`;
+  return path.startsWith(scopePrefix);
+}
+
+/**
+ * Same-site links of a page, resolved against its final URL, without fragments
+ * @param {string} html - Page HTML
+ * @param {string} pageUrl - Final page URL (after redirects)
+ * @returns {string[]} Absolute URLs
+ */
+function extractLinks(html, pageUrl) {
+  const $ = cheerio.load(html);
+  const baseHref = $('base[href]').attr('href');
+  const resolveAgainst = baseHref ? new URL(baseHref, pageUrl).href : pageUrl;
+  const links = new Set();
+
+  $('a[href]').each((i, element) => {
+    const href = ($(element).attr('href') || '').trim();
+    const rel = ($(element).attr('rel') || '').toLowerCase();
+    if (!href || href.startsWith('#') || /^(mailto|tel|javascript|data):/i.test(href)) return;
+    if (rel.includes('nofollow')) return;
+
+    try {
+      const url = new URL(href, resolveAgainst);
+      if (!['http:', 'https:'].includes(url.protocol)) return;
+      if (NON_HTML_EXTENSIONS.test(url.pathname)) return;
+      url.hash = '';
+      links.add(url.href);
+    } catch (error) {
+      // Ignore malformed hrefs
+    }
+  });
+
+  return [...links];
+}
+
+/**
+ * Breadth-first link discovery from the base URL
+ * @param {string} baseUrl - Site base URL (also defines the path-prefix scope)
+ * @param {Object} options - type, maxDepth, maxUrls, maxFetches, delayMs, robots, robotsExcluded,
+ *                           profile (platform profile for URL filtering), normalization (url_normalizer
+ *                           rules, null to compare URLs as-is), basePage (fetchUrl response of the base URL
+ *                           when the caller already has it), concurrency, perHostConcurrency, signal, onProgress
+ * @returns {Promise<Object>} { urls, pagesFetched, depthReached, scopePrefix }
+ */
+async function discoverLinks(baseUrl, options = {}) {
+  const {
+    type = 'documentation',
+    robots = null,
+    robotsExcluded = [],
+    profile = null,
+    normalization = DEFAULT_RULES,
+    basePage = null,
+    concurrency,
+    perHostConcurrency,
+    signal = null,
+    onProgress = null
+  } = options;
+  const settings = { ...DEFAULT_OPTIONS };
+  Object.keys(DEFAULT_OPTIONS).forEach(key => {
+    if (options[key] !== undefined && options[key] !== null) settings[key] = options[key];
+  });
+
+  const base = new URL(baseUrl);
+  const scopePrefix = getScopePrefix(baseUrl);
+
+  // The base page is fetched like any discovered link: robots.txt applies to it too
+  if (robots && !robots.isAllowed(base.href)) {
+    console.log(`🔗 ${base.href} is disallowed by robots.txt, no links to follow`);
+    robotsExcluded.push(base.href);
+    return { urls: [], pagesFetched: 0, depthReached: 0, scopePrefix };
+  }
+  const keyOf = url => (normalization ? urlKey(url, normalization) : url);
+  const seen = new Set([keyOf(base.href)]);
+  const discovered = [base.href];
+  let frontier = [base.href];
+  let pagesFetched = 0;
+  let depth = 0;
+
+  console.log(`🔗 Link discovery from ${baseUrl} (scope ${base.host}${scopePrefix}, maxDepth=${settings.maxDepth})`);
+
+  // Pages at depth d are fetched to discover depth d + 1
+  while (frontier.length > 0 && depth < settings.maxDepth) {
+    if (signal && signal.aborted) break;
+
+    const budget = settings.maxFetches - pagesFetched;
+    if (budget <= 0) break;
+    const toFetch = frontier.slice(0, budget);
+    pagesFetched += toFetch.length;
+
+    // Fetch the whole level under the politeness scheduler, collecting links
+    const levelLinks = [];
+    await scheduleUrls(toFetch, async url => {
+      try {
+        const response = url === base.href && basePage ? basePage : await fetchUrl(url, { signal });
+        const contentType = response.headers['content-type'] || '';
+        if (contentType && !contentType.includes('html')) return { url, success: true };
+
+        levelLinks.push(...extractLinks(response.data, response.finalUrl || url));
+        return { url, success: true };
+      } catch (error) {
+        console.log(`🔗 Could not read links from ${url}: ${error.message}`);
+        return { url, success: false, error: error.message };
+      }
+    }, {
+      signal,
+      concurrency,
+      perHostConcurrency,
+      initialDelayMs: settings.delayMs,
+      hostDelayFloorMs: () => (robots && robots.crawlDelayMs) || 0
+    });
+
+    // New in-scope links, minus robots.txt exclusions
+    const candidates = [];
+    cleanUrls(levelLinks, normalization).forEach(url => {
+      if (seen.has(keyOf(url)) || !isInScope(url, base, scopePrefix)) return;
+      seen.add(keyOf(url));
+
+      if (robots && !robots.isAllowed(url)) {
+        robotsExcluded.push(url);
+        return;
+      }
+      candidates.push(url);
+    });
+
+    // Frontier ordering: type filter (unless it would drop everything in scope), then priority
+    const room = settings.maxUrls - discovered.length;
+    const filtered = filterUrlsByType(candidates, type, candidates.length, { profile, baseUrl });
+    const kept = prioritizeUrls(filtered.length > 0 ? filtered : candidates, type, Math.max(room, 0));
+
+    discovered.push(...kept);
+    depth++;
+
+    console.log(`🔗 Depth ${depth}: ${candidates.length} new links, ${kept.length} kept (${discovered.length} total)`);
+    if (onProgress) onProgress({ type: 'links_discovered', depth, found: candidates.length, total: discovered.length });
+
+    if (discovered.length >= settings.maxUrls) break;
+    frontier = kept;
+  }
+
+  return {
+    urls: discovered,
+    pagesFetched,
+    depthReached: depth,
+    scopePrefix
+  };
+}
+
+module.exports = {
+  discoverLinks,
+  extractLinks,
+  getScopePrefix,
+  DEFAULT_OPTIONS
+};
@@ -0,0 +1,243 @@
+// Near-duplicate detection for crawls: 64-bit SimHash fingerprints over word 3-shingles.
+// - pages whose fingerprints differ in at most NEAR_DUPLICATE_DISTANCE bits are collapsed into one,
+//   keeping the canonical URL (self-canonical, canonical target of the others, then shortest);
+//   a shared canonical URL groups pages first, but only on the page's own host and only when the
+//   content agrees too (sites often point every canonical at the homepage)
+// - paragraphs already seen on an earlier page are dropped from the consolidated content
+//
+// Fingerprints are indexed in eight 8-bit bands: two fingerprints within 7 bits of each other
+// share at least one band, so only same-band entries are compared.
+//
+// Configuration:
+//   NEAR_DUPLICATE_DISTANCE - maximum differing bits for pages and paragraphs (default 6, at most 7)
+
+const crypto = require('crypto');
+const { splitMarkdownBlocks } = require('./html_to_markdown');
+
+const MAX_DISTANCE = Math.min(parseInt(process.env.NEAR_DUPLICATE_DISTANCE, 10) || 6, 7);
+const SHINGLE_SIZE = 3;
+const MIN_PAGE_WORDS = 20;      // shorter pages are too small to fingerprint reliably
+const MIN_PARAGRAPH_WORDS = 8;
+
+function words(text) {
+  return text
+    .replace(/\]\([^)]*\)/g, ']')
+    .toLowerCase()
+    .split(/[^\p{L}\p{N}]+/u)
+    .filter(Boolean);
+}
+
+function popcount(value) {
+  let bits = value - ((value >>> 1) & 0x55555555);
+  bits = (bits & 0x33333333) + ((bits >>> 2) & 0x33333333);
+  return (((bits + (bits >>> 4)) & 0x0f0f0f0f) * 0x01010101) >>> 24;
+}
+
+/**
+ * SimHash of a text, as [high 32 bits, low 32 bits]
+ * @param {string} text - Text or Markdown
+ * @returns {Array|null} Fingerprint, or null for texts without words
+ */
+function simhash(text) {
+  const tokens = Array.isArray(text) ? text : words(text);
+  if (tokens.length === 0) return null;
+
+  const shingles = tokens.length <= SHINGLE_SIZE
+    ? [tokens.join(' ')]
+    : tokens.slice(0, tokens.length - SHINGLE_SIZE + 1).map((word, i) => tokens.slice(i, i + SHINGLE_SIZE).join(' '));
+
+  const weights = new Array(64).fill(0);
+  shingles.forEach(shingle => {
+    const digest = crypto.createHash('md5').update(shingle).digest();
+    const halves = [digest.readUInt32BE(0), digest.readUInt32BE(4)];
+    for (let bit = 0; bit < 64; bit++) {
+      weights[bit] += (halves[bit >> 5] >>> (bit & 31)) & 1 ? 1 : -1;
+    }
+  });
+
+  const fingerprint = [0, 0];
+  weights.forEach((weight, bit) => {
+    if (weight > 0) fingerprint[bit >> 5] |= 1 << (bit & 31);
+  });
+  return [fingerprint[0] >>> 0, fingerprint[1] >>> 0];
+}
+
+function hammingDistance(a, b) {
+  return popcount((a[0] ^ b[0]) >>> 0) + popcount((a[1] ^ b[1]) >>> 0);
+}
+
+function bandsOf(fingerprint) {
+  const bands = [];
+  for (let band = 0; band < 8; band++) {
+    bands.push(`${band}:${(fingerprint[band >> 2] >>> ((band & 3) * 8)) & 0xff}`);
+  }
+  return bands;
+}
+
+/**
+ * Fingerprint index answering "is there an entry within maxDistance bits?"
+ */
+function createFingerprintIndex(maxDistance = MAX_DISTANCE) {
+  const buckets = new Map();
+
+  return {
+    add(fingerprint, value) {
+      const entry = { fingerprint, value };
+      bandsOf(fingerprint).forEach(key => {
+        if (!buckets.has(key)) buckets.set(key, []);
+        buckets.get(key).push(entry);
+      });
+    },
+
+    find(fingerprint) {
+      let best = null;
+      bandsOf(fingerprint).forEach(key => {
+        (buckets.get(key) || []).forEach(entry => {
+          const distance = hammingDistance(fingerprint, entry.fingerprint);
+          if (distance <= maxDistance && (!best || distance < best.distance)) best = { value: entry.value, distance };
+        });
+      });
+      return best;
+    }
+  };
+}
+
+function hostOf(url) {
+  try {
+    return new URL(url).host;
+  } catch (error) {
+    return null;
+  }
+}
+
+// Bits between two page fingerprints: pages too short to fingerprint only match each other
+function contentDistance(a, b) {
+  if (!a || !b) return a === b ? 0 : Infinity;
+  return hammingDistance(a, b);
+}
+
+function stripUrl(url) {
+  try {
+    const parsed = new URL(url);
+    return `${parsed.host}${parsed.pathname.replace(/\/+$/, '')}`;
+  } catch (error) {
+    return url;
+  }
+}
+
+// The page's own <link rel="canonical"> (canonicalUrl metadata), resolved against its URL: canonical_url
+// can't tell, the scrapers fill it with the final URL when the page declares no canonical
+function declaredCanonical(page) {
+  if (!page.canonicalUrl) return null;
+  try {
+    return new URL(page.canonicalUrl.trim(), page.url).href;
+  } catch (error) {
+    return null;
+  }
+}
+
+// Higher is more canonical: declared self-canonical, target of the group's canonical links, clean URL
+function canonicalRank(page, group) {
+  const url = stripUrl(page.url);
+  let rank = 0;
+  const declared = declaredCanonical(page);
+  if (declared && stripUrl(declared) === url) rank += 4;
+  if (group.some(other => other !== page && declaredCanonical(other) && stripUrl(declaredCanonical(other)) === url)) rank += 4;
+  if (!page.url.includes('?')) rank += 2;
+  return rank - page.url.length / 1000;
+}
+
+/**
+ * Collapses near-duplicate pages into their canonical page
+ * @param {Array} pages - Successful pages in priority order ({ url, content, canonical_url, canonicalUrl })
+ * @param {Object} options - maxDistance
+ * @returns {Object} { pages, groups } - unique pages (priority order kept) and
+ *                   [{ canonical, merged: [url], similarity }] for every collapsed group
+ */
+function collapseNearDuplicates(pages, options = {}) {
+  const maxDistance = options.maxDistance || MAX_DISTANCE;
+  const index = createFingerprintIndex(maxDistance);
+  const byCanonical = new Map();
+  const groups = [];
+
+  pages.forEach(page => {
+    // Canonicals on another host (or unparseable) say nothing about duplicates within the crawl
+    const canonical = page.canonical_url && hostOf(page.canonical_url) === hostOf(page.url)
+      ? page.canonical_url.replace(/\/+(\?|$)/, '$1')
+      : null;
+    const tokens = words(page.content || '');
+    const fingerprint = tokens.length >= MIN_PAGE_WORDS ? simhash(tokens) : null;
+
+    const canonicalGroup = canonical ? byCanonical.get(canonical) : null;
+    const canonicalDistance = canonicalGroup ? contentDistance(fingerprint, canonicalGroup.fingerprint) : Infinity;
+    const match = (canonicalDistance <= maxDistance && { value: canonicalGroup, distance: canonicalDistance }) ||
+      (fingerprint && index.find(fingerprint));
+
+    if (match) {
+      match.value.members.push(page);
+      if (canonical && !byCanonical.has(canonical)) byCanonical.set(canonical, match.value);
+      match.value.maxDistance = Math.max(match.value.maxDistance, match.distance);
+      return;
+    }
+
+    const group = { members: [page], maxDistance: 0, fingerprint };
+    groups.push(group);
+    if (canonical && !byCanonical.has(canonical)) byCanonical.set(canonical, group);
+    if (fingerprint) index.add(fingerprint, group);
+  });
+
+  const merged = [];
+  const unique = groups.map(group => {
+    if (group.members.length === 1) return group.members[0];
+
+    const canonical = group.members.reduce((best, page) =>
+      canonicalRank(page, group.members) > canonicalRank(best, group.members) ? page : best);
+    merged.push({
+      canonical: canonical.url,
+      merged: group.members.filter(page => page !== canonical).map(page => page.url),
+      similarity: Math.round((1 - group.maxDistance / 64) * 1000) / 1000
+    });
+    return canonical;
+  });
+
+  return { pages: unique, groups: merged };
+}
+
+/**
+ * Drops paragraphs already seen (near-identically) on an earlier page
+ * @param {Array<string>} contents - Markdown of each page, in consolidation order
+ * @returns {Object} { contents, removed } - cleaned Markdown per page and the number of dropped paragraphs
+ */
+function dropRepeatedParagraphs(contents, options = {}) {
+  const index = createFingerprintIndex(options.maxDistance || MAX_DISTANCE);
+  let removed = 0;
+
+  const cleaned = contents.map(content => {
+    const kept = splitMarkdownBlocks(content || '').filter(block => {
+      // Headings and code are structure: repeated ones stay
+      if (/^[ >]*(`{3,}|~{3,})/.test(block) || /^#{1,6} [^\n]*$/.test(block)) return true;
+
+      const tokens = words(block);
+      if (tokens.length < MIN_PARAGRAPH_WORDS) return true;
+
+      const fingerprint = simhash(tokens);
+      if (index.find(fingerprint)) {
+        removed++;
+        return false;
+      }
+      index.add(fingerprint, true);
+      return true;
+    });
+    return kept.join('\n\n');
+  });
+
+  return { contents: cleaned, removed };
+}
+
+module.exports = {
+  simhash,
+  hammingDistance,
+  createFingerprintIndex,
+  collapseNearDuplicates,
+  dropRepeatedParagraphs
+};
@@ -0,0 +1,105 @@
+// Capture of the JSON responses a page loads through XMLHttpRequest/fetch while it is rendered.
+// Many SPAs fetch their article body from a JSON API after boot: the payload is often complete
+// before (or without) the DOM ever showing it, so it is recorded as `network_data` and can be
+// turned into content with the same walker as the hydration payloads (hydration_data.js).
+//
+// Only JSON responses are kept (application/json, +json, or a body that parses as JSON).
+// Responses past the count limit are not recorded; a response that does not fit in the
+// remaining byte budget is recorded without its payload (json: null, truncated: true).
+// Limits come from the render pool (RENDER_CAPTURE_MAX_RESPONSES, RENDER_CAPTURE_MAX_BYTES).
+
+const { contentFromPayloads } = require('./hydration_data');
+
+const MIN_CONTENT_LENGTH = 100;
+
+function parseJsonBody(body, contentType) {
+  const text = (body || '').trim();
+  if (!/json/i.test(contentType || '') && !/^[[{]/.test(text)) return undefined;
+  try {
+    return JSON.parse(text.replace(/^\)\]\}',?\s*/, ''));   // strips the ")]}'" anti-hijacking prefix
+  } catch (error) {
+    return undefined;
+  }
+}
+
+/**
+ * Records the JSON responses of a JSDOM window (called from beforeParse, in the render worker)
+ * @param {Object} window - JSDOM window, before the page is parsed
+ * @param {Object} limits - { maxResponses, maxBytes }
+ * @returns {Object} { entries, skipped } - entries: [{ url, method, status, content_type, bytes, json, truncated }]
+ */
+function captureNetwork(window, limits) {
+  const capture = { entries: [], skipped: 0 };
+  let bytesUsed = 0;
+
+  const record = (url, method, status, contentType, body) => {
+    const json = parseJsonBody(body, contentType);
+    if (json === undefined) return;
+
+    if (capture.entries.length >= limits.maxResponses) {
+      capture.skipped++;
+      return;
+    }
+
+    const bytes = Buffer.byteLength(body);
+    const fits = bytesUsed + bytes <= limits.maxBytes;
+    if (fits) bytesUsed += bytes;
+    capture.entries.push({
+      url,
+      method,
+      status,
+      content_type: contentType || null,
+      bytes,
+      json: fits ? json : null,
+      truncated: !fits
+    });
+  };
+
+  const XMLHttpRequest = window.XMLHttpRequest;
+  const open = XMLHttpRequest.prototype.open;
+  const send = XMLHttpRequest.prototype.send;
+
+  XMLHttpRequest.prototype.open = function (method, url, ...rest) {
+    this._capture = { method: String(method).toUpperCase(), url: String(url) };
+    return open.call(this, method, url, ...rest);
+  };
+
+  // fetch is installed on top of XMLHttpRequest afterwards (dom_fetch.js), so it is recorded here too
+  XMLHttpRequest.prototype.send = function (...args) {
+    this.addEventListener('load', () => {
+      const type = this.responseType;
+      if (type !== '' && type !== 'text' && type !== 'json') return;
+      try {
+        const body = type === 'json' ? JSON.stringify(this.response) : this.responseText;
+        const request = this._capture || { method: 'GET', url: '' };
+        record(this.responseURL || request.url, request.method, this.status, this.getResponseHeader('content-type'), body);
+      } catch (error) {
+        // Unreadable response: nothing to record
+      }
+    });
+    return send.apply(this, args);
+  };
+
+  return capture;
+}
+
+/**
+ * Content from the text-heavy fields of the captured JSON responses
+ * @param {Array} entries - network_data entries
+ * @param {string} url - Page URL (for absolute links)
+ * @returns {Object|null} { content, tables, codeBlocks, payloads } or null when nothing readable was captured
+ */
+function networkDataContent(entries, url = null) {
+  const payloads = (entries || [])
+    .filter(entry => entry.json !== null && entry.status >= 200 && entry.status < 300)
+    .map(entry => ({ source: `${entry.method} ${entry.url}`, parsed: true, bytes: entry.bytes, data: entry.json }));
+  if (payloads.length === 0) return null;
+
+  const result = contentFromPayloads(payloads, url);
+  return result.content.length >= MIN_CONTENT_LENGTH ? result : null;
+}
+
+module.exports = {
+  captureNetwork,
+  networkDataContent
+};
@@ -0,0 +1,217 @@
+// Documentation-platform profiles (Docusaurus, MkDocs, Sphinx, ...), loaded from JSON data files.
+// Each profile fingerprints its generator and supplies content/noise selectors for the extractors
+// and URL patterns for filterUrlsByType.
+//
+// Profile file (one per platform, see profiles/*.json):
+//   name, label, priority          - higher priority wins when several profiles match
+//   fingerprints.generator         - regex on <meta name="generator">
+//   fingerprints.hosts             - regex on the page hostname
+//   fingerprints.selectors         - any element matching one of these
+//   fingerprints.assets            - regex on script src / stylesheet href
+//   content_selectors              - tried in order; the first that matches is the content
+//   exclude_selectors              - navigation, TOC, "edit this page", pagination...
+//   url_patterns.include/exclude   - substrings, like CONTENT_PATTERNS in url_filters
+//   url_patterns.version           - regex whose first group is the version segment of a URL
+//   url_patterns.default_versions  - versions kept when the base URL has none (e.g. "stable")
+//
+// Configuration:
+//   PLATFORM_PROFILES_DIR - extra directory with profile files (same name replaces a built-in one)
+
+const fs = require('fs');
+const path = require('path');
+const { selectorError } = require('./selector_rules');
+
+const BUILTIN_DIR = path.join(__dirname, '..', 'profiles');
+
+function compileRegex(source, label, problems) {
+  if (source === undefined || source === null) return null;
+  try {
+    return new RegExp(source, 'i');
+  } catch (error) {
+    problems.push(`${label}: ${error.message}`);
+    return null;
+  }
+}
+
+function selectorList(list, label, problems) {
+  if (list === undefined) return [];
+  if (!Array.isArray(list)) {
+    problems.push(`${label} must be a list`);
+    return [];
+  }
+  return list.filter(selector => {
+    const problem = selectorError(selector);
+    if (problem) problems.push(`${label} ${JSON.stringify(selector)}: ${problem}`);
+    return !problem;
+  });
+}
+
+/**
+ * Validates a profile definition and compiles its patterns
+ * @returns {Object} { profile, problems } (profile is null when the definition is unusable)
+ */
+function compileProfile(definition, source) {
+  const problems = [];
+  if (!definition || typeof definition.name !== 'string' || !/^[a-z0-9_-]+$/.test(definition.name)) {
+    return { profile: null, problems: [`${source}: name must be lowercase letters, digits, "-" or "_"`] };
+  }
+
+  const fingerprints = definition.fingerprints || {};
+  const urlPatterns = definition.url_patterns || {};
+
+  const profile = {
+    name: definition.name,
+    label: definition.label || definition.name,
+    priority: Number(definition.priority) || 0,
+    fingerprints: {
+      generator: compileRegex(fingerprints.generator, 'fingerprints.generator', problems),
+      hosts: compileRegex(fingerprints.hosts, 'fingerprints.hosts', problems),
+      selectors: selectorList(fingerprints.selectors, 'fingerprints.selectors', problems),
+      assets: (fingerprints.assets || []).map(asset => compileRegex(asset, 'fingerprints.assets', problems)).filter(Boolean)
+    },
+    contentSelectors: selectorList(definition.content_selectors, 'content_selectors', problems),
+    excludeSelectors: selectorList(definition.exclude_selectors, 'exclude_selectors', problems),
+    urlPatterns: {
+      include: urlPatterns.include || [],
+      exclude: urlPatterns.exclude || [],
+      version: compileRegex(urlPatterns.version, 'url_patterns.version', problems),
+      defaultVersions: urlPatterns.default_versions || []
+    },
+    source
+  };
+
+  const { generator, hosts, selectors, assets } = profile.fingerprints;
+  if (!generator && !hosts && selectors.length === 0 && assets.length === 0) {
+    problems.push('at least one fingerprint is required');
+    return { profile: null, problems };
+  }
+
+  return { profile, problems };
+}
+
+function loadProfileDir(dir, registry) {
+  let files;
+  try {
+    files = fs.readdirSync(dir).filter(file => file.endsWith('.json')).sort();
+  } catch (error) {
+    console.log(`⚠️ Platform profiles directory not readable: ${dir} (${error.message})`);
+    return;
+  }
+
+  files.forEach(file => {
+    const source = path.join(dir, file);
+    try {
+      const { profile, problems } = compileProfile(JSON.parse(fs.readFileSync(source, 'utf8')), source);
+      problems.forEach(problem => console.log(`⚠️ Platform profile ${file}: ${problem}`));
+      if (profile) registry.set(profile.name, profile);
+    } catch (error) {
+      console.log(`⚠️ Platform profile ${file} skipped: ${error.message}`);
+    }
+  });
+}
+
+function loadProfiles() {
+  const registry = new Map();
+  loadProfileDir(BUILTIN_DIR, registry);
+  if (process.env.PLATFORM_PROFILES_DIR) loadProfileDir(process.env.PLATFORM_PROFILES_DIR, registry);
+
+  return [...registry.values()].sort((a, b) => b.priority - a.priority);
+}
+
+const PROFILES = loadProfiles();
+
+function getProfile(name) {
+  return PROFILES.find(profile => profile.name === name) || null;
+}
+
+// Evidence a page was generated by the profile's platform (empty when it wasn't)
+function fingerprintMatches($, url, profile) {
+  const { generator, hosts, selectors, assets } = profile.fingerprints;
+  const matches = [];
+
+  if (generator) {
+    const content = $('meta[name="generator" i]').map((i, meta) => $(meta).attr('content') || '').get();
+    if (content.some(value => generator.test(value))) matches.push('generator');
+  }
+
+  if (hosts && url) {
+    try {
+      if (hosts.test(new URL(url).hostname)) matches.push('host');
+    } catch (error) {
+      // Invalid URL: nothing to match
+    }
+  }
+
+  const selector = selectors.find(candidate => $(candidate).length > 0);
+  if (selector) matches.push(`selector:${selector}`);
+
+  if (assets.length > 0) {
+    const urls = $('script[src], link[href]').map((i, element) => $(element).attr('src') || $(element).attr('href')).get();
+    if (urls.some(assetUrl => assets.some(asset => asset.test(assetUrl)))) matches.push('asset');
+  }
+
+  return matches;
+}
+
+/**
+ * Documentation platform of a page
+ * @param {Object} $ - Cheerio document (before scripts are removed: asset paths are fingerprints)
+ * @param {string} url - Page URL
+ * @param {string} platform - "auto" (detect), "none", or a profile name to force
+ * @returns {Object|null} { profile, matchedBy } or null
+ */
+function detectPlatform($, url, platform = 'auto') {
+  if (platform === 'none') return null;
+  if (platform && platform !== 'auto') {
+    const forced = getProfile(platform);
+    return forced ? { profile: forced, matchedBy: ['forced'] } : null;
+  }
+
+  for (const profile of PROFILES) {
+    const matchedBy = fingerprintMatches($, url, profile);
+    if (matchedBy.length > 0) return { profile, matchedBy };
+  }
+  return null;
+}
+
+/**
+ * Selector rules (see selector_rules) with the profile's content and noise selectors merged in.
+ * Request selectors win: the profile content selector is only used when the request sets none.
+ * @param {Object} $ - Cheerio document
+ * @param {Object} profile - Detected profile
+ * @param {Object|null} rules - Request selector rules
+ * @returns {Object} Rules with contentSource "request" | "profile" | null
+ */
+function profileSelectorRules($, profile, rules = null) {
+  const base = rules || { include: [], exclude: [], content: null, extract: null };
+  const requestContent = Boolean(base.content || base.include.length > 0);
+  const content = requestContent ? base.content : (profile.contentSelectors.find(selector => $(selector).length > 0) || null);
+
+  return {
+    ...base,
+    content,
+    exclude: [...profile.excludeSelectors, ...base.exclude],
+    contentSource: requestContent ? 'request' : (content ? 'profile' : null)
+  };
+}
+
+/**
+ * Platform summary for API responses
+ */
+function describePlatform(detection) {
+  if (!detection) return null;
+  return {
+    name: detection.profile.name,
+    label: detection.profile.label,
+    matched_by: detection.matchedBy
+  };
+}
+
+module.exports = {
+  detectPlatform,
+  profileSelectorRules,
+  describePlatform,
+  getProfile,
+  compileProfile,
+  PROFILES
+};
@@ -7,7 +7,43 @@ const PRIORITY_KEYWORDS = {
   }
 };
 
-function calculateUrlPriority(url, index, type = 'documentation') {
+// Sitemap <changefreq> hints: frequently updated pages get a small boost
+const CHANGEFREQ_SCORES = {
+  always: 5, hourly: 5, daily: 4, weekly: 2, monthly: 0, yearly: -3, never: -5
+};
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+// Score from sitemap metadata (priority, lastmod, changefreq); 0 when the URL has none
+function sitemapScore(entry, now = Date.now()) {
+  if (!entry) return 0;
+  let score = 0;
+  
+  // <priority> 0.0-1.0, default 0.5 per the sitemap protocol: -20 to +20
+  if (typeof entry.priority === 'number') {
+    score += Math.round((entry.priority - 0.5) * 40);
+  }
+  
+  // Freshness from <lastmod>
+  if (entry.lastmod) {
+    const modified = Date.parse(entry.lastmod);
+    if (!isNaN(modified)) {
+      const ageDays = (now - modified) / DAY_MS;
+      if (ageDays <= 30) score += 10;
+      else if (ageDays <= 180) score += 5;
+      else if (ageDays > 730) score -= 5;
+    }
+  }
+  
+  if (entry.changefreq && CHANGEFREQ_SCORES[entry.changefreq] !== undefined) {
+    score += CHANGEFREQ_SCORES[entry.changefreq];
+  }
+  
+  return score;
+}
+
+// entry: sitemap metadata of the URL ({ priority, lastmod, changefreq }), optional
+function calculateUrlPriority(url, index, type = 'documentation', entry = null) {
   let score = 100; // Base score
   
   try {
@@ -63,6 +99,9 @@ function calculateUrlPriority(url, index, type = 'documentation') {
     // 6. Original position bonus (earlier in sitemap = likely more important)
     score += Math.max(0, 50 - index);
     
+    // 7. Sitemap priority and freshness
+    score += sitemapScore(entry);
+    
     return Math.max(0, score); // Ensure non-negative
     
   } catch (error) {
@@ -71,13 +110,15 @@ function calculateUrlPriority(url, index, type = 'documentation') {
   }
 }
 
-function prioritizeUrls(urls, type = 'documentation', maxPages = 15) {
-  console.log(`Prioritizing ${urls.length} URLs`);
+// options.sitemapEntries: Map of url -> sitemap entry (see discoverSitemapEntries)
+function prioritizeUrls(urls, type = 'documentation', maxPages = 15, options = {}) {
+  const { sitemapEntries = null } = options;
+  console.log(`Prioritizing ${urls.length} URLs${sitemapEntries ? ' (with sitemap metadata)' : ''}`);
   
   // Calculate priority for each URL
   const prioritizedUrls = urls.map((url, index) => ({
     url,
-    priority: calculateUrlPriority(url, index, type),
+    priority: calculateUrlPriority(url, index, type, sitemapEntries ? sitemapEntries.get(url) : null),
     originalIndex: index
   }));
   
@@ -133,6 +174,7 @@ function analyzeUrlPriorities(urls, type = 'documentation') {
 
 module.exports = {
   calculateUrlPriority,
+  sitemapScore,
   prioritizeUrls,
   analyzeUrlPriorities,
   PRIORITY_KEYWORDS
@@ -0,0 +1,330 @@
+// Main-content detection in the style of Mozilla Readability, on a Cheerio document:
+// - hidden elements (hidden, aria-hidden, inline display:none / visibility:hidden) are dropped
+// - unlikely candidates (comments, sidebars, menus, ...) are dropped by class/ID
+// - every paragraph-like block scores its parent fully, its grandparent by half and the next
+//   ancestor by a sixth; candidates are then scaled down by their link density
+// - siblings of the winner that look like part of the same article are merged back in
+//
+// Shared by the Cheerio extractors and the JSDOM path (which loads its rendered DOM into Cheerio).
+
+const UNLIKELY_CANDIDATES = /-ad-|ai2html|banner|breadcrumbs|combx|comment|community|cookie|cover-wrap|disqus|extra|footer|gdpr|header|legends|menu|modal|newsletter|related|remark|replies|rss|share|shoutbox|sidebar|skyscraper|social|sponsor|supplemental|ad-break|agegate|pagination|pager|popup|yom-remote/i;
+const MAYBE_CANDIDATE = /and|article|body|column|content|main|shadow/i;
+const POSITIVE = /article|body|content|entry|hentry|h-entry|main|page|post|text|blog|story|docs?|documentation|markdown|prose/i;
+const NEGATIVE = /-ad-|hidden|^hid$| hid$| hid |^hid |banner|combx|comment|com-|contact|foot|footer|footnote|gdpr|masthead|media|meta|outbrain|promo|related|scroll|share|shoutbox|sidebar|skyscraper|sponsor|shopping|tags|tool|widget|nav|menu/i;
+
+const SCORED_TAGS = new Set(['p', 'pre', 'td', 'blockquote', 'section', 'h2', 'h3', 'h4', 'h5', 'h6']);
+const BLOCK_CHILDREN = 'address, article, aside, blockquote, dl, div, fieldset, figure, footer, form, h1, h2, h3, h4, h5, h6, header, hr, main, nav, ol, p, pre, section, table, ul';
+const NEVER_UNLIKELY = new Set(['html', 'body', 'article', 'main', 'a', 'table', 'tbody', 'tr', 'td', 'th', 'pre', 'code']);
+
+const MIN_PARAGRAPH_LENGTH = 25;
+const MAX_ANCESTOR_LEVELS = 3;
+
+function tagOf(node) {
+  return node && node.type === 'tag' ? node.name.toLowerCase() : null;
+}
+
+function normalizedText($, node) {
+  return $(node).text().replace(/\s+/g, ' ').trim();
+}
+
+function isHidden($, node) {
+  const $node = $(node);
+  if ($node.attr('hidden') !== undefined || $node.attr('aria-hidden') === 'true') return true;
+  const style = ($node.attr('style') || '').toLowerCase();
+  return /display\s*:\s*none|visibility\s*:\s*hidden/.test(style);
+}
+
+function classWeight($, node) {
+  let weight = 0;
+  ['class', 'id'].forEach(name => {
+    const value = $(node).attr(name);
+    if (!value) return;
+    if (NEGATIVE.test(value)) weight -= 25;
+    if (POSITIVE.test(value)) weight += 25;
+  });
+  return weight;
+}
+
+function linkDensity($, node) {
+  const textLength = normalizedText($, node).length;
+  if (textLength === 0) return 0;
+
+  let linkLength = 0;
+  $(node).find('a').each((i, link) => {
+    // In-page anchors count less: tables of contents are part of the article
+    const weight = ($(link).attr('href') || '').startsWith('#') ? 0.3 : 1;
+    linkLength += normalizedText($, link).length * weight;
+  });
+  return Math.min(1, linkLength / textLength);
+}
+
+function initialScore($, node) {
+  let score = 0;
+  switch (tagOf(node)) {
+    case 'div': score += 5; break;
+    case 'pre': case 'td': case 'blockquote': score += 3; break;
+    case 'address': case 'ol': case 'ul': case 'dl': case 'dd': case 'dt': case 'li': case 'form': score -= 3; break;
+    case 'h1': case 'h2': case 'h3': case 'h4': case 'h5': case 'h6': case 'th': score -= 5; break;
+    default: break;
+  }
+  return score + classWeight($, node);
+}
+
+/**
+ * CSS path of an element, e.g. "body > div#page > article.post:nth-of-type(2)"
+ */
+function selectorPath($, node) {
+  const parts = [];
+  let current = node;
+
+  while (current && tagOf(current) && tagOf(current) !== 'html') {
+    const $current = $(current);
+    let part = tagOf(current);
+    const id = $current.attr('id');
+
+    if (id && /^[A-Za-z][\w-]*$/.test(id)) {
+      parts.unshift(`${part}#${id}`);
+      break;
+    }
+
+    const className = ($current.attr('class') || '').trim().split(/\s+/).filter(name => /^[A-Za-z_-][\w-]*$/.test(name))[0];
+    if (className) part += `.${className}`;
+
+    const sameTag = $current.parent().children(tagOf(current));
+    if (sameTag.length > 1) part += `:nth-of-type(${sameTag.index(current) + 1})`;
+
+    parts.unshift(part);
+    current = current.parent;
+  }
+
+  return parts.join(' > ');
+}
+
+function removeHiddenAndUnlikely($) {
+  let removed = 0;
+
+  $('body *').each((i, node) => {
+    if (!node.parent) return; // already removed with an ancestor
+    if (isHidden($, node)) {
+      $(node).remove();
+      removed++;
+      return;
+    }
+
+    const tag = tagOf(node);
+    if (NEVER_UNLIKELY.has(tag)) return;
+    const matchString = `${$(node).attr('class') || ''} ${$(node).attr('id') || ''}`;
+    const role = $(node).attr('role') || '';
+
+    if ((UNLIKELY_CANDIDATES.test(matchString) && !MAYBE_CANDIDATE.test(matchString)) ||
+        ['menu', 'menubar', 'complementary', 'navigation', 'alert', 'alertdialog', 'dialog'].includes(role)) {
+      if ($(node).closest('table, pre, code').length) return;
+      $(node).remove();
+      removed++;
+    }
+  });
+
+  return removed;
+}
+
+// Divs (and sections) that only hold inline content behave like paragraphs
+function isParagraphLike($, node) {
+  const tag = tagOf(node);
+  if (SCORED_TAGS.has(tag) && tag !== 'section') return true;
+  if (tag === 'div' || tag === 'section') return $(node).children(BLOCK_CHILDREN).length === 0;
+  return false;
+}
+
+function scoreCandidates($) {
+  const scores = new Map();
+
+  $('body').find('*').each((i, node) => {
+    if (!isParagraphLike($, node)) return;
+
+    // Code blocks count however short they are: a one-line command is still content
+    const text = normalizedText($, node);
+    if (text.length < MIN_PARAGRAPH_LENGTH && tagOf(node) !== 'pre') return;
+
+    const contentScore = 1 + (text.match(/[,，、]/g) || []).length + Math.min(Math.floor(text.length / 100), 3);
+
+    let ancestor = node.parent;
+    for (let level = 0; level < MAX_ANCESTOR_LEVELS && ancestor && tagOf(ancestor); level++) {
+      if (tagOf(ancestor) === 'html') break;
+      if (!scores.has(ancestor)) scores.set(ancestor, initialScore($, ancestor));
+
+      const divider = level === 0 ? 1 : (level === 1 ? 2 : level * 3);
+      scores.set(ancestor, scores.get(ancestor) + contentScore / divider);
+      ancestor = ancestor.parent;
+    }
+  });
+
+  // Link-heavy candidates (menus, link lists) lose most of their score
+  scores.forEach((score, node) => {
+    scores.set(node, score * (1 - linkDensity($, node)));
+  });
+
+  return scores;
+}
+
+function contains(ancestor, node) {
+  for (let current = node; current; current = current.parent) {
+    if (current === ancestor) return true;
+  }
+  return false;
+}
+
+// Several strong candidates under one ancestor mean the article is split into sections
+function pickTopCandidate(ranked, scores) {
+  let [top] = ranked;
+  const alternatives = ranked.slice(1, 5).filter(candidate => candidate.score >= top.score * 0.75);
+
+  if (alternatives.length >= 2) {
+    for (let ancestor = top.node.parent; ancestor && tagOf(ancestor) && tagOf(ancestor) !== 'body'; ancestor = ancestor.parent) {
+      const covered = alternatives.filter(candidate => contains(ancestor, candidate.node)).length;
+      if (covered >= 2) {
+        top = { node: ancestor, score: Math.max(scores.get(ancestor) || 0, top.score) };
+        break;
+      }
+    }
+  }
+
+  // Climb while an ancestor scores higher than the level below it (content spread over sections)
+  let lastScore = top.score;
+  for (let ancestor = top.node.parent; ancestor && tagOf(ancestor) && tagOf(ancestor) !== 'body'; ancestor = ancestor.parent) {
+    if (!scores.has(ancestor)) continue;
+    const ancestorScore = scores.get(ancestor);
+    if (ancestorScore < top.score / 3) break;
+    if (ancestorScore > lastScore) {
+      top = { node: ancestor, score: ancestorScore };
+      break;
+    }
+    lastScore = ancestorScore;
+  }
+
+  // A parent whose only element child is the winner is the same block with its wrapper
+  let node = top.node;
+  while (node.parent && tagOf(node.parent) && tagOf(node.parent) !== 'body' &&
+         node.parent.children.filter(child => tagOf(child)).length === 1) {
+    node = node.parent;
+  }
+
+  return { node, score: top.score };
+}
+
+function mergeSiblings($, top, scores) {
+  const threshold = Math.max(10, top.score * 0.2);
+  const topClass = $(top.node).attr('class') || '';
+  const merged = [];
+
+  const siblings = top.node.parent ? $(top.node.parent).children().toArray() : [top.node];
+  siblings.forEach(sibling => {
+    if (sibling === top.node) {
+      merged.push(sibling);
+      return;
+    }
+
+    let bonus = 0;
+    if (topClass && $(sibling).attr('class') === topClass) bonus += top.score * 0.2;
+
+    if (scores.has(sibling) && scores.get(sibling) + bonus >= threshold) {
+      merged.push(sibling);
+      return;
+    }
+
+    if (tagOf(sibling) === 'p') {
+      const text = normalizedText($, sibling);
+      const density = linkDensity($, sibling);
+      if ((text.length > 80 && density < 0.25) || (text.length > 0 && text.length <= 80 && density === 0 && /\.( |$)/.test(text))) {
+        merged.push(sibling);
+      }
+    }
+  });
+
+  return merged;
+}
+
+/**
+ * 0..1 confidence that `textLength` characters under `score` are the page's main content
+ */
+function contentConfidence({ score, textLength, bodyTextLength, linkDensity: density, runnerUpScore = 0 }) {
+  const strength = Math.min(1, score / 60);
+  const length = Math.min(1, textLength / 1500);
+  const coverage = bodyTextLength > 0 ? Math.min(1, (textLength / bodyTextLength) / 0.5) : 0;
+  const margin = score > 0 ? Math.max(0, 1 - runnerUpScore / score) : 0;
+
+  const confidence = 0.3 * strength + 0.2 * length + 0.15 * coverage + 0.15 * margin + 0.2 * (1 - density);
+  return Math.round(confidence * 100) / 100;
+}
+
+/**
+ * Finds the main content of a page. Mutates `$`: hidden and unlikely elements are removed.
+ * @param {Object} $ - Cheerio document (scripts/styles may already be removed)
+ * @returns {Object|null} { $content, selector, score, confidence, mergedSiblings, textLength, linkDensity, candidates },
+ *                        or null when no block scores (very short or empty pages)
+ */
+function extractMainContent($) {
+  const bodyTextLength = normalizedText($, $('body').get(0) || $.root().get(0)).length;
+  removeHiddenAndUnlikely($);
+
+  const scores = scoreCandidates($);
+  if (scores.size === 0) return null;
+
+  const ranked = [...scores.entries()]
+    .map(([node, score]) => ({ node, score }))
+    .sort((a, b) => b.score - a.score);
+
+  const top = pickTopCandidate(ranked, scores);
+  const nodes = mergeSiblings($, top, scores);
+
+  // Merged siblings are wrapped so callers get a single root
+  const $content = nodes.length > 1
+    ? $('<div></div>').append(nodes.map(node => $(node).clone()))
+    : $(top.node);
+
+  const textLength = normalizedText($, $content.get(0)).length;
+  const density = linkDensity($, $content.get(0));
+  const runnerUp = ranked.find(candidate => !contains(top.node, candidate.node) && !contains(candidate.node, top.node));
+
+  return {
+    $content,
+    selector: selectorPath($, top.node),
+    score: Math.round(top.score * 10) / 10,
+    confidence: contentConfidence({
+      score: top.score,
+      textLength,
+      bodyTextLength,
+      linkDensity: density,
+      runnerUpScore: runnerUp ? runnerUp.score : 0
+    }),
+    mergedSiblings: nodes.length - 1,
+    textLength,
+    linkDensity: Math.round(density * 100) / 100,
+    candidates: ranked.slice(0, 3).map(candidate => ({
+      selector: selectorPath($, candidate.node),
+      score: Math.round(candidate.score * 10) / 10
+    }))
+  };
+}
+
+/**
+ * Summary of an extractMainContent result for API responses
+ */
+function describeExtraction(result) {
+  return {
+    algorithm: 'readability',
+    selector: result.selector,
+    confidence: result.confidence,
+    score: result.score,
+    merged_siblings: result.mergedSiblings,
+    link_density: result.linkDensity,
+    candidates: result.candidates
+  };
+}
+
+module.exports = {
+  extractMainContent,
+  describeExtraction,
+  contentConfidence,
+  selectorPath,
+  linkDensity
+};
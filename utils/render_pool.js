@@ -0,0 +1,208 @@
+// Worker-thread pool for JavaScript rendering (JSDOM with page scripts enabled).
+//
+// Page scripts are untrusted and can be arbitrarily slow or hungry, so they never run on the
+// server's event loop: each render goes to a worker (render_worker.js) with its own heap limit,
+// and a worker that misses the wall-clock deadline or runs out of memory is terminated and
+// replaced. Renders wait in a FIFO queue when every worker is busy. Workers are spawned on
+// first use and do not keep the process alive while idle.
+//
+// Every render reports { queue_ms, render_ms, killed, kill_reason, timed_out, wait, subresources }
+// (wait: which condition of the wait strategy ended the render, see render_wait.js); a killed
+// render resolves with html: null so callers can fall back to the static HTML. JSON responses
+// fetched by the page come back as `network` (see network_capture.js).
+//
+// Configuration:
+//   RENDER_POOL_SIZE             - number of render workers (default 2)
+//   RENDER_WORKER_HEAP_MB        - old-generation heap limit per worker (default 256)
+//   RENDER_TIMEOUT_MS            - wall-clock limit per render before the worker is killed (default 15000)
+//   RENDER_MAX_SUBRESOURCES      - scripts/stylesheets/frames fetched per page (default 50)
+//   RENDER_MAX_SUBRESOURCE_BYTES - size limit per subresource (default 2 MB)
+//   RENDER_WORKER_MAX_TASKS      - renders before a worker is recycled, bounding leaks (default 50)
+//   RENDER_CAPTURE_MAX_RESPONSES - XHR/fetch JSON responses recorded per page (default 30)
+//   RENDER_CAPTURE_MAX_BYTES     - JSON bytes recorded per page (default 2 MB)
+
+const path = require('path');
+const { Worker } = require('worker_threads');
+const { DEFAULT_WAIT } = require('./render_wait');
+
+const WORKER_FILE = path.join(__dirname, 'render_worker.js');
+
+const CONFIG = {
+  size: Math.max(1, parseInt(process.env.RENDER_POOL_SIZE, 10) || 2),
+  heapMb: parseInt(process.env.RENDER_WORKER_HEAP_MB, 10) || 256,
+  timeoutMs: parseInt(process.env.RENDER_TIMEOUT_MS, 10) || 15000,
+  maxSubresources: parseInt(process.env.RENDER_MAX_SUBRESOURCES, 10) || 50,
+  maxSubresourceBytes: parseInt(process.env.RENDER_MAX_SUBRESOURCE_BYTES, 10) || 2 * 1024 * 1024,
+  maxTasksPerWorker: parseInt(process.env.RENDER_WORKER_MAX_TASKS, 10) || 50,
+  captureMaxResponses: parseInt(process.env.RENDER_CAPTURE_MAX_RESPONSES, 10) || 30,
+  captureMaxBytes: parseInt(process.env.RENDER_CAPTURE_MAX_BYTES, 10) || 2 * 1024 * 1024
+};
+
+const SERIALIZE_MARGIN_MS = 2000;   // left between the end of the wait and the hard kill
+
+const workers = [];
+const queue = [];
+let nextTaskId = 1;
+let nextWorkerId = 1;
+let killedCount = 0;
+
+function spawnWorker() {
+  const slot = { id: nextWorkerId++, worker: null, task: null, tasks: 0, killReason: null, error: null };
+
+  slot.worker = new Worker(WORKER_FILE, {
+    resourceLimits: { maxOldGenerationSizeMb: CONFIG.heapMb }
+  });
+  slot.worker.on('message', message => finishTask(slot, message));
+  slot.worker.on('error', error => {
+    slot.error = error;
+  });
+  slot.worker.on('exit', () => handleExit(slot));
+  slot.worker.unref();
+
+  workers.push(slot);
+  return slot;
+}
+
+function removeSlot(slot) {
+  const index = workers.indexOf(slot);
+  if (index !== -1) workers.splice(index, 1);
+}
+
+function dispatch() {
+  while (queue.length > 0) {
+    let slot = workers.find(candidate => !candidate.task);
+    if (!slot && workers.length < CONFIG.size) slot = spawnWorker();
+    if (!slot) return;
+    startTask(slot, queue.shift());
+  }
+}
+
+function startTask(slot, task) {
+  slot.task = task;
+  slot.tasks++;
+  task.startedAt = Date.now();
+  task.timer = setTimeout(() => killWorker(slot, 'timeout'), CONFIG.timeoutMs);
+
+  slot.worker.ref();
+  slot.worker.postMessage({
+    id: task.id,
+    html: task.html,
+    url: task.url,
+    wait: {
+      ...task.wait,
+      timeoutMs: Math.max(0, Math.min(task.wait.timeoutMs, CONFIG.timeoutMs - SERIALIZE_MARGIN_MS))
+    },
+    limits: {
+      maxSubresources: CONFIG.maxSubresources,
+      maxSubresourceBytes: CONFIG.maxSubresourceBytes,
+      capture: { maxResponses: CONFIG.captureMaxResponses, maxBytes: CONFIG.captureMaxBytes }
+    }
+  });
+}
+
+function settle(task, outcome) {
+  clearTimeout(task.timer);
+  const now = Date.now();
+  task.resolve({
+    html: outcome.html,
+    network: outcome.network || null,
+    render: {
+      queue_ms: task.startedAt - task.enqueuedAt,
+      render_ms: now - task.startedAt,
+      killed: outcome.killed,
+      kill_reason: outcome.killReason || null,
+      timed_out: Boolean(outcome.wait && outcome.wait.ended_by === 'timeout'),
+      wait: outcome.wait || null,
+      subresources: outcome.subresources || null,
+      captured_responses: outcome.network ? outcome.network.entries.length : 0,
+      skipped_responses: outcome.network ? outcome.network.skipped : 0,
+      ...(outcome.error ? { error: outcome.error } : {})
+    }
+  });
+}
+
+function finishTask(slot, message) {
+  const task = slot.task;
+  if (!task || message.id !== task.id) return;
+
+  slot.task = null;
+  slot.worker.unref();
+  settle(task, {
+    html: message.html,
+    killed: false,
+    wait: message.wait,
+    subresources: message.subresources,
+    network: message.network,
+    error: message.error
+  });
+
+  if (slot.tasks >= CONFIG.maxTasksPerWorker) {
+    removeSlot(slot);
+    slot.worker.terminate();
+  }
+  dispatch();
+}
+
+function killWorker(slot, reason) {
+  console.log(`💀 Render worker ${slot.id} killed (${reason}): ${slot.task ? slot.task.url : 'idle'}`);
+  slot.killReason = reason;
+  removeSlot(slot);
+  slot.worker.terminate();
+}
+
+function handleExit(slot) {
+  removeSlot(slot);
+
+  const task = slot.task;
+  if (task) {
+    slot.task = null;
+    killedCount++;
+
+    const outOfMemory = slot.error && slot.error.code === 'ERR_WORKER_OUT_OF_MEMORY';
+    const reason = slot.killReason || (outOfMemory ? 'memory' : 'crash');
+    if (!slot.killReason) console.log(`💀 Render worker ${slot.id} died (${reason}): ${task.url}`);
+
+    settle(task, {
+      html: null,
+      killed: true,
+      killReason: reason,
+      error: slot.error ? slot.error.message : null
+    });
+  }
+
+  dispatch();
+}
+
+/**
+ * Renders a page (HTML + its scripts) in a pool worker
+ * @param {string} html - Page HTML
+ * @param {string} url - Page URL (base for scripts and relative subresources)
+ * @param {Object|null} wait - Wait strategy (parseWaitOptions in render_wait.js), null for the default
+ * @returns {Promise<Object>} { html, network, render } - html and network are null when the worker was killed
+ */
+function renderInPool(html, url, wait = null) {
+  return new Promise(resolve => {
+    queue.push({ id: nextTaskId++, html, url, wait: wait || DEFAULT_WAIT, enqueuedAt: Date.now(), resolve });
+    dispatch();
+  });
+}
+
+/**
+ * Current pool state (for the health check)
+ */
+function renderPoolStatus() {
+  return {
+    size: CONFIG.size,
+    workers: workers.length,
+    busy: workers.filter(slot => slot.task).length,
+    queued: queue.length,
+    killed: killedCount,
+    heap_mb: CONFIG.heapMb,
+    timeout_ms: CONFIG.timeoutMs
+  };
+}
+
+module.exports = {
+  renderInPool,
+  renderPoolStatus
+};
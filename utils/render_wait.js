@@ -0,0 +1,204 @@
+// Wait strategies for JavaScript rendering: the `wait` option decides when a rendered page is
+// serialized. Rendering ends as soon as every requested condition holds at the same time:
+//   selector        - a CSS selector matches an element
+//   min_text_length - the main container (main, article, [role="main"], else body) has at least
+//                     this many characters of text
+//   network_idle_ms - no XMLHttpRequest, fetch or subresource in flight for this long (after load)
+//   dom_stable_ms   - no DOM mutation for this long (after load)
+//   timeout_ms      - maximum wait, whatever the conditions (default 8000; the render pool also
+//                     keeps it below RENDER_TIMEOUT_MS)
+//
+// Without conditions the page gets SETTLE_MS after the load event. Every render reports
+// { ended_by, elapsed_ms, met, pending }: ended_by is the condition that completed the wait,
+// "load" for the settle time after load, or "timeout".
+
+const { selectorError } = require('./selector_rules');
+
+const SETTLE_MS = 2000;
+const POLL_MS = 50;
+const DEFAULT_TIMEOUT_MS = 8000;
+const MAX_TIMEOUT_MS = 60000;
+const MAX_IDLE_MS = 30000;
+const MAX_TEXT_LENGTH = 1000000;
+const MAIN_CONTAINERS = ['main', 'article', '[role="main"]'];
+
+const DEFAULT_WAIT = {
+  selector: null,
+  minTextLength: null,
+  networkIdleMs: null,
+  domStableMs: null,
+  timeoutMs: DEFAULT_TIMEOUT_MS
+};
+
+const NUMBER_FIELDS = {
+  min_text_length: ['minTextLength', 1, MAX_TEXT_LENGTH],
+  network_idle_ms: ['networkIdleMs', 0, MAX_IDLE_MS],
+  dom_stable_ms: ['domStableMs', 0, MAX_IDLE_MS],
+  timeout_ms: ['timeoutMs', 100, MAX_TIMEOUT_MS]
+};
+const WAIT_KEYS = ['selector', ...Object.keys(NUMBER_FIELDS)];
+
+/**
+ * Reads the `wait` option of a scrape request
+ * @param {*} value - undefined/null (default wait) or { selector, min_text_length, network_idle_ms, dom_stable_ms, timeout_ms }
+ * @returns {Object} { wait, errors } - wait is null for the default behaviour or when invalid
+ */
+function parseWaitOptions(value) {
+  const errors = [];
+  if (value === undefined || value === null) return { wait: null, errors };
+
+  if (typeof value !== 'object' || Array.isArray(value)) {
+    errors.push(`wait must be an object with any of: ${WAIT_KEYS.join(', ')}`);
+    return { wait: null, errors };
+  }
+
+  Object.keys(value).filter(key => !WAIT_KEYS.includes(key)).forEach(key => {
+    errors.push(`wait.${key} is not a known condition (${WAIT_KEYS.join(', ')})`);
+  });
+
+  const wait = { ...DEFAULT_WAIT };
+
+  if (value.selector !== undefined) {
+    const problem = selectorError(value.selector);
+    if (problem) errors.push(`wait.selector ${JSON.stringify(value.selector)} is not a valid CSS selector: ${problem}`);
+    else wait.selector = value.selector.trim();
+  }
+
+  Object.entries(NUMBER_FIELDS).forEach(([key, [field, min, max]]) => {
+    if (value[key] === undefined) return;
+    if (!Number.isInteger(value[key]) || value[key] < min || value[key] > max) {
+      errors.push(`wait.${key} must be an integer between ${min} and ${max}`);
+    } else {
+      wait[field] = value[key];
+    }
+  });
+
+  return { wait: errors.length === 0 ? wait : null, errors };
+}
+
+/**
+ * In-flight request counter shared by the resource loader and the page's XHR/fetch
+ */
+function createNetworkTracker() {
+  return {
+    pending: 0,
+    lastActivityAt: Date.now(),
+    start() {
+      this.pending++;
+      this.lastActivityAt = Date.now();
+    },
+    end() {
+      this.pending = Math.max(0, this.pending - 1);
+      this.lastActivityAt = Date.now();
+    }
+  };
+}
+
+function mainText(document) {
+  for (const selector of MAIN_CONTAINERS) {
+    const element = document.querySelector(selector);
+    if (element) return element.textContent.trim();
+  }
+  return document.body ? document.body.textContent.trim() : '';
+}
+
+// Counts the page's own XMLHttpRequest calls as network activity (fetch, from dom_fetch.js, runs on them)
+function instrumentNetwork(window, network) {
+  const send = window.XMLHttpRequest.prototype.send;
+  window.XMLHttpRequest.prototype.send = function (...args) {
+    network.start();
+    this.addEventListener('loadend', () => network.end(), { once: true });
+    try {
+      return send.apply(this, args);
+    } catch (error) {
+      network.end();
+      throw error;
+    }
+  };
+
+}
+
+/**
+ * Watches a JSDOM window (from beforeParse) and calls onDone once, when the wait ends
+ * @param {Object} window - JSDOM window, before the page is parsed
+ * @param {Object} wait - DEFAULT_WAIT or the result of parseWaitOptions
+ * @param {Object} network - createNetworkTracker() shared with the resource loader
+ * @param {Function} onDone - Receives { ended_by, elapsed_ms, met, pending }
+ */
+function watchPage(window, wait, network, onDone) {
+  const startedAt = Date.now();
+  let loadedAt = null;
+  let lastMutationAt = startedAt;
+  let done = false;
+
+  instrumentNetwork(window, network);
+
+  const observer = new window.MutationObserver(() => {
+    lastMutationAt = Date.now();
+  });
+  observer.observe(window.document, { childList: true, subtree: true, attributes: true, characterData: true });
+
+  window.addEventListener('load', () => {
+    loadedAt = Date.now();
+  });
+
+  const conditions = {};
+  if (wait.selector) conditions.selector = () => Boolean(window.document.querySelector(wait.selector));
+  if (wait.minTextLength) conditions.min_text_length = () => mainText(window.document).length >= wait.minTextLength;
+  if (wait.networkIdleMs !== null) {
+    conditions.network_idle = now => loadedAt !== null && network.pending === 0 &&
+      now - Math.max(network.lastActivityAt, loadedAt) >= wait.networkIdleMs;
+  }
+  if (wait.domStableMs !== null) {
+    conditions.dom_stable = now => loadedAt !== null && now - Math.max(lastMutationAt, loadedAt) >= wait.domStableMs;
+  }
+  if (Object.keys(conditions).length === 0) conditions.load = now => loadedAt !== null && now - loadedAt >= SETTLE_MS;
+
+  // Time each condition last became true: the latest one is the condition that ended the wait
+  const heldSince = {};
+
+  const finish = endedBy => {
+    if (done) return;
+    done = true;
+    clearInterval(poll);
+    clearTimeout(timer);
+    observer.disconnect();
+
+    const names = Object.keys(conditions);
+    onDone({
+      ended_by: endedBy,
+      elapsed_ms: Date.now() - startedAt,
+      met: names.filter(name => heldSince[name] !== undefined),
+      pending: names.filter(name => heldSince[name] === undefined)
+    });
+  };
+
+  const evaluate = () => {
+    const now = Date.now();
+    Object.entries(conditions).forEach(([name, holds]) => {
+      let result = false;
+      try {
+        result = holds(now);
+      } catch (error) {
+        // Window closing or selector unsupported by the DOM: the condition does not hold
+      }
+      if (!result) delete heldSince[name];
+      else if (heldSince[name] === undefined) heldSince[name] = now;
+    });
+
+    const names = Object.keys(conditions);
+    if (names.every(name => heldSince[name] !== undefined)) {
+      finish(names.reduce((last, name) => (heldSince[name] >= heldSince[last] ? name : last)));
+    }
+  };
+
+  const poll = setInterval(evaluate, POLL_MS);
+  const timer = setTimeout(() => finish('timeout'), wait.timeoutMs);
+}
+
+module.exports = {
+  parseWaitOptions,
+  createNetworkTracker,
+  watchPage,
+  DEFAULT_WAIT
+};
@@ -0,0 +1,169 @@
+// Render worker: executes one page's scripts in JSDOM at a time, off the server's event loop.
+// Spawned by render_pool.js, which owns the heap limit and the hard wall-clock kill; this
+// file only enforces what the page itself can do:
+// - subresources (scripts, stylesheets, frames) go through fetchUrl with a count and size cap
+// - every HTTP(S) connection of the thread, including asynchronous XMLHttpRequest/fetch from page
+//   scripts, passes through the SSRF guard
+// - what would bypass it is taken away from every window, frames included (sandboxWindow):
+//   synchronous XMLHttpRequest (jsdom runs it in a child process) throws, and WebSocket and
+//   EventSource (raw sockets) are not defined
+// - page scripts get a fetch built on XMLHttpRequest (dom_fetch.js); JSON responses of their
+//   XMLHttpRequest/fetch calls are recorded (network_capture.js)
+// - the render resolves once, when its wait strategy (render_wait.js) ends
+
+const { parentPort } = require('worker_threads');
+const { JSDOM, ResourceLoader } = require('jsdom');
+const jsdomWindow = require('jsdom/lib/jsdom/browser/Window');
+const { fetchUrl } = require('./http_client');
+const { guardAllConnections, isSsrfError } = require('./ssrf_guard');
+const { createNetworkTracker, watchPage } = require('./render_wait');
+const { captureNetwork } = require('./network_capture');
+const { installFetch } = require('./dom_fetch');
+
+guardAllConnections();
+
+const UNGUARDED_APIS = ['WebSocket', 'EventSource'];
+
+/**
+ * Removes from a window the network APIs that do not go through the guarded HTTP agents
+ * @param {Object} window - JSDOM window, before any of its scripts run
+ */
+function sandboxWindow(window) {
+  UNGUARDED_APIS.forEach(name => {
+    delete window[name];
+  });
+
+  const open = window.XMLHttpRequest.prototype.open;
+  window.XMLHttpRequest.prototype.open = function (method, url, ...rest) {
+    // WebIDL turns an explicit undefined into false: only open(method, url) is asynchronous by default
+    if (rest.length > 0 && !rest[0]) {
+      throw new window.DOMException('Synchronous XMLHttpRequest is not allowed while rendering', 'InvalidAccessError');
+    }
+    return open.call(this, method, url, ...rest);
+  };
+}
+
+// Frame windows are created by jsdom itself, without beforeParse: its window factory is wrapped
+// so they are sandboxed too (the top-level window is sandboxed from beforeParse)
+const createWindow = jsdomWindow.createWindow;
+jsdomWindow.createWindow = function (...args) {
+  const window = createWindow.apply(this, args);
+  sandboxWindow(window);
+  return window;
+};
+
+const SUBRESOURCE_TIMEOUTS = { connect: 3000, headers: 5000, body: 5000 };
+
+/**
+ * ResourceLoader that fetches through http_client (SSRF guard, size cap) and stops
+ * loading once the page used up its subresource budget
+ */
+class BudgetedResourceLoader extends ResourceLoader {
+  constructor(limits, usage, network) {
+    super();
+    this.limits = limits;
+    this.usage = usage;
+    this.network = network;
+  }
+
+  fetch(url, options) {
+    if (url.startsWith('data:')) return super.fetch(url, options);
+
+    if (this.usage.requested >= this.limits.maxSubresources) {
+      this.usage.skipped++;
+      return null;
+    }
+    this.usage.requested++;
+    this.network.start();
+
+    const controller = new AbortController();
+    const promise = fetchUrl(url, {
+      responseType: 'buffer',
+      retries: 0,
+      maxContentLength: this.limits.maxSubresourceBytes,
+      timeouts: SUBRESOURCE_TIMEOUTS,
+      headers: options && options.referrer ? { Referer: options.referrer } : {},
+      signal: controller.signal
+    })
+      .then(response => {
+        this.usage.loaded++;
+        this.usage.bytes += response.data.length;
+        promise.response = { headers: response.headers };
+        return response.data;
+      })
+      .catch(error => {
+        if (isSsrfError(error)) {
+          this.usage.blocked++;
+          console.log(`🛡️ Subresource blocked: ${url} (${error.message})`);
+        } else {
+          this.usage.failed++;
+        }
+        throw error;
+      })
+      .finally(() => this.network.end());
+
+    promise.abort = () => controller.abort();
+    return promise;
+  }
+}
+
+/**
+ * Renders a page and serializes the resulting DOM
+ * @param {Object} task - { html, url, wait, limits }
+ * @returns {Promise<Object>} { html, wait, subresources, network, error } - wait is the render_wait
+ *                            report, network the captured JSON responses
+ */
+function render(task) {
+  return new Promise(resolve => {
+    const usage = { requested: 0, loaded: 0, blocked: 0, failed: 0, skipped: 0, bytes: 0 };
+    const network = createNetworkTracker();
+    let capture = null;
+    let dom = null;
+    let done = false;
+
+    const finish = (wait, error = null) => {
+      if (done) return;
+      done = true;
+
+      let html = '';
+      if (dom) {
+        try {
+          const root = dom.window.document.documentElement;
+          html = root ? root.outerHTML : '';
+        } catch (serializeError) {
+          error = error || serializeError.message;
+        }
+        dom.window.close();
+      }
+      resolve({ html, wait, subresources: usage, network: capture, error });
+    };
+
+    try {
+      dom = new JSDOM(task.html, {
+        url: task.url,
+        referrer: task.url,
+        contentType: 'text/html',
+        storageQuota: 10000000,
+        resources: new BudgetedResourceLoader(task.limits, usage, network),
+        runScripts: 'dangerously',
+        beforeParse(window) {
+          sandboxWindow(window);
+          capture = captureNetwork(window, task.limits.capture);
+          watchPage(window, task.wait, network, wait => {
+            if (wait.ended_by === 'timeout') console.log('⏰ JSDOM timeout, extracting available content...');
+            finish(wait);
+          });
+          installFetch(window);
+        }
+      });
+    } catch (error) {
+      console.error('❌ JSDOM error:', error.message);
+      finish(null, error.message);
+    }
+  });
+}
+
+parentPort.on('message', async task => {
+  const result = await render(task);
+  parentPort.postMessage({ id: task.id, ...result });
+});
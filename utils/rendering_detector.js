@@ -0,0 +1,150 @@
+// Decides whether a page needs JavaScript rendering, with the signals that led to the decision.
+// Used by the `auto` renderer (scrape_pipeline.js), the smart scraper and the /diagnose route.
+//
+// Each signal adds points; at THRESHOLD points or more the page is rendered:
+//   short_content       - the static extraction found little text
+//   framework_markers   - SPA mount points / framework attributes; many points when the mount is empty
+//   empty_containers    - main content containers without text
+//   noscript_warning    - <noscript> asking the reader to enable JavaScript
+//   script_ratio        - inline script bytes per byte of visible text
+//   script_count        - many <script> elements
+//   loading_indicators  - spinners, skeletons, "Loading..." text
+//   hydration_payload   - framework state in the page but little readable text in it
+// Hydration payloads with enough text (see hydration_data.js) decide on their own: the content is
+// already in the HTML, so the page is not rendered whatever the other signals say.
+
+const cheerio = require('cheerio');
+
+const THRESHOLD = 40;
+const LIKELY_SCORE = 70;
+const MIN_CONTENT_LENGTH = 800;
+const MIN_HYDRATION_LENGTH = 800;
+const EMPTY_TEXT_LENGTH = 100;
+
+const FRAMEWORK_MARKERS = [
+  ['#root', 'React'],
+  ['[data-reactroot]', 'React'],
+  ['[data-react-app]', 'React'],
+  ['#__next', 'Next.js'],
+  ['#app', 'Vue/SPA'],
+  ['[data-v-app]', 'Vue'],
+  ['#__nuxt', 'Nuxt'],
+  ['[ng-app], [data-ng-app]', 'AngularJS'],
+  ['app-root', 'Angular'],
+  ['#svelte, [data-sveltekit-hydrate]', 'Svelte'],
+  ['#___gatsby', 'Gatsby']
+];
+const MAIN_CONTAINERS = 'main, #main, .main, #content, .content';
+const LOADING_SELECTORS = '.loading, .spinner, .skeleton, [data-loading], [aria-busy="true"]';
+const LOADING_TEXT = /^\s*(loading|carregando|cargando)\b/i;
+const NOSCRIPT_WARNING = /(enable|turn on|activate|ativ[ea]|habilit[ea])\w*\s+(o\s+|el\s+)?javascript|javascript\s+(is\s+)?(required|disabled|must be enabled)|requires javascript|needs javascript|precisa (de|do) javascript/i;
+
+function textOf($, element) {
+  return $(element).text().replace(/\s+/g, ' ').trim();
+}
+
+/**
+ * Diagnoses whether a page needs JavaScript rendering
+ * @param {string} html - Raw page HTML
+ * @param {Object} context - { contentLength: length of the static extraction, hydration: hydration summary
+ *                           ({ content_length, payloads }) or null }
+ * @returns {Object} { needs_rendering, score, verdict, decided_by, signals: [{ name, points, detail }], stats }
+ */
+function diagnoseRendering(html, context = {}) {
+  const $ = cheerio.load(html || '');
+  const signals = [];
+  const add = (name, points, detail) => signals.push({ name, points, detail });
+
+  // Visible text, without scripts, styles and templates
+  const $body = $('body').clone();
+  $body.find('script, style, noscript, template').remove();
+  const textLength = $body.text().replace(/\s+/g, ' ').trim().length;
+
+  const scripts = $('script');
+  const inlineScriptBytes = scripts.toArray()
+    .filter(el => !$(el).attr('src') && !/json/i.test($(el).attr('type') || ''))
+    .reduce((total, el) => total + $(el).html().length, 0);
+  const externalScripts = scripts.filter((i, el) => Boolean($(el).attr('src'))).length;
+
+  const contentLength = context.contentLength !== undefined ? context.contentLength : textLength;
+  const hydration = context.hydration || null;
+
+  const stats = {
+    content_length: contentLength,
+    text_bytes: textLength,
+    inline_script_bytes: inlineScriptBytes,
+    script_tags: scripts.length,
+    external_scripts: externalScripts,
+    script_text_ratio: Math.round(inlineScriptBytes / Math.max(textLength, 1) * 100) / 100,
+    hydration_content_length: hydration ? hydration.content_length : 0
+  };
+
+  // Content already available in the hydration payloads: nothing to render
+  if (hydration && hydration.content_length >= MIN_HYDRATION_LENGTH) {
+    add('hydration_content', 0, `${hydration.content_length} chars of text in hydration payloads`);
+    return { needs_rendering: false, score: 0, verdict: 'unlikely', decided_by: 'hydration_content', signals, stats };
+  }
+
+  if (contentLength < MIN_CONTENT_LENGTH) {
+    add('short_content', contentLength < 300 ? 50 : 40, `static extraction found ${contentLength} chars (< ${MIN_CONTENT_LENGTH})`);
+  }
+
+  const markers = [];
+  FRAMEWORK_MARKERS.forEach(([selector, framework]) => {
+    $(selector).each((i, el) => {
+      markers.push({ selector, framework, text: textOf($, el).length });
+    });
+  });
+  if (markers.length > 0) {
+    const empty = markers.filter(marker => marker.text < EMPTY_TEXT_LENGTH);
+    const described = markers.map(marker => `${marker.selector} (${marker.framework}, ${marker.text} chars)`).join(', ');
+    add('framework_markers', empty.length > 0 ? 40 : 10, empty.length > 0 ? `empty mount point: ${described}` : `server-rendered mount point: ${described}`);
+  }
+
+  const containers = $(MAIN_CONTAINERS);
+  const emptyContainers = containers.filter((i, el) => textOf($, el).length < EMPTY_TEXT_LENGTH).length;
+  if (emptyContainers > 0) {
+    add('empty_containers', 30, `${emptyContainers} of ${containers.length} main containers have less than ${EMPTY_TEXT_LENGTH} chars`);
+  }
+
+  const warning = $('noscript').toArray().map(el => textOf($, el)).find(text => NOSCRIPT_WARNING.test(text));
+  if (warning) {
+    add('noscript_warning', 30, `<noscript>: "${warning.slice(0, 120)}"`);
+  }
+
+  if (stats.script_text_ratio >= 3) {
+    add('script_ratio', 25, `${stats.script_text_ratio} bytes of inline script per byte of text`);
+  } else if (stats.script_text_ratio >= 1) {
+    add('script_ratio', 10, `${stats.script_text_ratio} bytes of inline script per byte of text`);
+  }
+
+  if (scripts.length > 8) {
+    add('script_count', 10, `${scripts.length} <script> elements (${externalScripts} external)`);
+  }
+
+  const loadingElements = $(LOADING_SELECTORS).length;
+  if (loadingElements > 0 || (textLength < 200 && LOADING_TEXT.test($body.text()))) {
+    add('loading_indicators', 15, loadingElements > 0 ? `${loadingElements} loading/skeleton elements` : 'page text starts with "Loading"');
+  }
+
+  if (hydration && hydration.payloads.length > 0) {
+    add('hydration_payload', 10, `${hydration.payloads.map(payload => payload.source).join(', ')} with only ${hydration.content_length} chars of text`);
+  }
+
+  const score = Math.min(100, signals.reduce((total, signal) => total + signal.points, 0));
+  const needsRendering = score >= THRESHOLD;
+
+  return {
+    needs_rendering: needsRendering,
+    score,
+    verdict: score >= LIKELY_SCORE ? 'likely' : needsRendering ? 'possible' : 'unlikely',
+    decided_by: 'score',
+    signals,
+    stats
+  };
+}
+
+module.exports = {
+  diagnoseRendering,
+  THRESHOLD
+};
@@ -0,0 +1,244 @@
+const { fetchUrl } = require('./http_client');
+const { isSsrfError } = require('./ssrf_guard');
+
+// robots.txt support (RFC 9309): user-agent groups, Allow/Disallow with "*" and "$", Crawl-delay, Sitemap.
+//
+// Configuration:
+//   ROBOTS_USER_AGENT   - product token matched against User-agent lines (default "SitemapBot")
+//   ROBOTS_CACHE_TTL_MS - how long a parsed robots.txt is reused per host (default 24h, the RFC maximum)
+//   ROBOTS_UNREACHABLE_TTL_MS - how long an unreachable robots.txt (5xx, timeout, DNS) keeps the host
+//                               disallowed before it is fetched again (default 5 min)
+
+const ROBOTS_USER_AGENT = process.env.ROBOTS_USER_AGENT || 'SitemapBot';
+const ROBOTS_CACHE_TTL_MS = parseInt(process.env.ROBOTS_CACHE_TTL_MS, 10) || 24 * 60 * 60 * 1000;
+const ROBOTS_UNREACHABLE_TTL_MS = parseInt(process.env.ROBOTS_UNREACHABLE_TTL_MS, 10) || 5 * 60 * 1000;
+const MAX_ROBOTS_SIZE = 500 * 1024;      // the RFC asks crawlers to parse at least 500 KiB
+const MAX_CRAWL_DELAY_MS = 30 * 1000;    // larger Crawl-delay values are capped
+
+const ROBOTS_FETCH_OPTIONS = {
+  retries: 1,
+  maxContentLength: MAX_ROBOTS_SIZE,
+  timeouts: { headers: 5000, body: 10000 },
+  headers: {
+    'User-Agent': `Mozilla/5.0 (compatible; ${ROBOTS_USER_AGENT}/1.0)`,
+    'Accept': 'text/plain,*/*;q=0.8'
+  }
+};
+
+// origin -> { rules, expiresAt } or a pending promise
+const cache = new Map();
+
+// "*" and a trailing "$" are matched piece by piece with indexOf (no regex: a rule with many
+// wildcards would backtrack exponentially on the event loop)
+function compilePattern(pattern) {
+  const anchored = pattern.endsWith('$');
+  return { parts: (anchored ? pattern.slice(0, -1) : pattern).split('*'), anchored };
+}
+
+function matchesPattern(path, { parts, anchored }) {
+  if (!path.startsWith(parts[0])) return false;
+  if (parts.length === 1) return !anchored || path.length === parts[0].length;
+
+  // Each middle piece takes its leftmost occurrence, leaving the most room for the rest
+  let position = parts[0].length;
+  const last = parts.length - 1;
+  for (let i = 1; i < last; i++) {
+    const index = path.indexOf(parts[i], position);
+    if (index === -1) return false;
+    position = index + parts[i].length;
+  }
+
+  if (!anchored) return path.indexOf(parts[last], position) !== -1;
+  return path.length - parts[last].length >= position && path.endsWith(parts[last]);
+}
+
+// Percent-encoding is normalized so "/caf%C3%A9" and "/café" match the same rule
+function normalizePath(path) {
+  try {
+    return encodeURI(decodeURI(path));
+  } catch (error) {
+    return path;
+  }
+}
+
+/**
+ * Parses robots.txt content into user-agent groups and sitemap URLs
+ */
+function parseRobotsTxt(content) {
+  const groups = [];
+  const sitemaps = [];
+  let current = null;
+  let lastWasAgent = false;
+
+  (content || '').split(/\r\n|\r|\n/).forEach(rawLine => {
+    const line = rawLine.replace(/#.*$/, '').trim();
+    const separator = line.indexOf(':');
+    if (separator === -1) return;
+
+    const field = line.slice(0, separator).trim().toLowerCase();
+    const value = line.slice(separator + 1).trim();
+
+    switch (field) {
+      case 'user-agent':
+        // Consecutive User-agent lines share the same group
+        if (!lastWasAgent) {
+          current = { agents: [], rules: [], crawlDelay: null };
+          groups.push(current);
+        }
+        current.agents.push(value.toLowerCase());
+        lastWasAgent = true;
+        return;
+
+      case 'allow':
+      case 'disallow':
+        // An empty Disallow means "allow everything" and adds no rule
+        if (current && value) {
+          const path = normalizePath(value);
+          current.rules.push({ allow: field === 'allow', path, pattern: compilePattern(path) });
+        }
+        break;
+
+      case 'crawl-delay': {
+        const seconds = parseFloat(value);
+        if (current && !isNaN(seconds) && seconds >= 0) current.crawlDelay = seconds;
+        break;
+      }
+
+      case 'sitemap':
+        if (value) sitemaps.push(value);
+        break;
+
+      default:
+        break;
+    }
+
+    lastWasAgent = false;
+  });
+
+  return { groups, sitemaps };
+}
+
+// Groups naming our product token (exact, case-insensitive match) win; otherwise the "*" groups apply
+function selectGroups(groups, userAgent) {
+  const token = userAgent.toLowerCase();
+  const specific = groups.filter(group => group.agents.includes(token));
+  return specific.length > 0 ? specific : groups.filter(group => group.agents.includes('*'));
+}
+
+/**
+ * Rules of one host for our user agent
+ * @param {Object} parsed - Result of parseRobotsTxt (or null when every URL is allowed)
+ * @param {Object} options - userAgent, disallowAll (robots.txt unreachable)
+ */
+function createRobotsRules(parsed, { userAgent = ROBOTS_USER_AGENT, disallowAll = false, source = 'robots.txt' } = {}) {
+  const groups = parsed ? selectGroups(parsed.groups, userAgent) : [];
+  const rules = groups.flatMap(group => group.rules);
+  const delays = groups.map(group => group.crawlDelay).filter(delay => delay !== null);
+  const crawlDelayMs = delays.length > 0
+    ? Math.min(Math.max(...delays) * 1000, MAX_CRAWL_DELAY_MS)
+    : null;
+
+  return {
+    source,
+    sitemaps: parsed ? parsed.sitemaps : [],
+    crawlDelayMs,
+
+    // Longest matching rule wins; on a tie Allow wins
+    isAllowed(url) {
+      if (disallowAll) return false;
+
+      let parsedUrl;
+      try {
+        parsedUrl = new URL(url);
+      } catch (error) {
+        return true;
+      }
+
+      if (parsedUrl.pathname === '/robots.txt') return true;
+
+      const path = normalizePath(parsedUrl.pathname + parsedUrl.search);
+      let match = null;
+
+      for (const rule of rules) {
+        if (!matchesPattern(path, rule.pattern)) continue;
+        if (!match || rule.path.length > match.path.length || (rule.path.length === match.path.length && rule.allow)) {
+          match = rule;
+        }
+      }
+
+      return !match || match.allow;
+    }
+  };
+}
+
+async function loadRobotsRules(origin) {
+  const robotsUrl = `${origin}/robots.txt`;
+  console.log(`🤖 Fetching ${robotsUrl}`);
+
+  try {
+    const response = await fetchUrl(robotsUrl, ROBOTS_FETCH_OPTIONS);
+    return createRobotsRules(parseRobotsTxt(response.data));
+  } catch (error) {
+    // Not a robots.txt answer: the request itself was refused (the caller reports the real error)
+    if (isSsrfError(error)) throw error;
+
+    const status = error.response ? error.response.status : null;
+
+    // 4xx: no robots.txt, everything is allowed
+    if (status && status >= 400 && status < 500) {
+      return createRobotsRules(null, { source: 'none' });
+    }
+
+    // Larger than we are willing to parse: treat as allow-all
+    if (error.code === 'ECONTENT_TOO_LARGE') {
+      console.log(`🤖 ${robotsUrl} is larger than ${MAX_ROBOTS_SIZE} bytes, ignoring it`);
+      return createRobotsRules(null, { source: 'too_large' });
+    }
+
+    // 5xx or unreachable: the RFC says to assume a complete disallow (cached for a short time only)
+    console.log(`🤖 ${robotsUrl} unreachable (${status || error.code || error.message}), disallowing the host for now`);
+    return createRobotsRules(null, { disallowAll: true, source: 'unreachable' });
+  }
+}
+
+/**
+ * Cached robots.txt rules for the host of a URL
+ * @param {string} url - Any URL on the host
+ * @returns {Promise<Object>} { isAllowed(url), crawlDelayMs, sitemaps, source }
+ * @throws SSRF_BLOCKED when the host itself is not allowed (nothing is cached)
+ */
+async function getRobotsRules(url) {
+  const origin = new URL(url).origin;
+  const cached = cache.get(origin);
+
+  if (cached && (cached.pending || cached.expiresAt > Date.now())) {
+    return cached.pending || cached.rules;
+  }
+
+  const pending = loadRobotsRules(origin);
+  cache.set(origin, { pending });
+
+  let rules;
+  try {
+    rules = await pending;
+  } catch (error) {
+    cache.delete(origin);
+    throw error;
+  }
+
+  const ttl = rules.source === 'unreachable' ? ROBOTS_UNREACHABLE_TTL_MS : ROBOTS_CACHE_TTL_MS;
+  cache.set(origin, { rules, expiresAt: Date.now() + ttl });
+  return rules;
+}
+
+function clearRobotsCache() {
+  cache.clear();
+}
+
+module.exports = {
+  getRobotsRules,
+  parseRobotsTxt,
+  createRobotsRules,
+  clearRobotsCache,
+  ROBOTS_USER_AGENT
+};
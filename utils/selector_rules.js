@@ -0,0 +1,217 @@
+// Per-request selector rules, accepted by every scrape and crawl endpoint:
+//   content_selector  - element(s) used as the page content instead of the heuristics
+//   include_selectors - only these elements (in document order) become the content
+//   exclude_selectors - elements removed before any extraction
+//   extract           - field name -> selector, or { selector, attribute, all }, returned as `fields`
+//
+// attribute is "text" (default), "html" or any attribute name; URL attributes (href, src, ...)
+// are resolved against the page URL. all: true returns every match as an array.
+
+const cheerio = require('cheerio');
+
+const MAX_SELECTORS = 20;
+const MAX_FIELDS = 50;
+const MAX_SELECTOR_LENGTH = 500;
+const URL_ATTRIBUTES = new Set(['href', 'src', 'action', 'poster', 'data-src', 'cite']);
+const ATTRIBUTE_NAME = /^[A-Za-z_:][\w:.-]*$/;
+const FIELD_NAME = /^[\w.-]{1,64}$/;
+
+// Parsing against an empty document surfaces css-select syntax errors without touching a page
+const probe = cheerio.load('');
+
+/**
+ * Error message for an invalid selector, or null when it compiles
+ */
+function selectorError(selector) {
+  if (typeof selector !== 'string' || !selector.trim()) return 'must be a non-empty string';
+  if (selector.length > MAX_SELECTOR_LENGTH) return `must be at most ${MAX_SELECTOR_LENGTH} characters`;
+  if (/[>+~]\s*$/.test(selector)) return 'ends with a combinator';
+
+  try {
+    probe.root().find(selector);
+    return null;
+  } catch (error) {
+    return error.message;
+  }
+}
+
+function validateSelector(selector, label, errors) {
+  const problem = selectorError(selector);
+  if (problem) errors.push(`${label} ${JSON.stringify(selector)} is not a valid CSS selector: ${problem}`);
+  return !problem;
+}
+
+function parseSelectorList(value, name, errors) {
+  if (value === undefined || value === null) return [];
+
+  const list = typeof value === 'string' ? [value] : value;
+  if (!Array.isArray(list)) {
+    errors.push(`${name} must be a selector or a list of selectors`);
+    return [];
+  }
+  if (list.length > MAX_SELECTORS) {
+    errors.push(`${name} accepts at most ${MAX_SELECTORS} selectors`);
+    return [];
+  }
+
+  return list.filter((selector, index) => validateSelector(selector, `${name}[${index}]`, errors)).map(selector => selector.trim());
+}
+
+function parseFieldRule(name, rule, errors) {
+  const spec = typeof rule === 'string' ? { selector: rule } : rule;
+  const label = `extract.${name}`;
+
+  if (!spec || typeof spec !== 'object' || Array.isArray(spec)) {
+    errors.push(`${label} must be a selector or { selector, attribute, all }`);
+    return null;
+  }
+  if (!validateSelector(spec.selector, `${label}.selector`, errors)) return null;
+
+  const attribute = spec.attribute === undefined ? 'text' : spec.attribute;
+  if (typeof attribute !== 'string' || !ATTRIBUTE_NAME.test(attribute)) {
+    errors.push(`${label}.attribute must be "text", "html" or an attribute name`);
+    return null;
+  }
+
+  return { selector: spec.selector.trim(), attribute: attribute.toLowerCase(), all: Boolean(spec.all) };
+}
+
+function parseExtractMap(value, errors) {
+  if (value === undefined || value === null) return null;
+
+  if (typeof value !== 'object' || Array.isArray(value)) {
+    errors.push('extract must be an object mapping field names to selectors');
+    return null;
+  }
+
+  const names = Object.keys(value);
+  if (names.length === 0) return null;
+  if (names.length > MAX_FIELDS) {
+    errors.push(`extract accepts at most ${MAX_FIELDS} fields`);
+    return null;
+  }
+
+  const fields = {};
+  names.forEach(name => {
+    if (!FIELD_NAME.test(name)) {
+      errors.push(`extract field name ${JSON.stringify(name)} must be 1-64 letters, digits, "_", "-" or "."`);
+      return;
+    }
+    const rule = parseFieldRule(name, value[name], errors);
+    if (rule) fields[name] = rule;
+  });
+
+  return fields;
+}
+
+/**
+ * Reads and validates the selector options of a request body
+ * @param {Object} body - Request body (include_selectors, exclude_selectors, content_selector, extract)
+ * @returns {Object} { rules, errors } - rules is null when the request sets none of the options
+ */
+function parseSelectorRules(body = {}) {
+  const errors = [];
+
+  const include = parseSelectorList(body.include_selectors, 'include_selectors', errors);
+  const exclude = parseSelectorList(body.exclude_selectors, 'exclude_selectors', errors);
+
+  let content = null;
+  if (body.content_selector !== undefined && body.content_selector !== null) {
+    if (validateSelector(body.content_selector, 'content_selector', errors)) content = body.content_selector.trim();
+  }
+
+  const extract = parseExtractMap(body.extract, errors);
+
+  const hasRules = include.length > 0 || exclude.length > 0 || content || extract;
+  return { rules: hasRules && errors.length === 0 ? { include, exclude, content, extract } : null, errors };
+}
+
+function contains(ancestor, node) {
+  for (let current = node.parent; current; current = current.parent) {
+    if (current === ancestor) return true;
+  }
+  return false;
+}
+
+/**
+ * Removes excluded elements and picks the content requested by the rules
+ * @param {Object} $ - Cheerio document (mutated: excluded elements are removed)
+ * @param {Object} rules - Result of parseSelectorRules
+ * @returns {Object} { $content, stats } - $content is null when no content/include selector matched
+ */
+function applySelectorRules($, rules) {
+  const stats = { excluded: 0, content_matches: null, include_matches: null };
+
+  rules.exclude.forEach(selector => {
+    const matches = $(selector);
+    stats.excluded += matches.length;
+    matches.remove();
+  });
+
+  let $roots = null;
+  if (rules.content) {
+    $roots = $(rules.content);
+    stats.content_matches = $roots.length;
+    if ($roots.length === 0) return { $content: null, stats };
+  }
+
+  if (rules.include.length === 0) return { $content: $roots, stats };
+
+  // Every include match, in document order, skipping matches nested in another match
+  const scope = $roots || $.root();
+  const matches = scope.find(rules.include.join(', ')).toArray();
+  const selected = matches.filter(node => !matches.some(other => other !== node && contains(other, node)));
+  stats.include_matches = selected.length;
+  if (selected.length === 0) return { $content: null, stats };
+
+  // Each match gets its own block so inline matches (links, spans) don't run together
+  const $content = $('<div></div>');
+  selected.forEach(node => $content.append($('<div></div>').append($(node).clone())));
+  return { $content, stats };
+}
+
+function fieldValue($, node, attribute, baseUrl) {
+  const $node = $(node);
+  if (attribute === 'text') return $node.text().replace(/\s+/g, ' ').trim();
+  if (attribute === 'html') return ($node.html() || '').trim();
+
+  const value = $node.attr(attribute);
+  if (value === undefined) return null;
+  if (baseUrl && URL_ATTRIBUTES.has(attribute)) {
+    try {
+      return new URL(value, baseUrl).href;
+    } catch (error) {
+      return value;
+    }
+  }
+  return value;
+}
+
+/**
+ * Values of the extract map
+ * @param {Object} $ - Cheerio document (use it before any cleanup so every element is available)
+ * @param {Object} extract - rules.extract
+ * @param {string} baseUrl - Page URL for resolving URL attributes
+ * @returns {Object} field -> string (or null when nothing matched), or an array when all is set
+ */
+function extractFields($, extract, baseUrl = null) {
+  const fields = {};
+
+  Object.entries(extract).forEach(([name, rule]) => {
+    const matches = $(rule.selector).toArray();
+    if (rule.all) {
+      fields[name] = matches.map(node => fieldValue($, node, rule.attribute, baseUrl)).filter(value => value !== null);
+    } else {
+      fields[name] = matches.length > 0 ? fieldValue($, matches[0], rule.attribute, baseUrl) : null;
+    }
+  });
+
+  return fields;
+}
+
+module.exports = {
+  parseSelectorRules,
+  applySelectorRules,
+  extractFields,
+  selectorError
+};
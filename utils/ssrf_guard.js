@@ -0,0 +1,288 @@
+const dns = require('dns');
+const http = require('http');
+const https = require('https');
+const net = require('net');
+
+// Guard against Server-Side Request Forgery: every outbound fetch must resolve to a public address.
+//
+// Configuration (comma-separated, hostnames, "*.example.com" wildcards, IPs or CIDRs):
+//   SSRF_ALLOWLIST - hosts/ranges that are always allowed (e.g. an intranet docs host we own)
+//   SSRF_DENYLIST  - hosts/ranges that are always blocked, in addition to the private ranges
+
+const BLOCKED_RANGES = [
+  // IPv4
+  ['0.0.0.0', 8, 'ipv4'],          // "this" network
+  ['10.0.0.0', 8, 'ipv4'],         // RFC1918
+  ['100.64.0.0', 10, 'ipv4'],      // carrier-grade NAT (includes some cloud metadata endpoints)
+  ['127.0.0.0', 8, 'ipv4'],        // loopback
+  ['169.254.0.0', 16, 'ipv4'],     // link-local (169.254.169.254 metadata)
+  ['172.16.0.0', 12, 'ipv4'],      // RFC1918
+  ['192.0.0.0', 24, 'ipv4'],       // IETF protocol assignments
+  ['192.0.2.0', 24, 'ipv4'],       // TEST-NET-1
+  ['192.168.0.0', 16, 'ipv4'],     // RFC1918
+  ['198.18.0.0', 15, 'ipv4'],      // benchmarking
+  ['198.51.100.0', 24, 'ipv4'],    // TEST-NET-2
+  ['203.0.113.0', 24, 'ipv4'],     // TEST-NET-3
+  ['224.0.0.0', 4, 'ipv4'],        // multicast
+  ['240.0.0.0', 4, 'ipv4'],        // reserved + broadcast
+  // IPv6
+  ['::', 128, 'ipv6'],             // unspecified
+  ['::1', 128, 'ipv6'],            // loopback
+  ['fc00::', 7, 'ipv6'],           // unique local (includes fd00:ec2::254 metadata)
+  ['fe80::', 10, 'ipv6'],          // link-local
+  ['ff00::', 8, 'ipv6'],           // multicast
+  ['2001:db8::', 32, 'ipv6'],      // documentation
+  ['100::', 64, 'ipv6']            // discard-only
+];
+
+class SsrfBlockedError extends Error {
+  constructor(url, reason) {
+    super(`Blocked request to ${url}: ${reason}`);
+    this.name = 'SsrfBlockedError';
+    this.code = 'SSRF_BLOCKED';
+    this.url = url;
+    this.reason = reason;
+  }
+}
+
+function buildBlockList(ranges) {
+  const blockList = new net.BlockList();
+  ranges.forEach(([address, prefix, family]) => blockList.addSubnet(address, prefix, family));
+  return blockList;
+}
+
+const privateRanges = buildBlockList(BLOCKED_RANGES);
+
+// Parses an allow/deny list into hostname patterns and an IP BlockList
+function parseHostList(value) {
+  const hosts = [];
+  const ranges = new net.BlockList();
+  let hasRanges = false;
+
+  (value || '').split(',').map(entry => entry.trim().toLowerCase()).filter(Boolean).forEach(entry => {
+    const [address, prefix] = entry.split('/');
+    const family = net.isIP(address);
+
+    if (family) {
+      const type = family === 6 ? 'ipv6' : 'ipv4';
+      if (prefix !== undefined) {
+        ranges.addSubnet(address, parseInt(prefix, 10), type);
+      } else {
+        ranges.addAddress(address, type);
+      }
+      hasRanges = true;
+    } else {
+      hosts.push(entry);
+    }
+  });
+
+  return { hosts, ranges: hasRanges ? ranges : null };
+}
+
+const config = {
+  allow: parseHostList(process.env.SSRF_ALLOWLIST),
+  deny: parseHostList(process.env.SSRF_DENYLIST)
+};
+
+// Replaces the allow/deny lists at runtime (same format as the environment variables)
+function configureSsrfGuard({ allowlist, denylist } = {}) {
+  if (allowlist !== undefined) config.allow = parseHostList(Array.isArray(allowlist) ? allowlist.join(',') : allowlist);
+  if (denylist !== undefined) config.deny = parseHostList(Array.isArray(denylist) ? denylist.join(',') : denylist);
+}
+
+function stripBrackets(hostname) {
+  return hostname.replace(/^\[|\]$/g, '').toLowerCase();
+}
+
+function hostMatches(hostname, patterns) {
+  return patterns.some(pattern => {
+    if (pattern.startsWith('*.')) {
+      return hostname.endsWith(pattern.slice(1)) || hostname === pattern.slice(2);
+    }
+    if (pattern.startsWith('.')) {
+      return hostname.endsWith(pattern) || hostname === pattern.slice(1);
+    }
+    return hostname === pattern;
+  });
+}
+
+function addressInList(address, ranges) {
+  if (!ranges) return false;
+  const family = net.isIP(address) === 6 ? 'ipv6' : 'ipv4';
+  return ranges.check(address, family);
+}
+
+// Returns the embedded IPv4 address of an IPv4-mapped (::ffff:0:0/96) or NAT64 (64:ff9b::/96) address
+function embeddedIPv4(address) {
+  const match = address.match(/^(?:::ffff:|64:ff9b::)(?:0:)?(.+)$/i);
+  if (!match) return null;
+
+  const tail = match[1];
+  if (net.isIPv4(tail)) return tail;
+
+  const hextets = tail.split(':');
+  if (hextets.length !== 2 || !hextets.every(h => /^[0-9a-f]{1,4}$/i.test(h))) return null;
+
+  const [high, low] = hextets.map(h => parseInt(h, 16));
+  return [high >> 8, high & 255, low >> 8, low & 255].join('.');
+}
+
+// Returns the reason an IP address is blocked, or null if it is allowed
+function checkAddress(address) {
+  address = stripBrackets(address);
+
+  if (addressInList(address, config.allow.ranges)) return null;
+  if (addressInList(address, config.deny.ranges)) return `address ${address} is in the denylist`;
+
+  const family = net.isIP(address);
+  if (!family) return `invalid address ${address}`;
+
+  if (family === 6) {
+    const ipv4 = embeddedIPv4(address);
+    if (ipv4) return checkAddress(ipv4);
+  }
+
+  if (privateRanges.check(address, family === 6 ? 'ipv6' : 'ipv4')) {
+    return `address ${address} is private, loopback, link-local or reserved`;
+  }
+
+  return null;
+}
+
+// Checks everything that can be decided without DNS: protocol, host lists and IP literals
+function checkUrlSync(url) {
+  let parsed;
+  try {
+    parsed = typeof url === 'string' ? new URL(url) : url;
+  } catch (error) {
+    return { blocked: true, reason: 'invalid URL' };
+  }
+
+  if (!['http:', 'https:'].includes(parsed.protocol)) {
+    return { blocked: true, reason: `protocol ${parsed.protocol} is not allowed` };
+  }
+
+  const hostname = stripBrackets(parsed.hostname);
+
+  if (hostMatches(hostname, config.deny.hosts)) {
+    return { blocked: true, reason: `host ${hostname} is in the denylist` };
+  }
+
+  if (hostMatches(hostname, config.allow.hosts)) {
+    return { blocked: false, trusted: true, hostname };
+  }
+
+  if (net.isIP(hostname)) {
+    const reason = checkAddress(hostname);
+    return reason ? { blocked: true, reason } : { blocked: false, trusted: true, hostname };
+  }
+
+  return { blocked: false, trusted: false, hostname };
+}
+
+/**
+ * Resolves the URL host and throws SsrfBlockedError if it points to a blocked address
+ */
+async function assertUrlAllowed(url) {
+  const check = checkUrlSync(url);
+  if (check.blocked) throw new SsrfBlockedError(url.toString(), check.reason);
+  if (check.trusted) return;
+
+  const addresses = await dns.promises.lookup(check.hostname, { all: true });
+  for (const { address } of addresses) {
+    const reason = checkAddress(address);
+    if (reason) throw new SsrfBlockedError(url.toString(), reason);
+  }
+}
+
+// dns.lookup replacement that refuses blocked addresses at connect time (also covers DNS rebinding)
+function guardedLookup(hostname, options, callback) {
+  if (typeof options === 'function') {
+    callback = options;
+    options = {};
+  }
+
+  const host = stripBrackets(hostname);
+  const trusted = hostMatches(host, config.allow.hosts);
+
+  if (hostMatches(host, config.deny.hosts)) {
+    return callback(new SsrfBlockedError(hostname, `host ${host} is in the denylist`));
+  }
+
+  dns.lookup(hostname, { ...options, all: true }, (error, addresses) => {
+    if (error) return callback(error);
+
+    if (!trusted) {
+      for (const { address } of addresses) {
+        const reason = checkAddress(address);
+        if (reason) return callback(new SsrfBlockedError(hostname, reason));
+      }
+    }
+
+    if (options.all) return callback(null, addresses);
+    callback(null, addresses[0].address, addresses[0].family);
+  });
+}
+
+// follow-redirects hook: re-checks every redirect hop before it is requested
+function checkRedirect(options) {
+  const target = `${options.protocol}//${options.hostname || options.host}${options.path || ''}`;
+  const check = checkUrlSync(target);
+  if (check.blocked) throw new SsrfBlockedError(target, check.reason);
+}
+
+/**
+ * Adds the SSRF guard to an axios request config (DNS check on every connection and redirect hop)
+ */
+function withSsrfGuard(axiosConfig = {}) {
+  return {
+    ...axiosConfig,
+    lookup: guardedLookup,
+    beforeRedirect: (options, responseDetails) => {
+      checkRedirect(options);
+      if (axiosConfig.beforeRedirect) axiosConfig.beforeRedirect(options, responseDetails);
+    }
+  };
+}
+
+/**
+ * Guards every connection opened through http.Agent/https.Agent in the current thread, including
+ * agents created by libraries that never see withSsrfGuard (jsdom's XMLHttpRequest). Meant for
+ * isolated threads such as the render workers, where page scripts choose the URLs.
+ */
+function guardAllConnections() {
+  [http.Agent, https.Agent].forEach(AgentClass => {
+    const createConnection = AgentClass.prototype.createConnection;
+    if (createConnection.ssrfGuarded) return;
+
+    const guarded = function (options, callback) {
+      const host = stripBrackets(String(options.host || options.hostname || ''));
+      const check = checkUrlSync(`http://${net.isIPv6(host) ? `[${host}]` : host}/`);
+      if (check.blocked) {
+        // Fails the request through its socket, the way a refused connection would
+        const socket = new net.Socket();
+        process.nextTick(() => socket.destroy(new SsrfBlockedError(host, check.reason)));
+        return socket;
+      }
+      return createConnection.call(this, { ...options, lookup: guardedLookup }, callback);
+    };
+    guarded.ssrfGuarded = true;
+    AgentClass.prototype.createConnection = guarded;
+  });
+}
+
+function isSsrfError(error) {
+  return Boolean(error) && (error.code === 'SSRF_BLOCKED' || (error.cause && error.cause.code === 'SSRF_BLOCKED'));
+}
+
+module.exports = {
+  assertUrlAllowed,
+  withSsrfGuard,
+  guardedLookup,
+  checkAddress,
+  checkUrlSync,
+  guardAllConnections,
+  configureSsrfGuard,
+  isSsrfError,
+  SsrfBlockedError
+};
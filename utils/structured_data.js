@@ -0,0 +1,448 @@
+// Schema.org structured data: JSON-LD (including @graph and @id references), microdata and basic RDFa.
+// All three are read into JSON-LD-like objects and normalized into one shape per entity type.
+//
+// Must run before the extractors strip <script> elements.
+
+const ARTICLE_TYPES = ['Article', 'TechArticle', 'NewsArticle', 'BlogPosting', 'ScholarlyArticle', 'Report', 'APIReference', 'HowToArticle'];
+const SOFTWARE_TYPES = ['SoftwareApplication', 'WebApplication', 'MobileApplication', 'SoftwareSourceCode'];
+const MAX_ENTITIES = 50;
+
+// ========================================
+// Value helpers
+// ========================================
+
+function asArray(value) {
+  if (value === undefined || value === null) return [];
+  return Array.isArray(value) ? value : [value];
+}
+
+// "http://schema.org/Article", "schema:Article" -> "Article"
+function shortType(type) {
+  return String(type).replace(/^.*[/#:]/, '');
+}
+
+function typesOf(node) {
+  if (!node || typeof node !== 'object') return [];
+  return asArray(node['@type']).map(shortType);
+}
+
+function stripHtml(text) {
+  return text
+    .replace(/<[^>]+>/g, ' ')
+    .replace(/&nbsp;/g, ' ')
+    .replace(/\s+/g, ' ')
+    .replace(/\s+([.,;:!?])/g, '$1')
+    .trim();
+}
+
+// Text of a property: strings as-is, objects through name / @value / text
+function textOf(value) {
+  const item = asArray(value)[0];
+  if (item === undefined || item === null) return null;
+  if (typeof item === 'string') return stripHtml(item) || null;
+  if (typeof item === 'number' || typeof item === 'boolean') return String(item);
+  return textOf(item.name) || textOf(item['@value']) || textOf(item.text) || null;
+}
+
+function urlOf(value) {
+  const item = asArray(value)[0];
+  if (!item) return null;
+  if (typeof item === 'string') return item;
+  return urlOf(item.url) || urlOf(item.contentUrl) || urlOf(item['@id']) || null;
+}
+
+function dateOf(value) {
+  const text = textOf(value);
+  if (!text) return null;
+  const date = new Date(text);
+  return isNaN(date.getTime()) ? null : date.toISOString();
+}
+
+function numberOf(value) {
+  const number = parseFloat(textOf(value));
+  return isNaN(number) ? null : number;
+}
+
+function namesOf(value) {
+  return asArray(value).map(textOf).filter(Boolean);
+}
+
+function compact(object) {
+  Object.keys(object).forEach(key => {
+    const value = object[key];
+    if (value === null || value === undefined || (Array.isArray(value) && value.length === 0)) delete object[key];
+  });
+  return object;
+}
+
+function keywordsOf(value) {
+  return asArray(value)
+    .flatMap(item => (typeof item === 'string' ? item.split(',') : [textOf(item)]))
+    .map(keyword => (keyword || '').trim())
+    .filter(Boolean);
+}
+
+function offersOf(value) {
+  const offer = asArray(value)[0];
+  if (!offer || typeof offer !== 'object') return null;
+  return compact({
+    price: textOf(offer.price) || textOf(offer.lowPrice),
+    currency: textOf(offer.priceCurrency),
+    availability: offer.availability ? shortType(textOf(offer.availability)) : null,
+    url: urlOf(offer.url)
+  });
+}
+
+function ratingOf(value) {
+  const rating = asArray(value)[0];
+  if (!rating || typeof rating !== 'object') return null;
+  return compact({
+    value: numberOf(rating.ratingValue),
+    count: numberOf(rating.ratingCount) || numberOf(rating.reviewCount),
+    best: numberOf(rating.bestRating)
+  });
+}
+
+// ========================================
+// Normalization per type
+// ========================================
+
+function normalizeHowToSteps(value) {
+  return asArray(value).flatMap(step => {
+    if (typeof step === 'string') return [{ text: stripHtml(step) }];
+    if (typesOf(step).includes('HowToSection')) {
+      return normalizeHowToSteps(step.itemListElement || step.steps);
+    }
+    return [compact({ name: textOf(step.name), text: textOf(step.text) || textOf(step.description), url: urlOf(step.url) })];
+  }).filter(step => step.name || step.text);
+}
+
+function normalizeEntity(node, source) {
+  const types = typesOf(node);
+  const type = types[0] || 'Thing';
+
+  const entity = {
+    type,
+    types,
+    source,
+    id: node['@id'] || null,
+    name: textOf(node.name) || textOf(node.headline),
+    description: textOf(node.description),
+    url: urlOf(node.url),
+    image: urlOf(node.image)
+  };
+
+  if (types.some(t => ARTICLE_TYPES.includes(t))) {
+    Object.assign(entity, {
+      headline: textOf(node.headline),
+      author: namesOf(node.author),
+      publisher: textOf(node.publisher),
+      datePublished: dateOf(node.datePublished) || dateOf(node.dateCreated),
+      dateModified: dateOf(node.dateModified),
+      keywords: keywordsOf(node.keywords),
+      section: textOf(node.articleSection),
+      proficiencyLevel: textOf(node.proficiencyLevel),
+      dependencies: textOf(node.dependencies)
+    });
+  }
+
+  if (types.includes('FAQPage')) {
+    entity.questions = asArray(node.mainEntity)
+      .filter(question => question && typeof question === 'object')
+      .map(question => {
+        const answer = asArray(question.acceptedAnswer || question.suggestedAnswer)[0];
+        return compact({
+          question: textOf(question.name) || textOf(question.text),
+          answer: answer && typeof answer === 'object' ? textOf(answer.text) || textOf(answer) : textOf(answer)
+        });
+      })
+      .filter(question => question.question);
+  }
+
+  if (types.includes('HowTo')) {
+    Object.assign(entity, {
+      steps: normalizeHowToSteps(node.step || node.steps),
+      totalTime: textOf(node.totalTime),
+      tools: namesOf(node.tool),
+      supplies: namesOf(node.supply)
+    });
+  }
+
+  if (types.includes('Product')) {
+    Object.assign(entity, {
+      brand: textOf(node.brand),
+      sku: textOf(node.sku),
+      offers: offersOf(node.offers),
+      rating: ratingOf(node.aggregateRating)
+    });
+  }
+
+  if (types.includes('BreadcrumbList')) {
+    entity.items = asArray(node.itemListElement)
+      .filter(item => item && typeof item === 'object')
+      .map(item => compact({
+        position: numberOf(item.position),
+        name: textOf(item.name) || textOf(item.item),
+        url: urlOf(item.item) || urlOf(item.url)
+      }))
+      .sort((a, b) => (a.position || 0) - (b.position || 0));
+  }
+
+  if (types.some(t => SOFTWARE_TYPES.includes(t))) {
+    Object.assign(entity, {
+      applicationCategory: textOf(node.applicationCategory),
+      operatingSystem: textOf(node.operatingSystem),
+      softwareVersion: textOf(node.softwareVersion) || textOf(node.version),
+      downloadUrl: urlOf(node.downloadUrl),
+      programmingLanguage: textOf(node.programmingLanguage),
+      offers: offersOf(node.offers),
+      rating: ratingOf(node.aggregateRating),
+      datePublished: dateOf(node.datePublished),
+      dateModified: dateOf(node.dateModified)
+    });
+  }
+
+  // Pages (WebPage, AboutPage, ...) carry dates and authors too
+  if (!entity.datePublished && node.datePublished) entity.datePublished = dateOf(node.datePublished);
+  if (!entity.dateModified && node.dateModified) entity.dateModified = dateOf(node.dateModified);
+  if (!entity.author && node.author) entity.author = namesOf(node.author);
+
+  return compact(entity);
+}
+
+// ========================================
+// JSON-LD
+// ========================================
+
+function parseJsonLd(text) {
+  const cleaned = text
+    .replace(/^\s*<!--|-->\s*$/g, '')
+    .replace(/^\s*\/\/\s*<!\[CDATA\[|\/\/\s*\]\]>\s*$/g, '')
+    .trim();
+  if (!cleaned) return [];
+
+  try {
+    return asArray(JSON.parse(cleaned));
+  } catch (error) {
+    // Control characters inside strings are the most common breakage
+    try {
+      return asArray(JSON.parse(cleaned.replace(/[\u0000-\u001f]+/g, ' ')));
+    } catch (retryError) {
+      return [];
+    }
+  }
+}
+
+// Top-level nodes, with @graph arrays flattened
+function flattenGraph(nodes) {
+  return nodes.flatMap(node => {
+    if (!node || typeof node !== 'object') return [];
+    if (Array.isArray(node['@graph'])) return flattenGraph(node['@graph']);
+    return [node];
+  });
+}
+
+// Replaces { "@id": "#author" } references with the node they point to (one level deep)
+function resolveReferences(nodes) {
+  const byId = new Map();
+  nodes.forEach(node => {
+    if (node['@id'] && Object.keys(node).length > 1) byId.set(node['@id'], node);
+  });
+
+  const resolve = value => {
+    if (Array.isArray(value)) return value.map(resolve);
+    if (value && typeof value === 'object' && value['@id'] && Object.keys(value).length === 1 && byId.has(value['@id'])) {
+      return byId.get(value['@id']);
+    }
+    return value;
+  };
+
+  return nodes.map(node => {
+    const resolved = {};
+    Object.keys(node).forEach(key => {
+      resolved[key] = key === '@id' ? node[key] : resolve(node[key]);
+    });
+    return resolved;
+  });
+}
+
+function readJsonLd($) {
+  const nodes = [];
+  $('script[type="application/ld+json"]').each((i, element) => {
+    nodes.push(...parseJsonLd($(element).contents().text()));
+  });
+  return resolveReferences(flattenGraph(nodes)).filter(node => typesOf(node).length > 0);
+}
+
+// ========================================
+// Microdata
+// ========================================
+
+function microdataValue($, element) {
+  const $element = $(element);
+  if ($element.attr('itemscope') !== undefined) return readMicrodataItem($, element);
+
+  const tag = element.name.toLowerCase();
+  if ($element.attr('content') !== undefined) return $element.attr('content');
+  if (['a', 'link', 'area'].includes(tag)) return $element.attr('href') || '';
+  if (['img', 'audio', 'video', 'source', 'embed', 'iframe', 'track'].includes(tag)) return $element.attr('src') || '';
+  if (tag === 'time') return $element.attr('datetime') || $element.text().trim();
+  if (['data', 'meter'].includes(tag)) return $element.attr('value') || $element.text().trim();
+  return $element.text().replace(/\s+/g, ' ').trim();
+}
+
+// Properties belong to the nearest enclosing itemscope (or to the item named by itemref)
+function readMicrodataItem($, element) {
+  const $item = $(element);
+  const item = {};
+  const itemType = $item.attr('itemtype');
+  if (itemType) item['@type'] = itemType.split(/\s+/).map(shortType);
+  if ($item.attr('itemid')) item['@id'] = $item.attr('itemid');
+
+  const addProperty = property => {
+    const names = ($(property).attr('itemprop') || '').split(/\s+/).filter(Boolean);
+    const value = microdataValue($, property);
+    names.forEach(name => {
+      item[name] = item[name] === undefined ? value : asArray(item[name]).concat([value]);
+    });
+  };
+
+  $item.find('[itemprop]').each((i, property) => {
+    const owner = $(property).parent().closest('[itemscope]').get(0);
+    if (owner === element) addProperty(property);
+  });
+
+  ($item.attr('itemref') || '').split(/\s+/).filter(Boolean).forEach(id => {
+    const referenced = $(`[id="${id}"]`);
+    if (referenced.attr('itemprop')) addProperty(referenced.get(0));
+    referenced.find('[itemprop]').each((i, property) => {
+      if (!$(property).parent().closest('[itemscope]').length || $(property).parent().closest('[itemscope]').get(0) === element) {
+        addProperty(property);
+      }
+    });
+  });
+
+  return item;
+}
+
+function readMicrodata($) {
+  const items = [];
+  $('[itemscope]').each((i, element) => {
+    // Top-level items only; nested ones are read as property values
+    if ($(element).attr('itemprop') !== undefined) return;
+    const item = readMicrodataItem($, element);
+    if (typesOf(item).length > 0) items.push(item);
+  });
+  return items;
+}
+
+// ========================================
+// RDFa (typeof/property with the schema.org vocabulary)
+// ========================================
+
+function isSchemaVocabulary($, element) {
+  const $scope = $(element).closest('[vocab], [prefix]');
+  const vocab = ($scope.attr('vocab') || '') + ' ' + ($scope.attr('prefix') || '');
+  const type = $(element).attr('typeof') || '';
+  return /schema\.org/i.test(vocab) || /^schema:/i.test(type) || /schema\.org/i.test(type);
+}
+
+function rdfaValue($, element) {
+  const $element = $(element);
+  if ($element.attr('typeof') !== undefined) return readRdfaItem($, element);
+  if ($element.attr('content') !== undefined) return $element.attr('content');
+  return $element.attr('href') || $element.attr('src') || $element.attr('resource') ||
+    $element.attr('datetime') || $element.text().replace(/\s+/g, ' ').trim();
+}
+
+function readRdfaItem($, element) {
+  const $item = $(element);
+  const item = { '@type': ($item.attr('typeof') || '').split(/\s+/).filter(Boolean).map(shortType) };
+  if ($item.attr('resource')) item['@id'] = $item.attr('resource');
+
+  $item.find('[property]').each((i, property) => {
+    const owner = $(property).parent().closest('[typeof]').get(0);
+    if (owner !== element) return;
+
+    const value = rdfaValue($, property);
+    ($(property).attr('property') || '').split(/\s+/).filter(Boolean).forEach(fullName => {
+      const name = shortType(fullName);
+      item[name] = item[name] === undefined ? value : asArray(item[name]).concat([value]);
+    });
+  });
+
+  return item;
+}
+
+function readRdfa($) {
+  const items = [];
+  $('[typeof]').each((i, element) => {
+    if ($(element).attr('property') !== undefined) return;
+    if (!isSchemaVocabulary($, element)) return;
+    const item = readRdfaItem($, element);
+    if (typesOf(item).length > 0) items.push(item);
+  });
+  return items;
+}
+
+// ========================================
+// Public API
+// ========================================
+
+/**
+ * Reads JSON-LD, microdata and RDFa from a page (call before <script> elements are removed)
+ * @param {Object} $ - Cheerio instance of the full page
+ * @returns {Object|null} { types, entities } with normalized entities, or null when the page has none
+ */
+function extractStructuredData($) {
+  const raw = [
+    ...readJsonLd($).map(node => ({ node, source: 'json-ld' })),
+    ...readMicrodata($).map(node => ({ node, source: 'microdata' })),
+    ...readRdfa($).map(node => ({ node, source: 'rdfa' }))
+  ].slice(0, MAX_ENTITIES);
+
+  if (raw.length === 0) return null;
+
+  const entities = raw.map(({ node, source }) => normalizeEntity(node, source));
+  return {
+    types: [...new Set(entities.flatMap(entity => entity.types))],
+    entities
+  };
+}
+
+function findEntity(structuredData, types) {
+  if (!structuredData) return null;
+  return structuredData.entities.find(entity => entity.types.some(type => types.includes(type))) || null;
+}
+
+// Entity that describes the page itself: an article first, then anything with a description
+function primaryEntity(structuredData) {
+  return findEntity(structuredData, ARTICLE_TYPES) ||
+    findEntity(structuredData, ['HowTo', 'FAQPage', 'Product', ...SOFTWARE_TYPES]) ||
+    findEntity(structuredData, ['WebPage', 'AboutPage', 'CollectionPage', 'ItemPage']);
+}
+
+// Content type implied by the schema.org types (null when they say nothing specific)
+const CONTENT_TYPE_BY_SCHEMA = [
+  { types: ['APIReference'], contentType: 'api-reference' },
+  { types: ['TechArticle'], contentType: 'documentation' },
+  { types: ['HowTo', 'HowToArticle'], contentType: 'tutorial' },
+  { types: ['FAQPage'], contentType: 'faq' },
+  { types: ['BlogPosting', 'NewsArticle'], contentType: 'blog' },
+  { types: ['Product'], contentType: 'product' },
+  { types: SOFTWARE_TYPES, contentType: 'software' }
+];
+
+function contentTypeFromSchema(structuredData) {
+  if (!structuredData) return null;
+  const match = CONTENT_TYPE_BY_SCHEMA.find(rule => structuredData.types.some(type => rule.types.includes(type)));
+  return match ? match.contentType : null;
+}
+
+module.exports = {
+  extractStructuredData,
+  primaryEntity,
+  findEntity,
+  contentTypeFromSchema,
+  ARTICLE_TYPES
+};
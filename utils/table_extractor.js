@@ -0,0 +1,241 @@
+// Table handling shared by the Markdown converter and the optimizers:
+// - builds a rectangular grid from <table> rows, expanding colspan/rowspan
+// - detects header rows (<thead>, rows made only of <th>) and flattens multi-row headers
+// - converts wide Markdown tables into a key-value form that reads better than a very long row
+//
+// Configuration:
+//   WIDE_TABLE_COLUMNS - tables with more columns than this count as wide (default 6)
+
+const WIDE_TABLE_COLUMNS = parseInt(process.env.WIDE_TABLE_COLUMNS, 10) || 6;
+const MAX_SPAN = 50; // colspan/rowspan values above this are treated as broken markup
+
+function tagName(node) {
+  return node && node.type === 'tag' ? node.name.toLowerCase() : null;
+}
+
+function containsTag(node, names) {
+  return (node.children || []).some(child => tagName(child) && (names.includes(tagName(child)) || containsTag(child, names)));
+}
+
+function spanOf(cell, name, fallback) {
+  const value = parseInt((cell.attribs && cell.attribs[name]) || '', 10);
+  if (isNaN(value) || value < 0) return 1;
+  if (value === 0) return fallback; // rowspan="0" spans to the end of the table
+  return Math.min(value, MAX_SPAN);
+}
+
+/**
+ * Rows of a table with the section they belong to, without descending into nested tables
+ * @returns {Array} [{ node, section }] with section thead | tbody | tfoot | null
+ */
+function tableRows(tableNode) {
+  const rows = [];
+  (tableNode.children || []).forEach(child => {
+    const name = tagName(child);
+    if (name === 'tr') rows.push({ node: child, section: null });
+    if (name === 'thead' || name === 'tbody' || name === 'tfoot') {
+      (child.children || []).forEach(row => {
+        if (tagName(row) === 'tr') rows.push({ node: row, section: name });
+      });
+    }
+  });
+  return rows;
+}
+
+function rowCells(row) {
+  return (row.children || []).filter(cell => tagName(cell) === 'td' || tagName(cell) === 'th');
+}
+
+/**
+ * Tables used for page layout rather than data: role=presentation, or tables that wrap other
+ * tables without having any header cell of their own
+ */
+function isLayoutTable(tableNode) {
+  const role = ((tableNode.attribs && tableNode.attribs.role) || '').toLowerCase();
+  if (role === 'presentation' || role === 'none') return true;
+
+  if (!containsTag(tableNode, ['table'])) return false;
+  const ownCells = tableRows(tableNode).flatMap(row => rowCells(row.node));
+  return !ownCells.some(cell => tagName(cell) === 'th');
+}
+
+// Multi-row headers become one label per column ("Group / Column")
+function flattenHeaders(headerRows, columnCount, valueOf) {
+  return Array.from({ length: columnCount }, (unused, column) => {
+    const parts = [];
+    headerRows.forEach(row => {
+      const text = valueOf(row[column]);
+      if (text && parts[parts.length - 1] !== text) parts.push(text);
+    });
+    return parts.join(' / ');
+  });
+}
+
+/**
+ * Rectangular grid of a table: rowspans repeat the value in every row they cover, colspans leave
+ * the extra columns empty (header rows repeat them so grouped headers can be flattened)
+ * @param {Object} tableNode - <table> element (domhandler node)
+ * @param {Function} renderCell - (cellNode) => value stored in the grid
+ * @returns {Object} { headerRows, bodyRows, columnCount } (rows are arrays of values, null for empty positions)
+ */
+function buildTableGrid(tableNode, renderCell) {
+  const rows = tableRows(tableNode);
+  const grid = [];
+  const headerFlags = [];
+  const pending = []; // column -> { value, remaining } for active rowspans
+
+  rows.forEach(({ node, section }, rowIndex) => {
+    const cells = rowCells(node);
+    const isHeader = section === 'thead' || (cells.length > 0 && cells.every(cell => tagName(cell) === 'th'));
+    const line = [];
+    let column = 0;
+
+    const fillRowspans = upTo => {
+      while (column < upTo && pending[column] && pending[column].remaining > 0) {
+        line[column] = pending[column].value;
+        pending[column].remaining--;
+        column++;
+      }
+    };
+
+    cells.forEach(cell => {
+      fillRowspans(Infinity);
+
+      const value = renderCell(cell);
+      const colspan = spanOf(cell, 'colspan', 1);
+      const rowspan = Math.min(spanOf(cell, 'rowspan', rows.length - rowIndex), rows.length - rowIndex);
+
+      // Header labels repeat across their colspan (for "Group / Column"); body values don't
+      for (let i = 0; i < colspan; i++) {
+        const spanned = i === 0 || isHeader ? value : null;
+        line[column] = spanned;
+        pending[column] = rowspan > 1 ? { value: spanned, remaining: rowspan - 1 } : null;
+        column++;
+      }
+    });
+
+    // Rowspans from earlier rows that continue past the last cell of this row
+    for (let c = column; c < pending.length; c++) {
+      if (pending[c] && pending[c].remaining > 0) {
+        line[c] = pending[c].value;
+        pending[c].remaining--;
+      }
+    }
+
+    if (line.length === 0) return;
+    grid.push(line);
+    headerFlags.push(isHeader);
+  });
+
+  const columnCount = grid.reduce((max, line) => Math.max(max, line.length), 0);
+  grid.forEach(line => {
+    for (let c = 0; c < columnCount; c++) {
+      if (line[c] === undefined) line[c] = null;
+    }
+  });
+
+  // Leading header rows; a table made only of <th> rows keeps its first row as the header
+  let headerCount = 0;
+  while (headerCount < grid.length && headerFlags[headerCount]) headerCount++;
+  if (headerCount === grid.length && grid.length > 1) headerCount = 1;
+
+  return {
+    headerRows: grid.slice(0, headerCount),
+    bodyRows: grid.slice(headerCount),
+    columnCount
+  };
+}
+
+/**
+ * Headers and rows of a grid as plain strings
+ * @param {Object} grid - Result of buildTableGrid
+ * @param {Function} valueOf - (cellValue) => string
+ * @returns {Object} { headers, rows, headerInferred } (without header rows the first row is used)
+ */
+function gridToRecords(grid, valueOf) {
+  const toRow = line => line.map(value => (value === null ? '' : valueOf(value)));
+  const rows = grid.bodyRows.map(toRow).filter(row => row.some(Boolean));
+
+  if (grid.headerRows.length > 0) {
+    return { headers: flattenHeaders(grid.headerRows, grid.columnCount, value => (value === null ? '' : valueOf(value))), rows, headerInferred: false };
+  }
+
+  const [first = [], ...rest] = rows;
+  return { headers: first, rows: rest, headerInferred: true };
+}
+
+// ========================================
+// Wide Markdown tables -> key-value
+// ========================================
+
+const TABLE_LINE = /^([ \t>]*)\|(.*)\|[ \t]*$/;
+const SEPARATOR_CELL = /^\s*:?-{3,}:?\s*$/;
+
+function splitMarkdownRow(content) {
+  return content.split(/(?<!\\)\|/).map(cell => cell.trim());
+}
+
+function keyValueBlock(headers, rows, prefix) {
+  const records = rows.map((row, index) => {
+    const title = row[0] || `Row ${index + 1}`;
+    const fields = headers
+      .map((header, column) => ({ header: header || `Column ${column + 1}`, value: row[column] }))
+      .slice(1)
+      .filter(field => field.value)
+      .map(field => `${prefix}- ${field.header}: ${field.value}`);
+    return [`${prefix}**${title}**`, ...fields].join('\n');
+  });
+
+  return records.join(`\n${prefix.trimEnd()}\n`);
+}
+
+/**
+ * Rewrites Markdown tables with more than `maxColumns` columns as one block per row
+ * ("**first cell**" followed by "- Header: value" lines)
+ * @param {string} markdown - Markdown (without fenced code; see mapMarkdownText)
+ * @param {number} maxColumns - Widest table kept as a table
+ * @returns {string} Markdown
+ */
+function convertWideTables(markdown, maxColumns = WIDE_TABLE_COLUMNS) {
+  const lines = markdown.split('\n');
+  const output = [];
+
+  for (let i = 0; i < lines.length; i++) {
+    const header = lines[i].match(TABLE_LINE);
+    const separator = header && i + 1 < lines.length && lines[i + 1].match(TABLE_LINE);
+
+    if (!separator || !splitMarkdownRow(separator[2]).every(cell => SEPARATOR_CELL.test(cell))) {
+      output.push(lines[i]);
+      continue;
+    }
+
+    const headers = splitMarkdownRow(header[2]);
+    let end = i + 2;
+    const rows = [];
+    while (end < lines.length) {
+      const row = lines[end].match(TABLE_LINE);
+      if (!row) break;
+      rows.push(splitMarkdownRow(row[2]));
+      end++;
+    }
+
+    if (headers.length > maxColumns) {
+      output.push(keyValueBlock(headers, rows, header[1]));
+    } else {
+      output.push(...lines.slice(i, end));
+    }
+    i = end - 1;
+  }
+
+  return output.join('\n');
+}
+
+module.exports = {
+  buildTableGrid,
+  gridToRecords,
+  tableRows,
+  rowCells,
+  isLayoutTable,
+  convertWideTables,
+  WIDE_TABLE_COLUMNS
+};
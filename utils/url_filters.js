@@ -1,3 +1,5 @@
+const { normalizeUrls, DEFAULT_RULES } = require('./url_normalizer');
+
 // Patterns for different types of content
 const CONTENT_PATTERNS = {
   documentation: {
@@ -26,15 +28,56 @@ const CONTENT_PATTERNS = {
   }
 };
 
-function filterUrlsByType(urls, type = 'documentation', maxPages = 15) {
-  const patterns = CONTENT_PATTERNS[type] || CONTENT_PATTERNS.general;
+// Version segment of a URL path according to a platform profile (null when unversioned)
+function urlVersion(url, versionPattern) {
+  try {
+    const match = new URL(url).pathname.match(versionPattern);
+    return match ? match[1] : null;
+  } catch (error) {
+    return null;
+  }
+}
+
+// Keeps one version of versioned docs: the base URL's version, otherwise unversioned pages plus
+// the first default version (e.g. "stable") present in the list
+function filterDocVersions(urls, profile, baseUrl) {
+  const { version, defaultVersions } = profile.urlPatterns;
+  const versions = urls.map(url => urlVersion(url, version));
+  const keep = (baseUrl && urlVersion(baseUrl, version)) ||
+    defaultVersions.find(candidate => versions.includes(candidate)) ||
+    null;
+
+  return urls.filter((url, index) => !versions[index] || versions[index] === keep);
+}
+
+// options.robots: rules from getRobotsRules; disallowed URLs are dropped and pushed to options.robotsExcluded
+// options.profile: platform profile (see platform_profiles); its include list replaces the type's
+// (every page of a docs generator is documentation), its exclude list is added, and only one
+// version of versioned docs is kept (the one of options.baseUrl)
+function filterUrlsByType(urls, type = 'documentation', maxPages = 15, options = {}) {
+  const { robots = null, robotsExcluded = [], profile = null, baseUrl = null } = options;
+  const typePatterns = CONTENT_PATTERNS[type] || CONTENT_PATTERNS.general;
+  const patterns = profile ? {
+    include: profile.urlPatterns.include,
+    exclude: [...typePatterns.exclude, ...profile.urlPatterns.exclude]
+  } : typePatterns;
   
-  console.log(`Filtering ${urls.length} URLs for type: ${type}`);
+  console.log(`Filtering ${urls.length} URLs for type: ${type}${profile ? ` (platform: ${profile.label})` : ''}`);
   
-  // Step 1: Apply include filters
+  // Step 0: Apply robots.txt rules
   let filteredUrls = urls;
-  if (patterns.include && patterns.include.length > 0) {
+  if (robots) {
     filteredUrls = urls.filter(url => {
+      if (robots.isAllowed(url)) return true;
+      robotsExcluded.push(url);
+      return false;
+    });
+    console.log(`After robots.txt rules: ${filteredUrls.length} URLs`);
+  }
+  
+  // Step 1: Apply include filters
+  if (patterns.include && patterns.include.length > 0) {
+    filteredUrls = filteredUrls.filter(url => {
       return patterns.include.some(pattern => url.toLowerCase().includes(pattern.toLowerCase()));
     });
     console.log(`After include filters: ${filteredUrls.length} URLs`);
@@ -48,6 +91,12 @@ function filterUrlsByType(urls, type = 'documentation', maxPages = 15) {
     console.log(`After exclude filters: ${filteredUrls.length} URLs`);
   }
   
+  // Step 2b: Keep a single documentation version
+  if (profile && profile.urlPatterns.version) {
+    filteredUrls = filterDocVersions(filteredUrls, profile, baseUrl);
+    console.log(`After version filter: ${filteredUrls.length} URLs`);
+  }
+  
   // Step 3: Remove duplicates
   filteredUrls = [...new Set(filteredUrls)];
   
@@ -69,13 +118,29 @@ function validateUrl(url) {
   }
 }
 
-function cleanUrls(urls) {
-  return urls
+// Cleans a URL received in a request body (the plugin sometimes wraps it in braces)
+function cleanInputUrl(rawUrl) {
+  if (!rawUrl) return null;
+  
+  let url = rawUrl.toString().trim();
+  if (url.startsWith('{') && url.endsWith('}')) {
+    url = url.slice(1, -1);
+    console.log('Cleaned URL from:', rawUrl, 'to:', url);
+  }
+  
+  return url || null;
+}
+
+// Valid HTTP URLs, normalized and deduplicated with the url_normalizer rules (null: no normalization)
+function cleanUrls(urls, normalization = DEFAULT_RULES) {
+  const valid = urls
     .filter(url => url && typeof url === 'string')
     .map(url => url.trim())
     .filter(url => url.length > 0)
     .filter(validateUrl)
     .filter(url => url.startsWith('http'));
+
+  return normalization ? normalizeUrls(valid, normalization) : valid;
 }
 
 function analyzeUrlPatterns(urls) {
@@ -108,6 +173,8 @@ function analyzeUrlPatterns(urls) {
 module.exports = {
   filterUrlsByType,
   cleanUrls,
+  cleanInputUrl,
+  validateUrl,
   analyzeUrlPatterns,
   CONTENT_PATTERNS
 };
@@ -0,0 +1,204 @@
+// URL canonicalization for crawls: discovered URLs are normalized before deduplication and
+// prioritization, and every fetched page reports its canonical URL (from <link rel="canonical">).
+//
+// Always applied: lowercase host (and no trailing dot), no default port, no fragment, no empty "?".
+// Rules (overridable per crawl with `url_normalization`, or disabled with `url_normalization: false`):
+//   strip_params   - query parameters removed, added to the defaults (utm_*, ref, fbclid, gclid...);
+//                    a trailing "*" matches a prefix
+//   keep_params    - default strip_params entries to keep
+//   sort_query     - query parameters in alphabetical order (default true)
+//   remove_index   - "/docs/index.html" -> "/docs/" (default true)
+//   trailing_slash - "unify" (default: "/a" and "/a/" are one URL, the first form seen is kept),
+//                    "remove", "add" or "keep" (both forms are distinct URLs)
+//
+// "unify" is the default because servers disagree on which form they serve: rewriting every URL
+// to one form costs a redirect per page and breaks relative links when the base URL is wrong.
+//
+// Configuration:
+//   URL_STRIP_PARAMS   - extra parameters stripped by default (comma-separated, "*" suffix allowed)
+//   URL_TRAILING_SLASH - default trailing_slash rule
+
+const DEFAULT_STRIP_PARAMS = [
+  'utm_*', 'ref', 'ref_src', 'fbclid', 'gclid', 'dclid', 'gbraid', 'wbraid', 'msclkid', 'yclid',
+  'igshid', 'mc_cid', 'mc_eid', '_ga', '_gl', '_hsenc', '_hsmi', 'mkt_tok', 'trk', 'spm'
+];
+const TRAILING_SLASH_RULES = ['unify', 'remove', 'add', 'keep'];
+const RULE_KEYS = ['strip_params', 'keep_params', 'sort_query', 'remove_index', 'trailing_slash'];
+const MAX_PARAMS = 50;
+const PARAM_PATTERN = /^[\w.[\]-]{1,64}\*?$/;
+
+const DEFAULT_RULES = {
+  stripParams: [
+    ...DEFAULT_STRIP_PARAMS,
+    ...(process.env.URL_STRIP_PARAMS || '').split(',').map(param => param.trim().toLowerCase()).filter(Boolean)
+  ],
+  sortQuery: true,
+  removeIndex: true,
+  trailingSlash: TRAILING_SLASH_RULES.includes(process.env.URL_TRAILING_SLASH) ? process.env.URL_TRAILING_SLASH : 'unify'
+};
+
+// Name of a raw "name=value" query piece, decoded for matching only
+function paramName(piece) {
+  const name = piece.split('=')[0].replace(/\+/g, ' ');
+  try {
+    return decodeURIComponent(name);
+  } catch (error) {
+    return name;
+  }
+}
+
+function isStripped(name, stripParams) {
+  const lower = name.toLowerCase();
+  return stripParams.some(param => param.endsWith('*') ? lower.startsWith(param.slice(0, -1)) : lower === param);
+}
+
+/**
+ * Canonical form of a URL (non-HTTP and invalid URLs are returned unchanged)
+ * @param {string} url - Absolute URL
+ * @param {Object} rules - DEFAULT_RULES or the result of parseNormalizationRules
+ * @returns {string} Normalized URL
+ */
+function normalizeUrl(url, rules = DEFAULT_RULES) {
+  let parsed;
+  try {
+    parsed = new URL(url);
+  } catch (error) {
+    return url;
+  }
+  if (!['http:', 'https:'].includes(parsed.protocol)) return url;
+
+  // WHATWG URL already lowercases the host and drops default ports
+  parsed.hash = '';
+  parsed.hostname = parsed.hostname.replace(/\.$/, '');
+
+  // Kept parameters keep their original text ("?flag" stays "?flag", "%20" is not re-encoded as "+")
+  const params = parsed.search.slice(1).split('&')
+    .filter(piece => piece && !isStripped(paramName(piece), rules.stripParams))
+    .map(piece => ({ piece, name: paramName(piece) }));
+  if (rules.sortQuery) params.sort((a, b) => (a.name < b.name ? -1 : a.name > b.name ? 1 : 0));
+  parsed.search = params.length > 0 ? `?${params.map(param => param.piece).join('&')}` : '';
+
+  // Repeated slashes are left alone: "/a//b" can be a different resource than "/a/b"
+  let path = parsed.pathname;
+  if (rules.removeIndex) path = path.replace(/\/index\.(html?|php|aspx?)$/i, '/');
+  if (path !== '/' && rules.trailingSlash === 'remove') path = path.replace(/\/+$/, '');
+  if (rules.trailingSlash === 'add' && !path.endsWith('/') && !/\.\w+$/.test(path)) path += '/';
+  parsed.pathname = path;
+
+  return parsed.href;
+}
+
+/**
+ * Deduplication key: the normalized URL, without trailing slash unless the rules keep both forms
+ */
+function urlKey(url, rules = DEFAULT_RULES) {
+  const normalized = normalizeUrl(url, rules);
+  if (rules.trailingSlash === 'keep') return normalized;
+  return normalized.replace(/^([^?]*[^/?])\/+(\?|$)/, '$1$2');
+}
+
+/**
+ * Normalizes a list of URLs and drops the ones equivalent to an earlier URL
+ * @param {string[]} urls - Absolute URLs, in priority order
+ * @param {Object} rules - Normalization rules
+ * @returns {string[]} Normalized unique URLs (first occurrence kept)
+ */
+function normalizeUrls(urls, rules = DEFAULT_RULES) {
+  const seen = new Set();
+  const result = [];
+
+  urls.forEach(url => {
+    const key = urlKey(url, rules);
+    if (seen.has(key)) return;
+    seen.add(key);
+    result.push(normalizeUrl(url, rules));
+  });
+
+  return result;
+}
+
+/**
+ * Canonical URL of a fetched page: its <link rel="canonical"> (resolved against the final URL)
+ * when it is a valid HTTP URL, otherwise the final URL after redirects
+ * @param {string|null} canonicalLink - href of <link rel="canonical">
+ * @param {string} finalUrl - URL the page was served from
+ * @param {Object|null} rules - Normalization rules (null: only resolved, not normalized)
+ * @returns {string} Canonical URL
+ */
+function canonicalPageUrl(canonicalLink, finalUrl, rules = DEFAULT_RULES) {
+  let canonical = finalUrl;
+  if (canonicalLink) {
+    try {
+      const resolved = new URL(canonicalLink.trim(), finalUrl);
+      if (['http:', 'https:'].includes(resolved.protocol)) canonical = resolved.href;
+    } catch (error) {
+      // Malformed canonical link: fall back to the final URL
+    }
+  }
+  return rules ? normalizeUrl(canonical, rules) : canonical;
+}
+
+function parseParamList(value, name, errors) {
+  if (value === undefined) return [];
+  if (!Array.isArray(value) || value.length > MAX_PARAMS) {
+    errors.push(`url_normalization.${name} must be a list of at most ${MAX_PARAMS} parameter names`);
+    return [];
+  }
+  return value.filter((param, index) => {
+    const valid = typeof param === 'string' && PARAM_PATTERN.test(param);
+    if (!valid) errors.push(`url_normalization.${name}[${index}] must be a parameter name (optionally ending in "*")`);
+    return valid;
+  }).map(param => param.toLowerCase());
+}
+
+/**
+ * Reads the url_normalization option of a crawl request
+ * @param {*} value - undefined/true (defaults), false (disabled) or an object of rule overrides
+ * @returns {Object} { rules, errors } - rules is null when normalization is disabled
+ */
+function parseNormalizationRules(value) {
+  const errors = [];
+  if (value === undefined || value === null || value === true) return { rules: DEFAULT_RULES, errors };
+  if (value === false) return { rules: null, errors };
+
+  if (typeof value !== 'object' || Array.isArray(value)) {
+    errors.push('url_normalization must be false or an object of rules');
+    return { rules: null, errors };
+  }
+
+  Object.keys(value).filter(key => !RULE_KEYS.includes(key)).forEach(key => {
+    errors.push(`url_normalization.${key} is not a known rule (${RULE_KEYS.join(', ')})`);
+  });
+
+  const strip = parseParamList(value.strip_params, 'strip_params', errors);
+  const keep = parseParamList(value.keep_params, 'keep_params', errors);
+  const rules = {
+    ...DEFAULT_RULES,
+    stripParams: [...DEFAULT_RULES.stripParams.filter(param => !keep.includes(param)), ...strip]
+  };
+
+  ['sort_query', 'remove_index'].forEach(key => {
+    if (value[key] === undefined) return;
+    if (typeof value[key] !== 'boolean') errors.push(`url_normalization.${key} must be true or false`);
+    else rules[key === 'sort_query' ? 'sortQuery' : 'removeIndex'] = value[key];
+  });
+
+  if (value.trailing_slash !== undefined) {
+    if (!TRAILING_SLASH_RULES.includes(value.trailing_slash)) {
+      errors.push(`url_normalization.trailing_slash must be one of ${TRAILING_SLASH_RULES.join(', ')}`);
+    } else {
+      rules.trailingSlash = value.trailing_slash;
+    }
+  }
+
+  return { rules: errors.length === 0 ? rules : null, errors };
+}
+
+module.exports = {
+  normalizeUrl,
+  normalizeUrls,
+  urlKey,
+  canonicalPageUrl,
+  parseNormalizationRules,
+  DEFAULT_RULES
+};
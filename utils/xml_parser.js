@@ -1,78 +1,203 @@
+const zlib = require('zlib');
+const { promisify } = require('util');
 const xml2js = require('xml2js');
-const axios = require('axios');
+const { fetchUrl } = require('./http_client');
+
+// Sitemap probes: short timeouts, a single retry
+const SITEMAP_FETCH_OPTIONS = {
+  retries: 1,
+  responseType: 'buffer',
+  timeouts: { headers: 5000, body: 10000 },
+  headers: {
+    'User-Agent': 'Mozilla/5.0 (compatible; SitemapBot/1.0)',
+    'Accept': 'application/xml,text/xml,text/plain;q=0.9,*/*;q=0.8'
+  }
+};
+
+// Limits for sitemap indexes (configurable through the environment)
+const SITEMAP_LIMITS = {
+  maxDepth: parseInt(process.env.SITEMAP_MAX_DEPTH, 10) || 3,               // nested sitemap indexes
+  maxUrls: parseInt(process.env.SITEMAP_MAX_URLS, 10) || 10000,             // URLs across all child sitemaps
+  maxSitemaps: parseInt(process.env.SITEMAP_MAX_SITEMAPS, 10) || 50,        // child sitemaps fetched
+  maxUncompressedBytes: parseInt(process.env.SITEMAP_MAX_BYTES, 10) || 10 * 1024 * 1024   // one sitemap, after gunzip
+};
+
+// XML is parsed in chunks of this many characters, yielding to the event loop between them
+const PARSE_CHUNK_SIZE = 64 * 1024;
+
+const gunzip = promisify(zlib.gunzip);
+
+const CHANGEFREQ_VALUES = ['always', 'hourly', 'daily', 'weekly', 'monthly', 'yearly', 'never'];
+
+function isGzip(buffer) {
+  return buffer.length > 2 && buffer[0] === 0x1f && buffer[1] === 0x8b;
+}
+
+// Sitemap body as text, gunzipping .xml.gz files (detected by magic bytes, not by name) off the event loop
+async function decodeSitemapBody(data) {
+  if (typeof data === 'string') return data;
+  if (isGzip(data)) {
+    const xml = await gunzip(data, { maxOutputLength: SITEMAP_LIMITS.maxUncompressedBytes });
+    return xml.toString('utf8');
+  }
+  return data.toString('utf8');
+}
+
+async function fetchSitemap(sitemapUrl) {
+  const response = await fetchUrl(sitemapUrl, SITEMAP_FETCH_OPTIONS);
+  return decodeSitemapBody(response.data);
+}
+
+function createParseState() {
+  return { depth: 0, urlCount: 0, sitemapCount: 0, visited: new Set(), truncated: false };
+}
+
+function textOf(value) {
+  if (value === undefined || value === null) return null;
+  const text = typeof value === 'string' ? value : value._;
+  return text ? text.trim() : null;
+}
+
+function toAbsolute(url, baseUrl) {
+  if (baseUrl && url.startsWith('/')) {
+    return baseUrl.replace(/\/$/, '') + url;
+  }
+  return url;
+}
+
+function toEntry(entry, baseUrl) {
+  const loc = textOf(entry.loc);
+  if (!loc) return null;
+
+  const priority = parseFloat(textOf(entry.priority));
+  const changefreq = (textOf(entry.changefreq) || '').toLowerCase();
+
+  return {
+    url: toAbsolute(loc, baseUrl),
+    lastmod: textOf(entry.lastmod),
+    priority: !isNaN(priority) && priority >= 0 && priority <= 1 ? priority : null,
+    changefreq: CHANGEFREQ_VALUES.includes(changefreq) ? changefreq : null
+  };
+}
+
+/**
+ * Parses a sitemap or sitemap index into entries, following child sitemaps within the limits
+ * @param {string} xmlContent - Sitemap XML
+ * @param {string} baseUrl - Base for relative <loc> values
+ * @param {Object} state - Shared across the recursion: depth, urlCount, sitemapCount, visited, truncated
+ * @returns {Promise<Array>} [{ url, lastmod, priority, changefreq }]
+ */
+async function parseSitemapEntries(xmlContent, baseUrl = null, state = null) {
+  state = state || createParseState();
 
-async function parseSitemap(xmlContent, baseUrl = null) {
   try {
     const parser = new xml2js.Parser({
       explicitArray: false,
-      ignoreAttrs: false
+      ignoreAttrs: false,
+      async: true,
+      chunkSize: PARSE_CHUNK_SIZE
     });
-    
+
     const result = await parser.parseStringPromise(xmlContent);
-    const urls = [];
+    const entries = [];
+    const seen = new Set();
+
+    const addEntry = entry => {
+      if (!entry || seen.has(entry.url)) return;
+      if (state.urlCount >= SITEMAP_LIMITS.maxUrls) {
+        state.truncated = true;
+        return;
+      }
+      seen.add(entry.url);
+      entries.push(entry);
+      state.urlCount++;
+    };
 
     // Handle regular sitemap
     if (result.urlset && result.urlset.url) {
       const urlEntries = Array.isArray(result.urlset.url) ? result.urlset.url : [result.urlset.url];
-      
-      urlEntries.forEach(entry => {
-        if (entry.loc) {
-          let url = typeof entry.loc === 'string' ? entry.loc : entry.loc._;
-          if (url) {
-            url = url.trim();
-            // Convert relative URLs to absolute
-            if (baseUrl && url.startsWith('/')) {
-              url = baseUrl.replace(/\/$/, '') + url;
-            }
-            urls.push(url);
-          }
-        }
-      });
+      urlEntries.forEach(entry => addEntry(toEntry(entry, baseUrl)));
     }
 
     // Handle sitemap index
     if (result.sitemapindex && result.sitemapindex.sitemap) {
       const sitemapEntries = Array.isArray(result.sitemapindex.sitemap) ? result.sitemapindex.sitemap : [result.sitemapindex.sitemap];
-      
+
+      if (state.depth >= SITEMAP_LIMITS.maxDepth) {
+        console.log(`Sitemap index nested deeper than ${SITEMAP_LIMITS.maxDepth} levels, skipping ${sitemapEntries.length} child sitemaps`);
+        state.truncated = true;
+        return entries;
+      }
+
       for (const entry of sitemapEntries) {
-        if (entry.loc) {
-          let sitemapUrl = typeof entry.loc === 'string' ? entry.loc : entry.loc._;
-          if (sitemapUrl) {
-            sitemapUrl = sitemapUrl.trim();
-            // Convert relative URLs to absolute
-            if (baseUrl && sitemapUrl.startsWith('/')) {
-              sitemapUrl = baseUrl.replace(/\/$/, '') + sitemapUrl;
-            }
-            try {
-              const response = await axios.get(sitemapUrl, { timeout: 5000 });
-              const childUrls = await parseSitemap(response.data, baseUrl);
-              urls.push(...childUrls);
-            } catch (error) {
-              console.log(`Failed to fetch child sitemap: ${sitemapUrl}`);
+        const sitemapUrl = textOf(entry.loc) && toAbsolute(textOf(entry.loc), baseUrl);
+        if (!sitemapUrl || state.visited.has(sitemapUrl)) continue;
+
+        if (state.urlCount >= SITEMAP_LIMITS.maxUrls || state.sitemapCount >= SITEMAP_LIMITS.maxSitemaps) {
+          console.log(`Sitemap limits reached (${state.urlCount} URLs, ${state.sitemapCount} child sitemaps), stopping`);
+          state.truncated = true;
+          break;
+        }
+
+        state.visited.add(sitemapUrl);
+        state.sitemapCount++;
+
+        try {
+          const childXml = await fetchSitemap(sitemapUrl);
+          state.depth++;
+          const childEntries = await parseSitemapEntries(childXml, baseUrl, state);
+          state.depth--;
+          childEntries.forEach(childEntry => {
+            if (!seen.has(childEntry.url)) {
+              seen.add(childEntry.url);
+              entries.push(childEntry);
             }
-          }
+          });
+        } catch (error) {
+          console.log(`Failed to fetch child sitemap: ${sitemapUrl} (${error.message})`);
         }
       }
     }
 
-    return [...new Set(urls)]; // Remove duplicates
+    return entries;
   } catch (error) {
     console.error('XML parsing error:', error.message);
     return [];
   }
 }
 
-async function discoverSitemap(baseUrl) {
+async function parseSitemap(xmlContent, baseUrl = null) {
+  const entries = await parseSitemapEntries(xmlContent, baseUrl);
+  return entries.map(entry => entry.url);
+}
+
+function looksLikeSitemap(xml) {
+  return Boolean(xml) && (xml.includes('<urlset') || xml.includes('<sitemapindex'));
+}
+
+/**
+ * Finds the site's sitemap (well-known paths, then the Sitemap lines of robots.txt) and returns its entries
+ * @param {string} baseUrl - Site base URL
+ * @param {Object|null} robots - robots.txt rules the crawl already loaded (robots_parser); null when the
+ *                               crawl ignores robots.txt, and then it is not read for Sitemap lines either
+ * @returns {Promise<Object>} { entries: [{ url, lastmod, priority, changefreq }] (empty when no sitemap
+ *                            exists), truncated: true when SITEMAP_LIMITS stopped the parsing early }
+ */
+async function discoverSitemapEntries(baseUrl, robots = null) {
+  const state = createParseState();
+  const parsed = entries => ({ entries, truncated: state.truncated });
+
   const possiblePaths = [
     '/sitemap.xml',
     '/sitemap_index.xml',
+    '/sitemap.xml.gz',
     '/sitemaps.xml',
     '/sitemap/sitemap.xml'
   ];
 
   // Clean base URL
   const cleanBaseUrl = baseUrl.replace(/\/$/, '');
-  
+
   console.log(`Discovering sitemap for: ${cleanBaseUrl}`);
 
   // Try direct sitemap paths
@@ -80,53 +205,44 @@ async function discoverSitemap(baseUrl) {
     try {
       const sitemapUrl = cleanBaseUrl + path;
       console.log(`Trying: ${sitemapUrl}`);
-      
-      const response = await axios.get(sitemapUrl, { 
-        timeout: 5000,
-        headers: {
-          'User-Agent': 'Mozilla/5.0 (compatible; SitemapBot/1.0)'
-        }
-      });
-      
-      if (response.data && response.data.includes('<urlset') || response.data.includes('<sitemapindex')) {
+
+      const xml = await fetchSitemap(sitemapUrl);
+
+      if (looksLikeSitemap(xml)) {
         console.log(`Found sitemap: ${sitemapUrl}`);
-        return await parseSitemap(response.data, cleanBaseUrl);
+        return parsed(await parseSitemapEntries(xml, cleanBaseUrl, state));
       }
     } catch (error) {
       // Continue to next possibility
     }
   }
 
-  // Try robots.txt
-  try {
-    const robotsUrl = cleanBaseUrl + '/robots.txt';
-    console.log(`Checking robots.txt: ${robotsUrl}`);
-    
-    const response = await axios.get(robotsUrl, { timeout: 5000 });
-    const robotsContent = response.data;
-    
-    const sitemapMatches = robotsContent.match(/Sitemap:\s*(https?:\/\/[^\s]+)/gi);
-    if (sitemapMatches) {
-      for (const match of sitemapMatches) {
-        const sitemapUrl = match.replace(/Sitemap:\s*/i, '').trim();
-        try {
-          console.log(`Found sitemap in robots.txt: ${sitemapUrl}`);
-          const sitemapResponse = await axios.get(sitemapUrl, { timeout: 5000 });
-          return await parseSitemap(sitemapResponse.data, cleanBaseUrl);
-        } catch (error) {
-          continue;
-        }
+  // Try Sitemap lines from robots.txt
+  for (const sitemapUrl of robots ? robots.sitemaps : []) {
+    try {
+      console.log(`Found sitemap in robots.txt: ${sitemapUrl}`);
+      const xml = await fetchSitemap(new URL(sitemapUrl, cleanBaseUrl).href);
+      if (looksLikeSitemap(xml)) {
+        return parsed(await parseSitemapEntries(xml, cleanBaseUrl, state));
       }
+    } catch (error) {
+      continue;
     }
-  } catch (error) {
-    console.log('No robots.txt found');
   }
 
   console.log('No sitemap found, will use fallback method');
-  return [];
+  return parsed([]);
+}
+
+async function discoverSitemap(baseUrl, robots = null) {
+  const { entries } = await discoverSitemapEntries(baseUrl, robots);
+  return entries.map(entry => entry.url);
 }
 
 module.exports = {
   parseSitemap,
-  discoverSitemap
+  parseSitemapEntries,
+  discoverSitemap,
+  discoverSitemapEntries,
+  SITEMAP_LIMITS
 };